@@ -4,6 +4,9 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "@/app/shopify.server";
+import { startScheduler } from "@/app/jobs/scheduler.server";
+
+startScheduler();
 
 export const streamTimeout = 5000;
 
@@ -0,0 +1,56 @@
+// Carts planned by both the checkout extension and the orders/create workflow
+// (app/helpers/parcel-plan.test.js). Each line is { id, quantity, unitPrice, discount }
+// in the cart's presentment currency; `fulfillmentCount` is the expected plan size.
+export const PARCEL_PLAN_CARTS = [
+    {
+        name: "single line under the cap",
+        zone: "CN",
+        currencyCode: "CNY",
+        lines: [{ id: "gid://shopify/LineItem/1", quantity: 2, unitPrice: "45.00", discount: "0.00" }],
+        fulfillmentCount: 1
+    },
+    {
+        name: "units packed first-fit decreasing",
+        zone: "CN",
+        currencyCode: "CNY",
+        lines: [
+            { id: "gid://shopify/LineItem/1", quantity: 3, unitPrice: "120.00", discount: "0.00" },
+            { id: "gid://shopify/LineItem/2", quantity: 2, unitPrice: "80.50", discount: "0.00" }
+        ],
+        fulfillmentCount: 3
+    },
+    {
+        name: "heavy units absorb cheap ones",
+        zone: "CN",
+        currencyCode: "CNY",
+        lines: [
+            { id: "gid://shopify/LineItem/1", quantity: 2, unitPrice: "310.00", discount: "0.00" },
+            { id: "gid://shopify/LineItem/2", quantity: 3, unitPrice: "25.00", discount: "0.00" }
+        ],
+        fulfillmentCount: 2
+    },
+    {
+        name: "discount brings a unit under the cap",
+        zone: "CN",
+        currencyCode: "CNY",
+        lines: [{ id: "gid://shopify/LineItem/1", quantity: 1, unitPrice: "300.00", discount: "30.00" }],
+        fulfillmentCount: 1
+    },
+    {
+        name: "line total that does not divide evenly",
+        zone: "HK",
+        currencyCode: "HKD",
+        lines: [{ id: "gid://shopify/LineItem/1", quantity: 3, unitPrice: "333.34", discount: "0.01" }],
+        fulfillmentCount: 3
+    },
+    {
+        name: "free gift rides along",
+        zone: "TW",
+        currencyCode: "TWD",
+        lines: [
+            { id: "gid://shopify/LineItem/1", quantity: 4, unitPrice: "260.00", discount: "0.00" },
+            { id: "gid://shopify/LineItem/2", quantity: 1, unitPrice: "0.00", discount: "0.00" }
+        ],
+        fulfillmentCount: 4
+    }
+];
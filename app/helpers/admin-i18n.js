@@ -0,0 +1,427 @@
+// app/helpers/admin-i18n.js
+// Message catalog for the embedded admin. The staff locale is resolved once by the app
+// layout (app/routes/app.jsx) and components read messages through useTranslation().
+import { createContext, useContext } from "react";
+import { resolveLocale } from "./locales";
+
+const en = {
+    "dashboard.refresh": "Refresh data",
+    "dashboard.export": "Export CSV",
+    "dashboard.exportFailed": "Export failed, please try again",
+    "dashboard.enableApp": "Enable app",
+    "dashboard.enableAppDetails": "While the app is disabled, new orders are not split",
+    "dashboard.empty": "No requests found.",
+    "dashboard.noMatches": "No requests match these filters.",
+
+    "filters.search": "Search order name or customer email",
+    "filters.status": "Status",
+    "filters.allStatuses": "All statuses",
+    "filters.choice": "Buyer choice",
+    "filters.anyChoice": "Any choice",
+    "filters.level": "Shipping tier",
+    "filters.anyLevel": "Any tier",
+    "filters.from": "Created from",
+    "filters.to": "Created to",
+    "filters.pageSize": "Rows per page",
+    "filters.cancelled": "Cancelled orders only",
+    "filters.lastDays": "Last {{days}} days",
+    "filters.expiresWithin": "Deadline within {{hours}}h",
+    "filters.results": "{{count}} requests",
+    "filters.clear": "Clear filters",
+
+    "views.all": "All requests",
+    "views.expiring-soon": "Awaiting payment, expiring in < 6h",
+    "views.failed-this-week": "Failed this week",
+    "views.cancelled": "Cancelled orders",
+    "views.name": "Save these filters as",
+    "views.save": "Save view",
+    "views.delete": "Delete view {{name}}",
+
+    "windDown.button": "Wind down before uninstall",
+    "windDown.heading": "Wind down before uninstalling?",
+    "windDown.description": "This disables the app, cancels every unpaid split-fee order and releases all fulfillment holds, so nothing stays blocked once the app is uninstalled. Buyers are not charged the split fee.",
+    "windDown.pendingNote": "Requests still being processed are skipped; run this again once they finish.",
+    "windDown.summary": "{{closed}} requests closed, {{pending}} still processing",
+    "windDown.confirm": "Wind down",
+    "windDown.close": "Close",
+
+    "table.primaryOrder": "Original order",
+    "table.paymentOrder": "Split-fee order",
+    "table.date": "Date",
+    "table.choice": "Choice",
+    "table.parcels": "Parcels",
+    "table.fee": "Split fee",
+    "table.status": "Status",
+    "table.holds": "Fulfillment",
+
+    "deadJobs.heading": "{{count}} background job(s) failed after all retries",
+    "deadJobs.attempts": "{{count}} attempts",
+
+    "request.cancelled": "Cancelled",
+    "request.viewHistory": "View history",
+    "request.choiceAgreed": "Buyer agreed",
+    "request.choiceRefused": "Buyer refused",
+    "request.parcels": "Split into {{count}} parcels",
+    "request.shippingLevel": "Tier: {{level}}",
+    "request.feeFormula": "Fee: {{perParcel}} × {{count}}",
+    "request.reminded": "Reminded {{count}} times",
+    "request.feeWaived": "Fee waived",
+    "request.adjusted": "Adjusted by staff",
+
+    "holds.allReleased": "All released",
+    "holds.actionRequired": "Action required",
+    "holds.released": "Released",
+    "holds.onHold": "On hold",
+    "holds.fulfillmentOrder": "Fulfillment order {{id}}",
+    "holds.fulfillmentOrderAt": "Fulfillment order {{id}}, ships from {{location}}",
+
+    "status.PENDING": "Pending",
+    "status.APP_DISABLED": "Skipped: app disabled",
+    "status.AWAITING_PAYMENT": "Awaiting split fee",
+    "status.COMPLETED": "Completed",
+    "status.CANCELLED": "Cancelled",
+    "status.FAILED": "Failed",
+
+    "status.paymentWindow": "Buyer must pay within {{hours}} hours",
+    "status.timeLeft": "Time left: {{time}}",
+    "status.timeLeftValue": "{{hours}}h {{minutes}}m",
+    "status.expired": "Expired",
+    "status.paymentOrderNotCancelled": "Note: the split-fee order is not cancelled yet",
+    "status.checkPaymentOrder": "Check the split-fee order and handle it accordingly",
+    "status.primaryOrderNotCancelled": "Note: the original order is not cancelled yet",
+    "status.checkPrimaryOrder": "Check the original order and handle it accordingly",
+    "status.bothCancelled": "Both the original and the split-fee order are cancelled",
+
+    "errorLog.open": "View error log",
+    "errorLog.heading": "Error log",
+    "errorLog.failedHeading": "Transaction failed",
+    "errorLog.failedDescription": "The splitting process failed. Please share the log below with the developer.",
+    "errorLog.details": "Stack trace / details",
+    "errorLog.empty": "No error details available.",
+    "errorLog.copyTip": "Tip: select text to copy",
+    "errorLog.retry": "Retry",
+    "errorLog.retryNotStarted": "Retry not started",
+    "errorLog.retryQueued": "Retry queued",
+    "errorLog.resumingFrom": "Resuming from: {{phase}}. Refresh in a few seconds to see the result.",
+
+    "analytics.heading": "Split-fee analytics",
+    "analytics.utcNote": "Requests are counted on the day they were created (UTC).",
+    "analytics.acceptance": "Buyers who agreed",
+    "analytics.acceptanceDetails": "{{agreed}} agreed · {{refused}} refused",
+    "analytics.conversion": "Payment conversion",
+    "analytics.conversionDetails": "{{paid}} of {{invoiced}} invoices paid",
+    "analytics.revenue": "Split fees collected",
+    "analytics.lost": "Lost to expiry / cancellation",
+    "analytics.averageParcels": "Average parcels",
+    "analytics.eligible": "Eligible orders",
+    "analytics.byCountry": "By country",
+    "analytics.byLevel": "By shipping tier",
+    "analytics.unknownCountry": "Unknown",
+    "analytics.empty": "No split requests in this period.",
+
+    "resumePhase.SPLIT": "splitting the fulfillment order",
+    "resumePhase.HOLD": "holding the split fulfillment orders",
+    "resumePhase.CREATE_DRAFT_ORDER": "creating the payment draft order",
+    "resumePhase.COMPLETE_DRAFT_ORDER": "completing the payment draft order",
+    "resumePhase.SEND_INVOICE": "sending the invoice",
+    "resumePhase.FINALIZE": "marking the request as awaiting payment",
+    "resumePhase.RELEASE_HOLDS": "releasing the holds of the paid order",
+};
+
+const zhCN = {
+    "dashboard.refresh": "刷新数据",
+    "dashboard.export": "导出 CSV",
+    "dashboard.exportFailed": "导出失败，请重试",
+    "dashboard.enableApp": "启用应用",
+    "dashboard.enableAppDetails": "停用期间，新订单不会被拆分",
+    "dashboard.empty": "暂无拆单记录。",
+    "dashboard.noMatches": "没有符合筛选条件的请求。",
+
+    "filters.search": "搜索订单号或客户邮箱",
+    "filters.status": "状态",
+    "filters.allStatuses": "全部状态",
+    "filters.choice": "用户选择",
+    "filters.anyChoice": "全部选择",
+    "filters.level": "运费档位",
+    "filters.anyLevel": "全部档位",
+    "filters.from": "创建日期从",
+    "filters.to": "创建日期至",
+    "filters.pageSize": "每页行数",
+    "filters.cancelled": "仅显示已取消订单",
+    "filters.lastDays": "最近 {{days}} 天",
+    "filters.expiresWithin": "{{hours}} 小时内到期",
+    "filters.results": "共 {{count}} 个请求",
+    "filters.clear": "清除筛选",
+
+    "views.all": "全部请求",
+    "views.expiring-soon": "待支付，6 小时内到期",
+    "views.failed-this-week": "本周失败",
+    "views.cancelled": "已取消订单",
+    "views.name": "将筛选条件保存为",
+    "views.save": "保存视图",
+    "views.delete": "删除视图 {{name}}",
+
+    "windDown.button": "卸载前收尾",
+    "windDown.heading": "确定在卸载前收尾吗？",
+    "windDown.description": "此操作会停用应用、取消所有未付款的拆单费订单并释放全部履约保留，确保卸载后不会有订单被卡住。买家不会被收取拆单费。",
+    "windDown.pendingNote": "仍在处理中的请求会被跳过，处理完成后请再执行一次。",
+    "windDown.summary": "已关闭 {{closed}} 个请求，{{pending}} 个仍在处理中",
+    "windDown.confirm": "收尾",
+    "windDown.close": "关闭",
+
+    "table.primaryOrder": "原订单",
+    "table.paymentOrder": "拆单费订单",
+    "table.date": "日期",
+    "table.choice": "选择",
+    "table.parcels": "包裹数量",
+    "table.fee": "拆单费用",
+    "table.status": "状态",
+    "table.holds": "出货状态",
+
+    "deadJobs.heading": "{{count}} 个后台任务在多次重试后仍失败",
+    "deadJobs.attempts": "已尝试 {{count}} 次",
+
+    "request.cancelled": "已取消",
+    "request.viewHistory": "查看历程",
+    "request.choiceAgreed": "用户同意",
+    "request.choiceRefused": "用户拒绝",
+    "request.parcels": "拆 {{count}} 个包裹",
+    "request.shippingLevel": "档位：{{level}}档",
+    "request.feeFormula": "运费计算：{{perParcel}} × {{count}}",
+    "request.reminded": "已提醒 {{count}} 次",
+    "request.feeWaived": "已免拆单费",
+    "request.adjusted": "已人工调整",
+
+    "holds.allReleased": "全部已释放",
+    "holds.actionRequired": "待处理",
+    "holds.released": "已释放",
+    "holds.onHold": "保留中",
+    "holds.fulfillmentOrder": "履约订单 {{id}}",
+    "holds.fulfillmentOrderAt": "履约订单 {{id}}，从{{location}}发货",
+
+    "status.PENDING": "待处理",
+    "status.APP_DISABLED": "已跳过：应用已停用",
+    "status.AWAITING_PAYMENT": "待支付拆单费",
+    "status.COMPLETED": "已完成",
+    "status.CANCELLED": "已取消",
+    "status.FAILED": "已失败",
+
+    "status.paymentWindow": "用户需在 {{hours}} 小时内完成支付",
+    "status.timeLeft": "付款倒计时：{{time}}",
+    "status.timeLeftValue": "{{hours}}小时 {{minutes}}分",
+    "status.expired": "已超时",
+    "status.paymentOrderNotCancelled": "注意：拆单费订单仍未取消",
+    "status.checkPaymentOrder": "建议检查拆单费订单状态，并进行相应处理",
+    "status.primaryOrderNotCancelled": "注意：原订单仍未取消",
+    "status.checkPrimaryOrder": "建议检查原订单状态，并进行相应处理",
+    "status.bothCancelled": "原订单和拆单费订单均已取消",
+
+    "errorLog.open": "查看错误日志",
+    "errorLog.heading": "错误日志",
+    "errorLog.failedHeading": "处理失败",
+    "errorLog.failedDescription": "拆单流程失败，请将以下日志提供给开发人员。",
+    "errorLog.details": "错误详情",
+    "errorLog.empty": "没有错误详情。",
+    "errorLog.copyTip": "提示：选取文字即可复制",
+    "errorLog.retry": "重试",
+    "errorLog.retryNotStarted": "未能开始重试",
+    "errorLog.retryQueued": "已排入重试",
+    "errorLog.resumingFrom": "将从「{{phase}}」继续。请几秒后刷新查看结果。",
+
+    "analytics.heading": "拆单费分析",
+    "analytics.utcNote": "请求按创建日期（UTC）统计。",
+    "analytics.acceptance": "同意拆单比例",
+    "analytics.acceptanceDetails": "{{agreed}} 同意 · {{refused}} 拒绝",
+    "analytics.conversion": "付款转化率",
+    "analytics.conversionDetails": "{{invoiced}} 张账单中已付 {{paid}} 张",
+    "analytics.revenue": "已收拆单费",
+    "analytics.lost": "超时 / 取消流失",
+    "analytics.averageParcels": "平均包裹数",
+    "analytics.eligible": "符合条件订单",
+    "analytics.byCountry": "按国家 / 地区",
+    "analytics.byLevel": "按运费档位",
+    "analytics.unknownCountry": "未知",
+    "analytics.empty": "此期间没有拆单请求。",
+
+    "resumePhase.SPLIT": "拆分履约订单",
+    "resumePhase.HOLD": "保留拆分后的履约订单",
+    "resumePhase.CREATE_DRAFT_ORDER": "创建付款草稿订单",
+    "resumePhase.COMPLETE_DRAFT_ORDER": "完成付款草稿订单",
+    "resumePhase.SEND_INVOICE": "发送账单",
+    "resumePhase.FINALIZE": "标记为待支付",
+    "resumePhase.RELEASE_HOLDS": "解除已付款订单的保留",
+};
+
+const zhTW = {
+    "dashboard.refresh": "重新整理資料",
+    "dashboard.export": "匯出 CSV",
+    "dashboard.exportFailed": "匯出失敗，請重試",
+    "dashboard.enableApp": "啟用應用程式",
+    "dashboard.enableAppDetails": "停用期間，新訂單不會被拆分",
+    "dashboard.empty": "尚無拆單紀錄。",
+    "dashboard.noMatches": "沒有符合篩選條件的請求。",
+
+    "filters.search": "搜尋訂單編號或顧客電子郵件",
+    "filters.status": "狀態",
+    "filters.allStatuses": "全部狀態",
+    "filters.choice": "用戶選擇",
+    "filters.anyChoice": "全部選擇",
+    "filters.level": "運費檔位",
+    "filters.anyLevel": "全部檔位",
+    "filters.from": "建立日期從",
+    "filters.to": "建立日期至",
+    "filters.pageSize": "每頁列數",
+    "filters.cancelled": "僅顯示已取消訂單",
+    "filters.lastDays": "最近 {{days}} 天",
+    "filters.expiresWithin": "{{hours}} 小時內到期",
+    "filters.results": "共 {{count}} 個請求",
+    "filters.clear": "清除篩選",
+
+    "views.all": "全部請求",
+    "views.expiring-soon": "待付款，6 小時內到期",
+    "views.failed-this-week": "本週失敗",
+    "views.cancelled": "已取消訂單",
+    "views.name": "將篩選條件儲存為",
+    "views.save": "儲存檢視",
+    "views.delete": "刪除檢視 {{name}}",
+
+    "windDown.button": "解除安裝前收尾",
+    "windDown.heading": "確定在解除安裝前收尾嗎？",
+    "windDown.description": "此操作會停用應用程式、取消所有未付款的拆單費訂單並釋放全部出貨保留，確保解除安裝後不會有訂單被卡住。買家不會被收取拆單費。",
+    "windDown.pendingNote": "仍在處理中的請求會被略過，處理完成後請再執行一次。",
+    "windDown.summary": "已關閉 {{closed}} 個請求，{{pending}} 個仍在處理中",
+    "windDown.confirm": "收尾",
+    "windDown.close": "關閉",
+
+    "table.primaryOrder": "原訂單",
+    "table.paymentOrder": "拆單費訂單",
+    "table.date": "日期",
+    "table.choice": "選擇",
+    "table.parcels": "包裹數量",
+    "table.fee": "拆單費用",
+    "table.status": "狀態",
+    "table.holds": "出貨狀態",
+
+    "deadJobs.heading": "{{count}} 個背景工作在多次重試後仍失敗",
+    "deadJobs.attempts": "已嘗試 {{count}} 次",
+
+    "request.cancelled": "已取消",
+    "request.viewHistory": "查看歷程",
+    "request.choiceAgreed": "用戶同意",
+    "request.choiceRefused": "用戶拒絕",
+    "request.parcels": "拆 {{count}} 個包裹",
+    "request.shippingLevel": "檔位：{{level}}檔",
+    "request.feeFormula": "運費計算：{{perParcel}} × {{count}}",
+    "request.reminded": "已提醒 {{count}} 次",
+    "request.feeWaived": "已免拆單費",
+    "request.adjusted": "已人工調整",
+
+    "holds.allReleased": "全部已釋放",
+    "holds.actionRequired": "待處理",
+    "holds.released": "已釋放",
+    "holds.onHold": "保留中",
+    "holds.fulfillmentOrder": "出貨單 {{id}}",
+    "holds.fulfillmentOrderAt": "出貨單 {{id}}，從{{location}}出貨",
+
+    "status.PENDING": "待處理",
+    "status.APP_DISABLED": "已略過：應用程式已停用",
+    "status.AWAITING_PAYMENT": "待支付拆單費",
+    "status.COMPLETED": "已完成",
+    "status.CANCELLED": "已取消",
+    "status.FAILED": "已失敗",
+
+    "status.paymentWindow": "用戶需在 {{hours}} 小時內完成付款",
+    "status.timeLeft": "付款倒數：{{time}}",
+    "status.timeLeftValue": "{{hours}}小時 {{minutes}}分",
+    "status.expired": "已逾時",
+    "status.paymentOrderNotCancelled": "注意：拆單費訂單仍未取消",
+    "status.checkPaymentOrder": "建議檢查拆單費訂單狀態，並進行相應處理",
+    "status.primaryOrderNotCancelled": "注意：原訂單仍未取消",
+    "status.checkPrimaryOrder": "建議檢查原訂單狀態，並進行相應處理",
+    "status.bothCancelled": "原訂單和拆單費訂單均已取消",
+
+    "errorLog.open": "查看錯誤日誌",
+    "errorLog.heading": "錯誤日誌",
+    "errorLog.failedHeading": "處理失敗",
+    "errorLog.failedDescription": "拆單流程失敗，請將以下日誌提供給開發人員。",
+    "errorLog.details": "錯誤詳情",
+    "errorLog.empty": "沒有錯誤詳情。",
+    "errorLog.copyTip": "提示：選取文字即可複製",
+    "errorLog.retry": "重試",
+    "errorLog.retryNotStarted": "未能開始重試",
+    "errorLog.retryQueued": "已排入重試",
+    "errorLog.resumingFrom": "將從「{{phase}}」繼續。請幾秒後重新整理查看結果。",
+
+    "analytics.heading": "拆單費分析",
+    "analytics.utcNote": "請求按建立日期（UTC）統計。",
+    "analytics.acceptance": "同意拆單比例",
+    "analytics.acceptanceDetails": "{{agreed}} 同意 · {{refused}} 拒絕",
+    "analytics.conversion": "付款轉換率",
+    "analytics.conversionDetails": "{{invoiced}} 張帳單中已付 {{paid}} 張",
+    "analytics.revenue": "已收拆單費",
+    "analytics.lost": "逾時 / 取消流失",
+    "analytics.averageParcels": "平均包裹數",
+    "analytics.eligible": "符合條件訂單",
+    "analytics.byCountry": "按國家 / 地區",
+    "analytics.byLevel": "按運費檔位",
+    "analytics.unknownCountry": "未知",
+    "analytics.empty": "此期間沒有拆單請求。",
+
+    "resumePhase.SPLIT": "拆分出貨單",
+    "resumePhase.HOLD": "保留拆分後的出貨單",
+    "resumePhase.CREATE_DRAFT_ORDER": "建立付款草稿訂單",
+    "resumePhase.COMPLETE_DRAFT_ORDER": "完成付款草稿訂單",
+    "resumePhase.SEND_INVOICE": "寄送帳單",
+    "resumePhase.FINALIZE": "標記為待付款",
+    "resumePhase.RELEASE_HOLDS": "解除已付款訂單的保留",
+};
+
+// Hong Kong wording where it differs from Taiwan
+const zhHK = {
+    ...zhTW,
+    "dashboard.refresh": "重新載入資料",
+    "dashboard.empty": "暫無拆單紀錄。",
+    "filters.search": "搜尋訂單編號或客戶電郵",
+    "windDown.button": "解除安裝前善後",
+    "windDown.heading": "確定在解除安裝前善後嗎？",
+    "windDown.confirm": "善後",
+    "deadJobs.heading": "{{count}} 個後台工作在多次重試後仍失敗",
+    "holds.fulfillmentOrder": "履單 {{id}}",
+    "holds.fulfillmentOrderAt": "履單 {{id}}，由{{location}}出貨",
+    "resumePhase.SPLIT": "拆分履單",
+    "resumePhase.HOLD": "保留拆分後的履單",
+    "resumePhase.SEND_INVOICE": "發送帳單",
+    "errorLog.resumingFrom": "將從「{{phase}}」繼續。請幾秒後重新載入查看結果。",
+};
+
+export const ADMIN_MESSAGES = { en, "zh-CN": zhCN, "zh-TW": zhTW, "zh-HK": zhHK };
+
+/**
+ * The staff member's admin locale: the online session's user locale, else the `locale`
+ * query param Shopify adds to embedded app URLs, else the browser's Accept-Language.
+ */
+export function getAdminLocale(request, session) {
+    const userLocale = session?.onlineAccessInfo?.associated_user?.locale;
+    const urlLocale = new URL(request.url).searchParams.get("locale");
+    const browserLocale = request.headers.get("Accept-Language")?.split(",")[0]?.split(";")[0];
+
+    return resolveLocale(userLocale || urlLocale || browserLocale);
+}
+
+/**
+ * `t(key, values)` for a locale. Missing keys fall back to English, then to the key itself.
+ */
+export function createTranslator(locale) {
+    const messages = ADMIN_MESSAGES[locale] || en;
+
+    return (key, values = {}) => {
+        const message = messages[key] ?? en[key] ?? key;
+        return message.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] == null ? match : String(values[name])));
+    };
+}
+
+export const I18nContext = createContext(createTranslator("en"));
+
+export function useTranslation() {
+    return useContext(I18nContext);
+}
@@ -0,0 +1,44 @@
+// app/helpers/fee-collection.js
+// "Charge at checkout": the checkout extension adds the shop's fee variant to the cart, the
+// cart transform function (extensions/split-fee-cart-transform) prices it, and the orders/create
+// webhook recognises it. Shared by all three, so it must stay free of server-only imports.
+
+export const FEE_COLLECTION_MODES = ["INVOICE", "CHECKOUT"];
+
+// Line attribute marking the fee line; the leading underscore hides it from the buyer
+export const FEE_LINE_ATTRIBUTE = "_split_fee";
+
+/**
+ * The fee line of an order webhook payload (`line_items` with `variant_id` and `properties`), or null.
+ * Only a line of the shop's fee variant (`fee_variant_id`, a ProductVariant GID) counts:
+ * buyers can put the attribute on any product.
+ */
+export function findFeeLineItem(lineItems, feeVariantId) {
+    if (!feeVariantId) return null;
+    const variantId = String(feeVariantId).split("/").pop();
+
+    return (lineItems || []).find(item =>
+        String(item.variant_id) === variantId
+        && (item.properties || []).some(property => property.name === FEE_LINE_ATTRIBUTE)
+    ) ?? null;
+}
+
+/**
+ * What a fee line was priced at by the cart transform, before discounts.
+ */
+export function getFeeLinePrice(item) {
+    const unitPrice = Number(item.price_set?.presentment_money?.amount ?? item.price ?? 0);
+    return Math.round(unitPrice * (item.quantity || 1) * 100) / 100;
+}
+
+/**
+ * What the buyer paid for a fee line, in the presentment currency (discounts deducted).
+ */
+export function getFeeLineAmount(item) {
+    const unitPrice = Number(item.price_set?.presentment_money?.amount ?? item.price ?? 0);
+    const discount = (item.discount_allocations || []).reduce((sum, allocation) => {
+        return sum + Number(allocation.amount_set?.presentment_money?.amount ?? allocation.amount ?? 0);
+    }, 0);
+
+    return Math.round((unitPrice * (item.quantity || 1) - discount) * 100) / 100;
+}
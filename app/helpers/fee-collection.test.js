@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { FEE_LINE_ATTRIBUTE, findFeeLineItem, getFeeLinePrice } from "./fee-collection";
+
+const FEE_VARIANT_ID = "gid://shopify/ProductVariant/9001";
+
+function lineItem({ variantId, price, quantity = 1, feeAttribute = false }) {
+    return {
+        variant_id: variantId,
+        quantity,
+        price,
+        price_set: { presentment_money: { amount: price, currency_code: "USD" } },
+        properties: feeAttribute ? [{ name: FEE_LINE_ATTRIBUTE, value: "true" }] : []
+    };
+}
+
+describe("findFeeLineItem", () => {
+    it("finds the shop's fee variant carrying the fee attribute", () => {
+        const feeLine = lineItem({ variantId: 9001, price: "25.00", feeAttribute: true });
+        expect(findFeeLineItem([lineItem({ variantId: 1001, price: "200.00" }), feeLine], FEE_VARIANT_ID)).toBe(feeLine);
+    });
+
+    it("ignores the fee attribute on any other product", () => {
+        const items = [lineItem({ variantId: 1001, price: "1.00", feeAttribute: true })];
+        expect(findFeeLineItem(items, FEE_VARIANT_ID)).toBeNull();
+    });
+
+    it("finds nothing when the shop has no fee variant", () => {
+        const items = [lineItem({ variantId: 9001, price: "25.00", feeAttribute: true })];
+        expect(findFeeLineItem(items, null)).toBeNull();
+    });
+});
+
+describe("getFeeLinePrice", () => {
+    it("is the line price before discounts", () => {
+        expect(getFeeLinePrice({ ...lineItem({ variantId: 9001, price: "12.50", quantity: 2 }), discount_allocations: [{ amount: "5.00" }] })).toBe(25);
+    });
+});
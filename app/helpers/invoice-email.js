@@ -0,0 +1,136 @@
+// app/helpers/invoice-email.js
+// Split-fee invoice emails (sent through `orderInvoiceSend`): built-in templates, locale
+// fallback and placeholder rendering. Shared by the server and the template editor preview,
+// so it must stay free of server-only imports.
+
+import { SUPPORTED_LOCALES, resolveLocale } from "./locales";
+import { formatMoney } from "./money";
+
+export const EMAIL_LOCALES = SUPPORTED_LOCALES;
+
+export const TEMPLATE_KINDS = {
+    INVOICE: "INVOICE", // Sent right after the payment order is created
+    REMINDER: "REMINDER", // Re-sent before the deadline (see app/services/reminderService.server.js)
+};
+
+export const PLACEHOLDERS = ["order_name", "amount", "parcels", "deadline", "hours_left"];
+
+const PAY_STEPS = {
+    en: `• If payment is completed: We will immediately split and ship the parcel.<br>• If payment is not completed: Your original order will be automatically canceled.<br><br>Thank you for your cooperation.`,
+    "zh-CN": `• 如完成支付：我们将立即为您拆分包裹并发出。<br>• 如超时未付：系统将自动取消您的原始订单。<br><br>感谢您的配合。`,
+    "zh-TW": `• 如完成付款：我們將立即為您拆分包裹並出貨。<br>• 如逾時未付：系統將自動取消您的原始訂單。<br><br>感謝您的配合。`,
+    "zh-HK": `• 如完成付款：我們將立即為您拆分包裹並發貨。<br>• 如逾時未付：系統將自動取消您的原始訂單。<br><br>感謝您的配合。`,
+};
+
+/**
+ * Used for every locale a shop has not customised.
+ */
+export const DEFAULT_TEMPLATES = {
+    INVOICE: {
+        en: {
+            subject: `[Invoice] Order {{order_name}} Split Parcel Additional Shipping (Please pay by {{deadline}})`,
+            body: `This invoice is associated with your original order: {{order_name}}.<br><br>Important Notice: You selected "Split Parcel" at checkout to ensure safer shipping. This is an additional shipping fee invoice of {{amount}} for {{parcels}} parcels. Click the "Pay Now" button in the email to proceed to checkout, <br><strong>Please complete payment by {{deadline}}.</strong><br><br>${PAY_STEPS.en}`
+        },
+        "zh-CN": {
+            subject: `[付款单] 订单 {{order_name}} 拆分包裹补款通知 (请在 {{deadline}} 前完成)`,
+            body: `此账单关联您的原始订单：{{order_name}}。<br><br>重要提示：您在结账时选择了“拆分包裹”以获得更安全的运输保障。这是为您生成的额外运费账单（{{parcels}} 个包裹，共 {{amount}}）。请点击邮件中的 “立即支付” 按钮进入结账页面，<br><strong>请务必在 {{deadline}} 前完成支付。</strong><br><br>${PAY_STEPS["zh-CN"]}`
+        },
+        "zh-TW": {
+            subject: `[付款單] 訂單 {{order_name}} 拆分包裹補款通知 (請於 {{deadline}} 前完成)`,
+            body: `此帳單關聯您的原始訂單：{{order_name}}。<br><br>重要提示：您在結帳時選擇了「拆分包裹」以獲得更安全的運送保障。這是為您產生的額外運費帳單（{{parcels}} 個包裹，共 {{amount}}）。請點擊郵件中的「立即付款」按鈕進入結帳頁面，<br><strong>請務必於 {{deadline}} 前完成付款。</strong><br><br>${PAY_STEPS["zh-TW"]}`
+        },
+        "zh-HK": {
+            subject: `[付款單] 訂單 {{order_name}} 拆分包裹補款通知 (請於 {{deadline}} 前完成)`,
+            body: `此帳單關聯您的原始訂單：{{order_name}}。<br><br>重要提示：您在結帳時選擇了「拆分包裹」以獲得更安全的運送保障。這是為您產生的額外運費帳單（{{parcels}} 個包裹，共 {{amount}}）。請按郵件中的「立即付款」按鈕進入結帳頁面，<br><strong>請務必於 {{deadline}} 前完成付款。</strong><br><br>${PAY_STEPS["zh-HK"]}`
+        },
+    },
+    REMINDER: {
+        en: {
+            subject: `[Reminder] Order {{order_name}} Split Parcel Additional Shipping ({{hours_left}} hours left)`,
+            body: `This is a reminder for the additional shipping invoice of {{amount}} for your order {{order_name}}.<br><br><strong>Only {{hours_left}} hours are left to complete payment (deadline: {{deadline}}).</strong> Click the "Pay Now" button in the email to proceed to checkout.<br><br>${PAY_STEPS.en}`
+        },
+        "zh-CN": {
+            subject: `[付款提醒] 订单 {{order_name}} 拆分包裹补款 (剩余 {{hours_left}} 小时)`,
+            body: `提醒您，订单 {{order_name}} 的拆分包裹补款（{{amount}}）尚未完成。<br><br><strong>距离付款截止（{{deadline}}）仅剩 {{hours_left}} 小时。</strong>请点击邮件中的 “立即支付” 按钮进入结账页面。<br><br>${PAY_STEPS["zh-CN"]}`
+        },
+        "zh-TW": {
+            subject: `[付款提醒] 訂單 {{order_name}} 拆分包裹補款 (剩餘 {{hours_left}} 小時)`,
+            body: `提醒您，訂單 {{order_name}} 的拆分包裹補款（{{amount}}）尚未完成。<br><br><strong>距離付款截止（{{deadline}}）僅剩 {{hours_left}} 小時。</strong>請點擊郵件中的「立即付款」按鈕進入結帳頁面。<br><br>${PAY_STEPS["zh-TW"]}`
+        },
+        "zh-HK": {
+            subject: `[付款提醒] 訂單 {{order_name}} 拆分包裹補款 (剩餘 {{hours_left}} 小時)`,
+            body: `提醒您，訂單 {{order_name}} 的拆分包裹補款（{{amount}}）尚未完成。<br><br><strong>距離付款截止（{{deadline}}）僅剩 {{hours_left}} 小時。</strong>請按郵件中的「立即付款」按鈕進入結帳頁面。<br><br>${PAY_STEPS["zh-HK"]}`
+        },
+    },
+};
+
+/**
+ * Pick the template locale for a buyer locale, falling back to the shop default.
+ */
+export function resolveEmailLocale(buyerLocale, defaultLocale = "zh-CN") {
+    return resolveLocale(buyerLocale, defaultLocale);
+}
+
+/**
+ * Replace `{{placeholder}}`s with their values. Unknown placeholders are left as is.
+ * Values are HTML-escaped unless `html` is false (plain-text subjects).
+ */
+export function renderTemplate(text, values, { html = true } = {}) {
+    return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        if (values[key] == null) return match;
+        return html ? escapeHtml(String(values[key])) : String(values[key]);
+    });
+}
+
+/**
+ * Render a template into the `EmailInput` fields of `orderInvoiceSend`.
+ */
+export function renderEmail(template, values) {
+    return {
+        subject: renderTemplate(template.subject, values, { html: false }),
+        customMessage: renderTemplate(template.body, values)
+    };
+}
+
+/**
+ * Placeholder values for a request, formatted for the email locale.
+ * The deadline is shown in `timeZone` (the shop's IANA time zone) with its abbreviation,
+ * so buyers can tell when it is whatever the server's time zone.
+ */
+export function getEmailValues(locale, { orderName, amount, currencyCode = null, parcels, deadline, timeZone = "UTC", now = new Date() }) {
+    const deadlineDate = new Date(deadline);
+    return {
+        order_name: orderName,
+        amount: formatMoney(amount, currencyCode, locale),
+        parcels,
+        deadline: formatDeadline(deadlineDate, locale, timeZone),
+        hours_left: Math.max(0, Math.ceil((deadlineDate.getTime() - now.getTime()) / (60 * 60 * 1000)))
+    };
+}
+
+function formatDeadline(date, locale, timeZone) {
+    const format = (zone) => new Intl.DateTimeFormat(locale, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+        timeZone: zone,
+        timeZoneName: "short"
+    }).format(date);
+
+    // An unknown zone name throws; UTC is still unambiguous
+    try {
+        return format(timeZone || "UTC");
+    } catch {
+        return format("UTC");
+    }
+}
+
+function escapeHtml(value) {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
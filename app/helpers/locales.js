@@ -0,0 +1,28 @@
+// app/helpers/locales.js
+// Locales the app ships translations for (admin, invoice emails and checkout extensions),
+// and how any Shopify locale maps onto them.
+
+export const SUPPORTED_LOCALES = ["en", "zh-CN", "zh-TW", "zh-HK"];
+
+/**
+ * Pick the supported locale for a Shopify / browser locale: exact match (zh-TW), then same
+ * language (en-US -> en, zh-Hant-TW -> zh-TW), then `fallback`.
+ */
+export function resolveLocale(locale, fallback = "en") {
+    if (!locale) return fallback;
+
+    const normalized = locale.replace("_", "-");
+    const exact = SUPPORTED_LOCALES.find((code) => code.toLowerCase() === normalized.toLowerCase());
+    if (exact) return exact;
+
+    const [language, ...rest] = normalized.toLowerCase().split("-");
+    if (language === "zh") {
+        // Region first (zh-Hant-HK), then script (zh-Hant -> Taiwan, zh-Hans -> Mainland)
+        if (rest.includes("hk") || rest.includes("mo")) return "zh-HK";
+        if (rest.includes("tw") || rest.includes("hant")) return "zh-TW";
+        if (rest.includes("cn") || rest.includes("hans") || rest.includes("sg")) return "zh-CN";
+        return fallback.startsWith("zh") ? fallback : "zh-CN";
+    }
+
+    return SUPPORTED_LOCALES.find((code) => code === language) ?? fallback;
+}
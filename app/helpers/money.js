@@ -0,0 +1,11 @@
+// app/helpers/money.js
+// Formatting split fees for people. Fees carry the currency the buyer was charged in;
+// requests created before that have none and keep the original dollar format.
+
+/**
+ * Format `amount` in `currencyCode` for `locale` (e.g. "HK$25.00", "¥25.00").
+ */
+export function formatMoney(amount, currencyCode = null, locale = "en") {
+    if (!currencyCode) return `$${Number(amount || 0).toFixed(2)}`;
+    return new Intl.NumberFormat(locale, { style: "currency", currency: currencyCode }).format(Number(amount || 0));
+}
@@ -0,0 +1,193 @@
+// app/helpers/parcel-plan.js
+// The single parcel-splitting engine. Imported by the server (app/helpers/fulfillment-split.js)
+// AND by the checkout extension (extensions/fulfillment-split/src/utils.js), so it must stay
+// free of server-only imports.
+
+const dollarsToCents = (val) => Math.round(val * 100);
+const toCents = (val) => Math.round(parseFloat(val) * 100);
+
+// Used when a caller passes no zone settings (see ./shipping-zones.js)
+export const DEFAULT_FULFILLMENT_CAP = 270;
+
+/**
+ * Normalize checkout cart lines (`shopify.lines.value`).
+ * Items are valued at their discounted line total, in the buyer's presentment currency.
+ */
+export function toPlanLinesFromCart(lines) {
+    return (lines || []).map((line) => ({
+        id: line?.id ?? null,
+        quantity: line?.quantity | 0,
+        amount: line?.cost?.totalAmount?.amount ?? null,
+        currencyCode: line?.cost?.totalAmount?.currencyCode ?? null
+    }));
+}
+
+/**
+ * Normalize order webhook `line_items`.
+ * Uses the presentment price minus discount allocations so the value matches what checkout saw.
+ */
+export function toPlanLinesFromOrder(lineItems) {
+    return (lineItems || []).map((item) => {
+        const unitPrice = item?.price_set?.presentment_money?.amount ?? item?.price;
+        if (!item || unitPrice == null) {
+            return { id: item?.admin_graphql_api_id ?? null, quantity: 0, amount: null, currencyCode: null };
+        }
+
+        const quantity = item.quantity | 0;
+        const discountCents = (item.discount_allocations || []).reduce((sum, allocation) => {
+            return sum + toCents(allocation.amount_set?.presentment_money?.amount ?? allocation.amount ?? 0);
+        }, 0);
+
+        return {
+            id: item.admin_graphql_api_id,
+            quantity,
+            amount: (toCents(unitPrice) * quantity - discountCents) / 100,
+            currencyCode: item.price_set?.presentment_money?.currency_code ?? null
+        };
+    });
+}
+
+/**
+ * Split normalized lines into parcels whose declared value stays under the cap.
+ *
+ * Returns the full plan:
+ * {
+ *   fulfillmentCount: number,
+ *   currencyCode: string|null,
+ *   parcels: [{ valueCents: number, items: [{ lineIndex, lineId, quantity }] }]
+ * }
+ *
+ * Rules:
+ * - Every unit above the cap ("heavy") ships alone, and may absorb up to
+ *   `absorbItemsPerHeavy` cheap units worth at most `absorbPerHeavy` in total.
+ * - Remaining units are packed First-Fit Decreasing.
+ * - Zero-priced units ride along in the first parcel.
+ */
+export function planParcels(planLines, opts = {}) {
+    const capCents = dollarsToCents(opts.cap ?? DEFAULT_FULFILLMENT_CAP);
+    const absorbPerHeavyCents = dollarsToCents(opts.absorbPerHeavy ?? 60);
+    const absorbItemsPerHeavy = opts.absorbItemsPerHeavy ?? 2;
+
+    // 1) Explode Lines into Individual Units
+    const allUnits = [];
+    let currencyCode = null;
+
+    planLines.forEach((line, lineIndex) => {
+        if (!line || line.amount == null) return;
+
+        const quantity = line.quantity | 0;
+        if (quantity <= 0) return;
+
+        if (currencyCode == null) currencyCode = line.currencyCode ?? null;
+
+        // Distribute the line total evenly across units
+        const totalCents = toCents(line.amount);
+        const base = Math.floor(totalCents / quantity);
+        const remainder = totalCents - base * quantity;
+
+        for (let i = 0; i < quantity; i++) {
+            allUnits.push({
+                price: i < remainder ? base + 1 : base,
+                lineIndex,
+                lineId: line.id
+            });
+        }
+    });
+
+    // 2) Separate Zero-Price, Heavy, and Non-Heavy
+    const zeroUnits = [];
+    const heavyUnits = [];
+    const nonHeavyUnits = [];
+
+    for (const u of allUnits) {
+        if (u.price <= 0) zeroUnits.push(u);
+        else if (u.price > capCents) heavyUnits.push(u);
+        else nonHeavyUnits.push(u);
+    }
+
+    // Heavy parcels: 1 heavy unit per parcel
+    const heavyParcels = heavyUnits.map(u => ({
+        anchor: u,
+        absorbed: []
+    }));
+
+    // 3) Absorption: Heavy parcels absorb cheap items
+    // Sort cheapest first to maximize count absorbed
+    nonHeavyUnits.sort((a, b) => a.price - b.price);
+    let toAbsorb = [...nonHeavyUnits];
+
+    for (const parcel of heavyParcels) {
+        let budgetCents = absorbPerHeavyCents;
+        let budgetItems = absorbItemsPerHeavy;
+
+        for (let i = 0; i < toAbsorb.length; i++) {
+            const unit = toAbsorb[i];
+            if (!unit) continue;
+
+            if (budgetItems > 0 && budgetCents >= unit.price) {
+                parcel.absorbed.push(unit);
+                budgetItems--;
+                budgetCents -= unit.price;
+                toAbsorb[i] = null;
+            }
+        }
+
+        toAbsorb = toAbsorb.filter(u => u !== null);
+    }
+
+    // 4) Bin Packing for Residuals (First-Fit Decreasing)
+    const residualUnits = toAbsorb.sort((a, b) => b.price - a.price);
+    const residualBins = [];
+
+    for (const unit of residualUnits) {
+        const bin = residualBins.find(b => b.capacity >= unit.price);
+
+        if (bin) {
+            bin.units.push(unit);
+            bin.capacity -= unit.price;
+        } else {
+            residualBins.push({ capacity: capCents - unit.price, units: [unit] });
+        }
+    }
+
+    // 5) Consolidate Results
+    const parcelUnits = [
+        ...heavyParcels.map(p => [p.anchor, ...p.absorbed]),
+        ...residualBins.map(b => b.units)
+    ];
+
+    // Zero-price items: put into first parcel if possible, else new parcel
+    if (zeroUnits.length > 0) {
+        if (parcelUnits.length > 0) parcelUnits[0].push(...zeroUnits);
+        else parcelUnits.push(zeroUnits);
+    }
+
+    const parcels = parcelUnits.map(consolidateUnits);
+
+    return {
+        fulfillmentCount: parcels.length,
+        currencyCode,
+        parcels
+    };
+}
+
+/**
+ * Consolidate units into a parcel: total declared value + quantity per line.
+ */
+function consolidateUnits(units) {
+    const items = new Map();
+    let valueCents = 0;
+
+    for (const u of units) {
+        valueCents += u.price;
+
+        const existing = items.get(u.lineIndex);
+        if (existing) {
+            existing.quantity += 1;
+        } else {
+            items.set(u.lineIndex, { lineIndex: u.lineIndex, lineId: u.lineId, quantity: 1 });
+        }
+    }
+
+    return { valueCents, items: Array.from(items.values()) };
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { calculateFulfillmentSplits } from "./fulfillment-split";
+import { DEFAULT_SHIPPING_ZONES, getPlanOptions, resolveShippingZone } from "./shipping-zones";
+import { recommendFulfillmentCount } from "../../extensions/fulfillment-split/src/utils";
+import { PARCEL_PLAN_CARTS } from "./__fixtures__/parcel-plan-carts";
+
+// The checkout extension reads cart lines (`shopify.lines.value`)
+function toCartLines({ lines, currencyCode }) {
+    return lines.map(({ id, quantity, unitPrice, discount }) => ({
+        id,
+        quantity,
+        cost: {
+            totalAmount: {
+                amount: (Math.round(Number(unitPrice) * 100) * quantity - Math.round(Number(discount) * 100)) / 100,
+                currencyCode
+            }
+        }
+    }));
+}
+
+// The server reads the orders/create `line_items`
+function toOrderLineItems({ lines, currencyCode }) {
+    return lines.map(({ id, quantity, unitPrice, discount }) => ({
+        admin_graphql_api_id: id,
+        quantity,
+        price: unitPrice,
+        price_set: { presentment_money: { amount: unitPrice, currency_code: currencyCode } },
+        discount_allocations: Number(discount) > 0
+            ? [{ amount_set: { presentment_money: { amount: discount, currency_code: currencyCode } } }]
+            : []
+    }));
+}
+
+describe("parcel plan parity", () => {
+    it.each(PARCEL_PLAN_CARTS.map(cart => [cart.name, cart]))("%s", (_name, cart) => {
+        const planOptions = getPlanOptions(resolveShippingZone(DEFAULT_SHIPPING_ZONES, cart.zone));
+
+        const checkoutPlan = recommendFulfillmentCount(toCartLines(cart), planOptions);
+        const serverPlan = calculateFulfillmentSplits(toOrderLineItems(cart), planOptions);
+
+        expect(serverPlan).toEqual(checkoutPlan);
+        expect(serverPlan.fulfillmentCount).toBe(cart.fulfillmentCount);
+        expect(serverPlan.currencyCode).toBe(cart.currencyCode);
+    });
+});
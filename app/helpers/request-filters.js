@@ -0,0 +1,82 @@
+// app/helpers/request-filters.js
+// URL search params <-> split request filters for the dashboard. Parsed the same way by the
+// loader (app/services/requestQueryService.server.js runs the query) and the filter bar.
+
+export const REQUEST_STATUSES = ["PENDING", "AWAITING_PAYMENT", "COMPLETED", "CANCELLED", "FAILED", "APP_DISABLED"];
+
+export const SORT_FIELDS = ["created_at", "expires_at", "additional_shipping_amount", "calculated_parcels", "status"];
+
+export const PAGE_SIZES = [15, 30, 50, 100];
+
+// Every param the filter bar owns; cleared together by "Clear filters"
+export const FILTER_PARAMS = ["status", "choice", "from", "to", "days", "level", "cancelled", "expiresWithin", "q", "sort", "dir", "pageSize", "page"];
+
+/**
+ * Built-in views. `params` are applied on top of an empty filter set; relative
+ * windows (`days`, `expiresWithin`) keep them current without saving dates.
+ */
+export const PRESET_VIEWS = [
+    { id: "expiring-soon", params: { status: "AWAITING_PAYMENT", expiresWithin: "6", sort: "expires_at", dir: "asc" } },
+    { id: "failed-this-week", params: { status: "FAILED", days: "7" } },
+    { id: "cancelled", params: { cancelled: "1" } },
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read filters from URL search params. Invalid values are dropped rather than rejected,
+ * so a hand-edited URL still shows the dashboard.
+ */
+export function parseRequestFilters(searchParams) {
+    const get = (name) => searchParams.get(name)?.trim() || null;
+
+    const pageSize = parseInt(get("pageSize"), 10);
+    const page = parseInt(get("page"), 10);
+    const level = parseInt(get("level"), 10);
+    const days = parseInt(get("days"), 10);
+    const expiresWithin = parseInt(get("expiresWithin"), 10);
+    const choice = get("choice");
+
+    return {
+        status: REQUEST_STATUSES.includes(get("status")) ? get("status") : null,
+        choice: choice === "agreed" || choice === "refused" ? choice : null,
+        from: DATE_PATTERN.test(get("from") || "") ? get("from") : null,
+        to: DATE_PATTERN.test(get("to") || "") ? get("to") : null,
+        days: days > 0 ? days : null,
+        level: Number.isInteger(level) ? level : null,
+        cancelled: get("cancelled") === "1",
+        expiresWithin: expiresWithin > 0 ? expiresWithin : null,
+        q: get("q"),
+        sort: SORT_FIELDS.includes(get("sort")) ? get("sort") : "created_at",
+        dir: get("dir") === "asc" ? "asc" : "desc",
+        pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : PAGE_SIZES[0],
+        page: page > 0 ? page : 1,
+    };
+}
+
+/**
+ * True when any filter (not sorting or paging) is set.
+ */
+export function hasActiveFilters(filters) {
+    return Boolean(
+        filters.status || filters.choice || filters.from || filters.to || filters.days ||
+        filters.level != null || filters.cancelled || filters.expiresWithin || filters.q
+    );
+}
+
+/**
+ * The URL params a view stands for, e.g. to save or to compare with the current URL.
+ * Paging is left out, a view always opens on its first page.
+ */
+export function toViewQuery(searchParams) {
+    const params = new URLSearchParams();
+    FILTER_PARAMS
+        .filter((name) => name !== "page")
+        .forEach((name) => {
+            const value = searchParams.get(name);
+            if (value) params.set(name, value);
+        });
+
+    params.sort();
+    return params.toString();
+}
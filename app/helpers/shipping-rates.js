@@ -0,0 +1,93 @@
+// app/helpers/shipping-rates.js
+// Resolves the shipping tier + per-parcel fee of a delivery method from the shop's rate table.
+// Shared by the server and the checkout extension, so it must stay free of server-only imports.
+
+// Shop metafield that mirrors the rate table for the checkout extension
+export const SHIPPING_CONFIG_NAMESPACE = "fulfillment_split";
+export const SHIPPING_CONFIG_KEY = "shipping_config";
+
+export const RATE_MATCH_TYPES = ["TITLE", "HANDLE"];
+
+/**
+ * Rates used until a merchant saves their own table.
+ * `pattern` may list alternatives separated by "|".
+ * `country_code: null` applies to every country without a more specific row.
+ * `currency_code: null` (or missing) means the fee is in the shop currency.
+ */
+export const DEFAULT_SHIPPING_RATES = [
+    { match_type: "TITLE", pattern: "1档邮政|#1", country_code: "CN", shipping_level: 1, parcel_fee: 25 },
+    { match_type: "TITLE", pattern: "2档邮政|#2", country_code: "CN", shipping_level: 2, parcel_fee: 25 },
+    { match_type: "TITLE", pattern: "3档邮政|#3", country_code: "CN", shipping_level: 3, parcel_fee: 38 },
+    { match_type: "TITLE", pattern: "4档邮政|#4", country_code: "CN", shipping_level: 4, parcel_fee: 15 },
+    { match_type: "TITLE", pattern: "5档邮政|#5", country_code: "CN", shipping_level: 5, parcel_fee: 38 },
+    { match_type: "TITLE", pattern: "1档邮政|#1|2档邮政|#2|3档邮政|#3|4档邮政|#4|5档邮政|#5", country_code: null, shipping_level: 2, parcel_fee: 38 },
+];
+
+function matchesDeliveryMethod(rate, { title, handle }) {
+    const alternatives = String(rate.pattern || "").split("|").map(p => p.trim()).filter(Boolean);
+
+    if (rate.match_type === "HANDLE") {
+        return !!handle && alternatives.includes(handle);
+    }
+    return !!title && alternatives.some(p => title.includes(p));
+}
+
+/**
+ * Find the rate for a delivery method going to a country.
+ * - `title`: delivery option / shipping line title
+ * - `handle`: delivery option code (checkout `code`, order `shipping_lines.code`)
+ * - `currencyCode`: the buyer's presentment currency, if known
+ * A row for the exact country wins over a catch-all row. Within those, a row priced in the
+ * presentment currency wins over a shop-currency row; otherwise table order decides.
+ * Returns { shippingLevel, parcelFee, currencyCode } or null when nothing matches;
+ * `currencyCode` is null when the fee is in the shop currency.
+ */
+export function resolveShippingRate(rates, { title, handle, countryCode, currencyCode = null }) {
+    if (!countryCode || (!title && !handle)) return null;
+
+    const candidates = (rates || []).filter(rate =>
+        matchesDeliveryMethod(rate, { title, handle })
+        && (!rate.currency_code || rate.currency_code === currencyCode)
+    );
+    const byCurrency = (rows) => rows.find(r => r.currency_code) ?? rows[0];
+    const rate = byCurrency(candidates.filter(r => r.country_code === countryCode))
+        ?? byCurrency(candidates.filter(r => !r.country_code));
+
+    if (!rate) return null;
+
+    return {
+        shippingLevel: Number(rate.shipping_level),
+        parcelFee: Number(rate.parcel_fee),
+        currencyCode: rate.currency_code || null
+    };
+}
+
+/**
+ * The per-parcel fee of a resolved rate in the currency the buyer pays in.
+ * Shop-currency fees are converted with `exchangeRate` (presentment units per shop unit) and
+ * rounded to the currency's minor unit (cents, or whole yen); without a rate, or when the buyer pays in the shop currency, they are kept as is.
+ * Returns { amount, currencyCode }; `currencyCode` is null only when the shop currency is unknown.
+ */
+export function toPresentmentFee(shippingRate, { presentmentCurrency = null, shopCurrency = null, exchangeRate = null } = {}) {
+    if (shippingRate.currencyCode) {
+        return { amount: shippingRate.parcelFee, currencyCode: shippingRate.currencyCode };
+    }
+
+    if (!presentmentCurrency || presentmentCurrency === shopCurrency || !(exchangeRate > 0)) {
+        return { amount: shippingRate.parcelFee, currencyCode: shopCurrency || null };
+    }
+
+    return {
+        amount: roundToMinorUnit(shippingRate.parcelFee * exchangeRate, presentmentCurrency),
+        currencyCode: presentmentCurrency
+    };
+}
+
+// Shopify Functions run without Intl; they round to cents
+function roundToMinorUnit(amount, currencyCode) {
+    const digits = typeof Intl === "undefined"
+        ? 2
+        : new Intl.NumberFormat("en", { style: "currency", currency: currencyCode }).resolvedOptions().maximumFractionDigits;
+    const factor = 10 ** digits;
+    return Math.round(amount * factor) / factor;
+}
@@ -0,0 +1,37 @@
+// app/helpers/shipping-zones.js
+// Destination zones: which countries are offered splitting, and the parcel engine settings for each.
+// Shared by the server and the checkout extension, so it must stay free of server-only imports.
+
+/**
+ * Zones used until a merchant saves their own.
+ * - `value_cap`: customs value cap per parcel
+ * - `absorb_per_heavy` / `absorb_items_per_heavy`: how much a parcel holding one
+ *   over-cap item may additionally carry (value budget / item count)
+ */
+export const DEFAULT_SHIPPING_ZONES = [
+    { name: "Mainland China", country_codes: ["CN"], value_cap: 276, absorb_per_heavy: 60, absorb_items_per_heavy: 2, split_enabled: true },
+    { name: "Hong Kong", country_codes: ["HK"], value_cap: 500, absorb_per_heavy: 60, absorb_items_per_heavy: 2, split_enabled: true },
+    { name: "Taiwan", country_codes: ["TW"], value_cap: 500, absorb_per_heavy: 60, absorb_items_per_heavy: 2, split_enabled: true },
+];
+
+/**
+ * The zone a country belongs to, or null. Only zones that offer splitting are returned,
+ * so a null result means "do not offer / do not perform a split".
+ */
+export function resolveShippingZone(zones, countryCode) {
+    if (!countryCode) return null;
+
+    const zone = (zones || []).find(z => (z.country_codes || []).includes(countryCode));
+    return zone?.split_enabled ? zone : null;
+}
+
+/**
+ * Convert a zone into options for `planParcels` (app/helpers/parcel-plan.js).
+ */
+export function getPlanOptions(zone) {
+    return {
+        cap: Number(zone.value_cap),
+        absorbPerHeavy: Number(zone.absorb_per_heavy),
+        absorbItemsPerHeavy: Number(zone.absorb_items_per_heavy)
+    };
+}
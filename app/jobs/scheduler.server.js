@@ -0,0 +1,67 @@
+// app/jobs/scheduler.server.js
+// Runs periodic background tasks inside the app process.
+import { expiryService } from "@/app/services/expiryService.server";
+import { reminderService } from "@/app/services/reminderService.server";
+import { webhookInbox } from "@/app/services/webhookInbox.server";
+import { processDueJobs } from "@/app/jobs/worker.server";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const TASKS = [
+    {
+        name: "expire-unpaid-requests",
+        intervalMs: 5 * MINUTE,
+        run: () => expiryService.sweepExpiredRequests(),
+    },
+    {
+        name: "expire-unpaid-adjustments",
+        intervalMs: 5 * MINUTE,
+        run: () => expiryService.sweepExpiredAdjustments(),
+    },
+    {
+        name: "send-payment-reminders",
+        intervalMs: 5 * MINUTE,
+        run: () => reminderService.sendDueReminders(),
+    },
+    {
+        name: "process-background-jobs",
+        intervalMs: 10 * SECOND,
+        run: () => processDueJobs(),
+    },
+    {
+        name: "prune-webhook-inbox",
+        intervalMs: 60 * MINUTE,
+        run: () => webhookInbox.prune(),
+    },
+];
+
+/**
+ * Start every task on its own interval. Safe to call more than once:
+ * the timers live on `global` so dev-server reloads don't start duplicates.
+ * Set DISABLE_SCHEDULER=true on instances that should not run background tasks.
+ */
+export function startScheduler() {
+    if (process.env.DISABLE_SCHEDULER === "true" || global.schedulerGlobal) return;
+
+    global.schedulerGlobal = TASKS.map((task) => {
+        let running = false;
+
+        const tick = async () => {
+            // Never overlap runs of the same task
+            if (running) return;
+            running = true;
+            try {
+                await task.run();
+            } catch (error) {
+                console.error(`Scheduled task ${task.name} failed:`, error);
+            } finally {
+                running = false;
+            }
+        };
+
+        const timer = setInterval(tick, task.intervalMs);
+        timer.unref?.();
+        return timer;
+    });
+}
@@ -0,0 +1,59 @@
+// app/jobs/worker.server.js
+// Claims due jobs from the queue and runs their handler. Registered as a scheduler task.
+import { unauthenticated } from "@/app/shopify.server";
+import { jobQueue } from "@/app/services/jobQueue.server";
+import { splitWorkflow } from "@/app/services/splitWorkflow.server";
+
+export const JOB_TYPES = {
+    ORDER_CREATED: "split-fulfillment.order-created",
+    ORDER_EDITED: "split-fulfillment.order-edited",
+};
+
+// One order-created job per order, shared by webhook redeliveries and dashboard retries
+export const orderCreatedJobKey = (orderId) => `order-created:${orderId}`;
+
+// One order-edited job per committed edit
+export const orderEditedJobKey = (orderEditId) => `order-edited:${orderEditId}`;
+
+// `run` throws to request a retry; `onDead` runs once when the job is dead-lettered
+const HANDLERS = {
+    [JOB_TYPES.ORDER_CREATED]: {
+        run: async ({ shop, payload }) => {
+            const { admin } = await unauthenticated.admin(shop);
+            await splitWorkflow.processOrderCreated({ shop, admin, payload });
+        },
+        onDead: (jobPayload, errorMessage) => splitWorkflow.markOrderCreatedFailed(jobPayload, errorMessage),
+    },
+    [JOB_TYPES.ORDER_EDITED]: {
+        run: async ({ shop, payload }) => {
+            const { admin } = await unauthenticated.admin(shop);
+            await splitWorkflow.processOrderEdited({ shop, admin, payload });
+        },
+        onDead: (jobPayload, errorMessage) => splitWorkflow.markOrderEditFailed(jobPayload, errorMessage),
+    },
+};
+
+/**
+ * Run every due job once. Jobs run one after another to stay well under Shopify's API rate limits.
+ */
+export async function processDueJobs() {
+    const jobs = await jobQueue.claimDue();
+
+    for (const job of jobs) {
+        const handler = HANDLERS[job.type];
+
+        try {
+            if (!handler) throw new Error(`No handler registered for job type ${job.type}`);
+            await handler.run(job.payload);
+            await jobQueue.complete(job);
+        } catch (error) {
+            const isDead = await jobQueue.fail(job, error.message);
+            console.error(`❌ Job ${job.type} (${job.id}) attempt ${job.attempts}/${job.max_attempts} failed:`, error.message);
+
+            if (isDead) {
+                console.error(`💀 Job ${job.type} (${job.id}) moved to dead-letter.`);
+                await handler?.onDead?.(job.payload, error.message);
+            }
+        }
+    }
+}
@@ -0,0 +1,72 @@
+import { authenticate } from "@/app/shopify.server";
+import { supabase } from "@/app/supabase.server";
+import { getPaymentDeadline } from "@/app/helpers/fulfillment-split";
+
+// Statuses the buyer needs to know about. Everything else stays internal.
+const VISIBLE_STATUSES = ['AWAITING_PAYMENT', 'COMPLETED'];
+
+const legacyIdFromGid = (gid) => gid?.split('/').pop() || null;
+
+/**
+ * Called by the split-fee-status customer account extension.
+ * - `?orderId=<Order GID>`: the split request of that order (Order status page)
+ * - no params: every request still awaiting payment (Order index page)
+ * Only requests whose primary order belongs to the signed-in customer are returned.
+ * A COMPLETED request was paid only when `paid` is set.
+ */
+export const loader = async ({ request }) => {
+    const { sessionToken, cors } = await authenticate.public.customerAccount(request);
+
+    const shop = sessionToken.dest.replace(/^https?:\/\//, '');
+    const customerId = legacyIdFromGid(sessionToken.sub);
+    if (!customerId) {
+        return cors(Response.json({ requests: [] }));
+    }
+
+    const url = new URL(request.url);
+    const orderId = legacyIdFromGid(url.searchParams.get('orderId'));
+
+    let query = supabase
+        .from('additional_shipping_requests')
+        .select(`
+            status,
+            calculated_parcels,
+            additional_shipping_amount,
+            currency_code,
+            expires_at,
+            created_at,
+            invoice_url,
+            paid_at,
+            fee_waived,
+            primary_order:core_orders!primary_order_id!inner ( order_id, order_name, customer_id )
+        `)
+        .eq('shop_domain', shop)
+        .eq('user_choice', true)
+        .eq('primary_order.customer_id', customerId);
+
+    query = orderId
+        ? query.eq('primary_order_id', orderId).in('status', VISIBLE_STATUSES)
+        : query.eq('status', 'AWAITING_PAYMENT').order('created_at', { ascending: false });
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error("Customer account lookup failed:", error);
+        return cors(Response.json({ requests: [] }, { status: 500 }));
+    }
+
+    const requests = data.map((req) => ({
+        orderName: req.primary_order.order_name,
+        status: req.status,
+        parcels: req.calculated_parcels,
+        amount: req.additional_shipping_amount,
+        currencyCode: req.currency_code,
+        expiresAt: getPaymentDeadline(req).toISOString(),
+        invoiceUrl: req.invoice_url,
+        // Staff overrides also complete a request: waived, or holds released without payment
+        paid: Boolean(req.paid_at) && !req.fee_waived,
+        feeWaived: req.fee_waived,
+    }));
+
+    return cors(Response.json({ requests }));
+};
@@ -1,13 +1,23 @@
 import { useLoaderData, useSearchParams, useSubmit, Link, useFetcher, useRevalidator } from "react-router";
 import { supabase } from "../supabase.server";
 import { authenticate } from "../shopify.server";
-import { useState } from "react";
+import { PAYMENT_WINDOW_HOURS, getPaymentDeadline } from "../helpers/fulfillment-split";
+import { createTranslator, getAdminLocale, useTranslation } from "../helpers/admin-i18n";
+import { formatMoney } from "../helpers/money";
+import { jobQueue } from "../services/jobQueue.server";
+import { actors, auditService } from "../services/auditService.server";
+import { lifecycleService } from "../services/lifecycleService.server";
+import { requestQueryService } from "../services/requestQueryService.server";
+import { retryService } from "../services/retryService.server";
+import { shippingConfigService } from "../services/shippingConfigService.server";
+import { FILTER_PARAMS, PAGE_SIZES, PRESET_VIEWS, REQUEST_STATUSES, hasActiveFilters, parseRequestFilters, toViewQuery } from "../helpers/request-filters";
+import { Fragment, useState } from "react";
 
 // -----------------------------------------------------------------------------
 // 1. ACTION (Robust Save Logic)
 // -----------------------------------------------------------------------------
 export const action = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
 
@@ -29,9 +39,60 @@ export const action = async ({ request }) => {
       return { status: "error", message: `Database update failed: ${error}` };
     }
 
+    await auditService.record({
+      shop: session.shop,
+      type: "APP_TOGGLED",
+      actor: actors.staff(sessionToken),
+      message: data.app_enabled ? "App enabled" : "App disabled"
+    });
+
     return { status: "success", appEnabled: data.app_enabled };
   }
 
+  if (intent === "RETRY_REQUEST") {
+    try {
+      const resumePhase = await retryService.retryRequest(admin, session.shop, formData.get("requestId"), {
+        actor: actors.staff(sessionToken)
+      });
+      return { status: "success", intent, resumePhase };
+    } catch (error) {
+      return { status: "error", intent, message: error.message };
+    }
+  }
+
+  if (intent === "SAVE_VIEW") {
+    const name = String(formData.get("name") || "").trim();
+    const query = String(formData.get("query") || "");
+    if (!name || !query) {
+      return { status: "error", intent, message: "Name the view and set at least one filter first." };
+    }
+
+    try {
+      await requestQueryService.saveView(session.shop, { name, query });
+      return { status: "success", intent };
+    } catch (error) {
+      return { status: "error", intent, message: error.message };
+    }
+  }
+
+  if (intent === "DELETE_VIEW") {
+    try {
+      await requestQueryService.deleteView(session.shop, formData.get("viewId"));
+      return { status: "success", intent };
+    } catch (error) {
+      return { status: "error", intent, message: error.message };
+    }
+  }
+
+  if (intent === "WIND_DOWN") {
+    try {
+      const summary = await lifecycleService.windDown(admin, session.shop, actors.staff(sessionToken));
+      return { status: summary.errors.length ? "error" : "success", intent, summary };
+    } catch (error) {
+      return { status: "error", intent, summary: { closed: 0, pending: 0, errors: [error.message] } };
+    }
+  }
+
   return null;
 };
 
@@ -41,30 +102,39 @@ export const action = async ({ request }) => {
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
   const url = new URL(request.url);
+  const locale = getAdminLocale(request, session);
+  const t = createTranslator(locale);
 
-  const page = parseInt(url.searchParams.get("page") || "1", 10);
-  const limit = 15;
+  // Filters, sort and paging all come from the URL (see app/helpers/request-filters.js)
+  const filters = parseRequestFilters(url.searchParams);
+  const { page, pageSize: limit } = filters;
   const offset = (page - 1) * limit;
 
-  // Parallel Fetch: Requests + Settings
-  const [requestsResponse, settingsResponse] = await Promise.all([
-    supabase
-      .from("additional_shipping_requests")
-      .select(`
-        *,
+  const requestsQuery = await requestQueryService.buildQuery(session.shop, filters, {
+    columns: `
+      *,
       primary_order:core_orders!primary_order_id ( order_name, shop_domain, order_id ),
       payment_order:core_orders!payment_order_id ( order_name, shop_domain, order_id ),
       fulfillment_holds:additional_shipping_request_fulfillment_holds ( * )
-      `, { count: "exact" })
-      .eq("shop_domain", session.shop)
-      .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1),
+    `,
+    count: "exact"
+  });
+
+  // Parallel Fetch: Requests + Settings + Dead-letter jobs + Filter options
+  const [requestsResponse, settingsResponse, deadJobs, savedViews, rates] = await Promise.all([
+    requestsQuery.range(offset, offset + limit - 1),
 
     supabase
       .from("additional_shipping_request_settings")
       .select("app_enabled")
       .eq("shop_domain", session.shop)
-      .single()
+      .single(),
+
+    jobQueue.getDeadJobs(session.shop),
+
+    requestQueryService.getSavedViews(session.shop),
+
+    shippingConfigService.getRates(session.shop)
   ]);
 
   const { data: requests, count, error } = requestsResponse;
@@ -82,14 +152,14 @@ export const loader = async ({ request }) => {
     let timeLeftDisplay = "-";
     if (req.status === 'AWAITING_PAYMENT') {
       const now = new Date();
-      const expires = new Date(req.created_at).getTime() + 24 * 60 * 60 * 1000; // 24 hours from created_at
+      const expires = getPaymentDeadline(req).getTime(); // expires_at, or 24 hours from created_at
       const diffMs = expires - now;
       if (diffMs > 0) {
         const h = Math.floor(diffMs / (1000 * 60 * 60));
         const m = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
-        timeLeftDisplay = `${h}h ${m}m`;
+        timeLeftDisplay = t("status.timeLeftValue", { hours: h, minutes: m });
       } else {
-        timeLeftDisplay = "已超時";
+        timeLeftDisplay = t("status.expired");
       }
     }
 
@@ -99,10 +169,13 @@ export const loader = async ({ request }) => {
     return {
       ...req,
       timeLeftDisplay,
-      formattedDate: new Date(req.created_at).toLocaleString(),
+      formattedDate: new Date(req.created_at).toLocaleString(locale),
       formattedAmount: req.additional_shipping_amount
-        ? `$${Number(req.additional_shipping_amount).toFixed(2)}`
+        ? formatMoney(req.additional_shipping_amount, req.currency_code, locale)
         : '-',
+      formattedPerParcel: req.additional_shipping_amount && req.calculated_parcels > 1
+        ? formatMoney(req.additional_shipping_amount / (req.calculated_parcels - 1), req.currency_code, locale)
+        : null,
       totalHolds: holds.length,
       releasedHolds: holds.filter(h => h.released).length,
       holdsData: holds
@@ -114,7 +187,18 @@ export const loader = async ({ request }) => {
     page,
     totalPages: Math.ceil((count || 0) / limit),
     totalCount: count,
-    appEnabled
+    filters,
+    savedViews,
+    shippingLevels: [...new Set(rates.map((rate) => rate.shipping_level))].sort((a, b) => a - b),
+    appEnabled,
+    deadJobs: deadJobs.map((job) => ({
+      id: job.id,
+      type: job.type,
+      orderName: job.payload?.payload?.name ?? "-",
+      attempts: job.attempts,
+      lastError: job.last_error,
+      formattedDate: new Date(job.updated_at).toLocaleString(locale)
+    }))
   };
 };
 
@@ -122,11 +206,14 @@ export const loader = async ({ request }) => {
 // 2. CLIENT UI
 // -----------------------------------------------------------------------------
 export default function RequestsPage() {
-  const { requests, page, totalPages, totalCount, appEnabled: initialServerState } = useLoaderData();
+  const { requests, page, totalPages, totalCount, filters, appEnabled: initialServerState, deadJobs } = useLoaderData();
+  const t = useTranslation();
   const [searchParams] = useSearchParams();
   const submit = useSubmit();
   const revalidator = useRevalidator();
   const fetcher = useFetcher();
+  const windDownFetcher = useFetcher();
+  const [isExporting, setIsExporting] = useState(false);
 
   // ---------------------------------------------------------------------------
   // THE FIX: "Fetcher-First" State Logic
@@ -170,6 +257,31 @@ export default function RequestsPage() {
     );
   };
 
+  // Same filters as the table; App Bridge adds the session token to same-origin fetches
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await fetch(`/app/requests/export?${searchParams}`);
+      if (!response.ok) throw new Error(`Export failed (${response.status})`);
+
+      const fileName = response.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] ?? "split-requests.csv";
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error(error);
+      window.shopify.toast.show(t("dashboard.exportFailed"), { isError: true });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleWindDown = () => {
+    windDownFetcher.submit({ intent: "WIND_DOWN" }, { method: "post" });
+  };
+
   const handlePageChange = (newPage) => {
     const newParams = new URLSearchParams(searchParams);
     newParams.set("page", newPage);
@@ -180,17 +292,54 @@ export default function RequestsPage() {
   return (
     <s-page inlineSize="large">
       <s-button slot="primary-action" onClick={() => revalidator.revalidate()} icon="refresh">
-        Refresh Data
+        {t("dashboard.refresh")}
+      </s-button>
+      <s-button slot="secondary-actions" icon="export" onClick={handleExport} loading={isExporting}>
+        {t("dashboard.export")}
       </s-button>
+      <s-button slot="secondary-actions" commandFor="wind-down-modal" tone="critical">
+        {t("windDown.button")}
+      </s-button>
+
+      <s-modal id="wind-down-modal" heading={t("windDown.heading")}>
+        <s-stack gap="base">
+          <s-paragraph>{t("windDown.description")}</s-paragraph>
+          <s-paragraph>{t("windDown.pendingNote")}</s-paragraph>
+          {windDownFetcher.data?.summary && (
+            <s-banner
+              tone={windDownFetcher.data.status === "success" ? "success" : "critical"}
+              heading={t("windDown.summary", windDownFetcher.data.summary)}
+            >
+              {windDownFetcher.data.summary.errors.map((message, index) => (
+                <s-paragraph key={index}>{message}</s-paragraph>
+              ))}
+            </s-banner>
+          )}
+        </s-stack>
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          tone="critical"
+          onClick={handleWindDown}
+          loading={windDownFetcher.state !== "idle"}
+        >
+          {t("windDown.confirm")}
+        </s-button>
+        <s-button slot="secondary-actions" commandFor="wind-down-modal" command="--hide">
+          {t("windDown.close")}
+        </s-button>
+      </s-modal>
 
 
       <s-stack gap="small" vertical>
         <s-switch
           checked={displayAppEnabled}
-          label="Enable App"
-          details="If disable app, the app will not process any new requests" // If disable app, the app will not process any new requests
+          label={t("dashboard.enableApp")}
+          details={t("dashboard.enableAppDetails")}
           onChange={handleToggleApp}
         />
+        {deadJobs.length > 0 && <DeadJobsBanner jobs={deadJobs} />}
+        <RequestFilters />
         <s-card>
           <s-box padding-block-end="400">
             <s-table
@@ -202,14 +351,14 @@ export default function RequestsPage() {
               onPreviousPage={() => handlePageChange(page - 1)}
             >
               <s-table-header-row>
-                <s-table-header>原訂單</s-table-header>
-                <s-table-header>拆單費訂單</s-table-header>
-                <s-table-header>日期</s-table-header>
-                <s-table-header>選擇</s-table-header>
-                <s-table-header>包裹數量</s-table-header>
-                <s-table-header numeric>拆單費用</s-table-header>
-                <s-table-header>狀態</s-table-header>
-                <s-table-header>出貨狀態</s-table-header>
+                <s-table-header>{t("table.primaryOrder")}</s-table-header>
+                <s-table-header>{t("table.paymentOrder")}</s-table-header>
+                <SortableHeader field="created_at">{t("table.date")}</SortableHeader>
+                <s-table-header>{t("table.choice")}</s-table-header>
+                <SortableHeader field="calculated_parcels">{t("table.parcels")}</SortableHeader>
+                <SortableHeader field="additional_shipping_amount" numeric>{t("table.fee")}</SortableHeader>
+                <SortableHeader field="status">{t("table.status")}</SortableHeader>
+                <s-table-header>{t("table.holds")}</s-table-header>
               </s-table-header-row>
 
               <s-table-body>
@@ -217,7 +366,7 @@ export default function RequestsPage() {
                   <s-table-row>
                     <s-table-cell col-span="8">
                       <s-box padding="400" display="flex" justify-content="center">
-                        <s-text tone="subdued">No requests found.</s-text>
+                        <s-text tone="subdued">{hasActiveFilters(filters) ? t("dashboard.noMatches") : t("dashboard.empty")}</s-text>
                       </s-box>
                     </s-table-cell>
                   </s-table-row>
@@ -237,10 +386,201 @@ export default function RequestsPage() {
   );
 }
 
+// -----------------------------------------------------------------------------
+// Filter bar + views. Every change rewrites the URL, which re-runs the loader.
+// -----------------------------------------------------------------------------
+function RequestFilters() {
+  const { filters, savedViews, shippingLevels, totalCount } = useLoaderData();
+  const t = useTranslation();
+  const [searchParams] = useSearchParams();
+  const submit = useSubmit();
+  const viewFetcher = useFetcher();
+  const [search, setSearch] = useState(filters.q || "");
+  const [viewName, setViewName] = useState("");
+
+  const currentQuery = toViewQuery(searchParams);
+
+  // Keep the embedded app params (shop, host, ...) and drop the filter ones
+  const baseParams = () => {
+    const params = new URLSearchParams(searchParams);
+    FILTER_PARAMS.forEach((name) => params.delete(name));
+    return params;
+  };
+
+  const setFilter = (name, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) {
+      params.set(name, value);
+    } else {
+      params.delete(name);
+    }
+    params.delete("page");
+    submit(params);
+  };
+
+  const openView = (query) => {
+    const params = baseParams();
+    new URLSearchParams(query).forEach((value, name) => params.set(name, value));
+    submit(params);
+  };
+
+  const handleSaveView = () => {
+    viewFetcher.submit({ intent: "SAVE_VIEW", name: viewName, query: currentQuery }, { method: "post" });
+    setViewName("");
+  };
+
+  return (
+    <s-section>
+      <s-stack gap="base">
+        <s-stack direction="inline" gap="small-200" alignItems="center">
+          <s-button variant={currentQuery ? "secondary" : "primary"} onClick={() => openView("")}>
+            {t("views.all")}
+          </s-button>
+          {PRESET_VIEWS.map((view) => {
+            const query = toViewQuery(new URLSearchParams(view.params));
+            return (
+              <s-button key={view.id} variant={query === currentQuery ? "primary" : "secondary"} onClick={() => openView(query)}>
+                {t(`views.${view.id}`)}
+              </s-button>
+            );
+          })}
+          {savedViews.map((view) => (
+            <s-stack key={view.id} direction="inline" gap="none">
+              <s-button variant={view.query === currentQuery ? "primary" : "secondary"} onClick={() => openView(view.query)}>
+                {view.name}
+              </s-button>
+              <s-button
+                variant="tertiary"
+                icon="x"
+                accessibilityLabel={t("views.delete", { name: view.name })}
+                onClick={() => viewFetcher.submit({ intent: "DELETE_VIEW", viewId: view.id }, { method: "post" })}
+              />
+            </s-stack>
+          ))}
+        </s-stack>
+
+        <s-search-field
+          label={t("filters.search")}
+          labelAccessibilityVisibility="exclusive"
+          placeholder={t("filters.search")}
+          value={search}
+          onInput={(e) => setSearch(e.currentTarget.value)}
+          onChange={(e) => setFilter("q", e.currentTarget.value.trim())}
+        />
+
+        <s-grid gridTemplateColumns="repeat(auto-fit, minmax(160px, 1fr))" gap="base">
+          <s-select label={t("filters.status")} value={filters.status ?? ""} onChange={(e) => setFilter("status", e.currentTarget.value)}>
+            <s-option value="">{t("filters.allStatuses")}</s-option>
+            {REQUEST_STATUSES.map((status) => (
+              <s-option key={status} value={status}>{t(`status.${status}`)}</s-option>
+            ))}
+          </s-select>
+          <s-select label={t("filters.choice")} value={filters.choice ?? ""} onChange={(e) => setFilter("choice", e.currentTarget.value)}>
+            <s-option value="">{t("filters.anyChoice")}</s-option>
+            <s-option value="agreed">{t("request.choiceAgreed")}</s-option>
+            <s-option value="refused">{t("request.choiceRefused")}</s-option>
+          </s-select>
+          <s-select label={t("filters.level")} value={filters.level ?? ""} onChange={(e) => setFilter("level", e.currentTarget.value)}>
+            <s-option value="">{t("filters.anyLevel")}</s-option>
+            {shippingLevels.map((level) => (
+              <s-option key={level} value={String(level)}>{t("request.shippingLevel", { level })}</s-option>
+            ))}
+          </s-select>
+          <s-date-field label={t("filters.from")} value={filters.from ?? ""} onChange={(e) => setFilter("from", e.currentTarget.value)} />
+          <s-date-field label={t("filters.to")} value={filters.to ?? ""} onChange={(e) => setFilter("to", e.currentTarget.value)} />
+          <s-select label={t("filters.pageSize")} value={String(filters.pageSize)} onChange={(e) => setFilter("pageSize", e.currentTarget.value)}>
+            {PAGE_SIZES.map((size) => (
+              <s-option key={size} value={String(size)}>{size}</s-option>
+            ))}
+          </s-select>
+        </s-grid>
+
+        <s-stack direction="inline" gap="base" alignItems="center">
+          <s-checkbox
+            label={t("filters.cancelled")}
+            checked={filters.cancelled}
+            onChange={(e) => setFilter("cancelled", e.currentTarget.checked ? "1" : "")}
+          />
+          {filters.days && <s-chip>{t("filters.lastDays", { days: filters.days })}</s-chip>}
+          {filters.expiresWithin && <s-chip>{t("filters.expiresWithin", { hours: filters.expiresWithin })}</s-chip>}
+          <s-text tone="subdued">{t("filters.results", { count: totalCount ?? 0 })}</s-text>
+          {hasActiveFilters(filters) && (
+            <s-button variant="tertiary" onClick={() => openView("")}>{t("filters.clear")}</s-button>
+          )}
+        </s-stack>
+
+        <s-stack direction="inline" gap="small-200" alignItems="end">
+          <s-text-field
+            label={t("views.name")}
+            value={viewName}
+            onInput={(e) => setViewName(e.currentTarget.value)}
+          />
+          <s-button
+            onClick={handleSaveView}
+            disabled={!viewName.trim() || !currentQuery}
+            loading={viewFetcher.state !== "idle"}
+          >
+            {t("views.save")}
+          </s-button>
+          {viewFetcher.data?.status === "error" && <s-text tone="critical">{viewFetcher.data.message}</s-text>}
+        </s-stack>
+      </s-stack>
+    </s-section>
+  );
+}
+
+// Column header that sorts by `field`; a second click flips the direction
+function SortableHeader({ field, numeric, children }) {
+  const [searchParams] = useSearchParams();
+  const submit = useSubmit();
+  const { sort, dir } = parseRequestFilters(searchParams);
+  const isActive = sort === field;
+
+  const handleSort = () => {
+    const params = new URLSearchParams(searchParams);
+    params.set("sort", field);
+    params.set("dir", isActive && dir === "desc" ? "asc" : "desc");
+    params.delete("page");
+    submit(params);
+  };
+
+  return (
+    <s-table-header numeric={numeric}>
+      <s-clickable onClick={handleSort}>
+        {children}
+        {isActive && (dir === "asc" ? " ↑" : " ↓")}
+      </s-clickable>
+    </s-table-header>
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Jobs the background worker gave up on after all retries
+// -----------------------------------------------------------------------------
+function DeadJobsBanner({ jobs }) {
+  const t = useTranslation();
+
+  return (
+    <s-banner tone="critical" heading={t("deadJobs.heading", { count: jobs.length })}>
+      <s-stack gap="small">
+        {jobs.map((job) => (
+          <s-box key={job.id} padding-block="small-200">
+            <s-text type="strong">{job.orderName}</s-text>{" "}
+            <s-text tone="subdued">{job.type} · {t("deadJobs.attempts", { count: job.attempts })} · {job.formattedDate}</s-text>
+            <s-paragraph>{job.lastError}</s-paragraph>
+          </s-box>
+        ))}
+      </s-stack>
+    </s-banner>
+  );
+}
+
 // -----------------------------------------------------------------------------
 // 3. ROW COMPONENT (Handles the Popover "Dropdown")
 // -----------------------------------------------------------------------------
 function RequestRow({ req }) {
+  const t = useTranslation();
+
   return (
     <s-table-row>
       {/* 1. Order Link */}
@@ -255,8 +595,11 @@ function RequestRow({ req }) {
             <s-text type="strong">{req.primary_order?.order_name}</s-text>
           </s-link>
           {req.primary_order_cancelled_at && (
-            <s-chip color="strong">已取消</s-chip>
+            <s-chip color="strong">{t("request.cancelled")}</s-chip>
           )}
+          <s-link href={`/app/requests/${req.id}`}>
+            <s-text tone="subdued">{t("request.viewHistory")}</s-text>
+          </s-link>
         </s-stack>
 
       </s-table-cell>
@@ -275,7 +618,7 @@ function RequestRow({ req }) {
               <s-text type="strong">{req.payment_order?.order_name}</s-text>
             </s-stack>
             {req.payment_order_cancelled_at && (
-              <s-chip color="strong">已取消</s-chip>
+              <s-chip color="strong">{t("request.cancelled")}</s-chip>
             )}
           </s-link>
         ) : (
@@ -289,15 +632,15 @@ function RequestRow({ req }) {
       {/* 3. Choice */}
       <s-table-cell>
         {req.user_choice ? (
-          <s-badge tone="success">用戶同意</s-badge>
+          <s-badge tone="success">{t("request.choiceAgreed")}</s-badge>
         ) : (
-          <s-badge tone="subdued">用戶拒绝</s-badge>
+          <s-badge tone="subdued">{t("request.choiceRefused")}</s-badge>
         )}
       </s-table-cell>
 
       {/* 4. Parcels */}
       <s-table-cell>
-        拆{req.calculated_parcels}个包裹
+        {t("request.parcels", { count: req.calculated_parcels })}
       </s-table-cell>
 
       {/* 5. Amount */}
@@ -305,17 +648,28 @@ function RequestRow({ req }) {
         <s-stack>
           <s-text>{req.formattedAmount}</s-text>
           {req.shipping_level && (
-            <s-text>檔位：{req.shipping_level}檔</s-text>
+            <s-text>{t("request.shippingLevel", { level: req.shipping_level })}</s-text>
           )}
-          {req.additional_shipping_amount && (
-            <s-text>運費計算：${parseFloat(req.additional_shipping_amount) / (parseFloat(req.calculated_parcels) - 1)} * {req.calculated_parcels - 1}</s-text>
+          {req.formattedPerParcel && (
+            <s-text>
+              {t("request.feeFormula", {
+                perParcel: req.formattedPerParcel,
+                count: req.calculated_parcels - 1
+              })}
+            </s-text>
           )}
         </s-stack>
       </s-table-cell>
 
       {/* 6. Status */}
       <s-table-cell>
-        <StatusBadge status={req.status} errorLog={req.error_log} timeLeftDisplay={req.timeLeftDisplay} primaryOrder={req.primary_order} primaryOrderCancelledAt={req.primary_order_cancelled_at} paymentOrder={req.payment_order} paymentOrderCancelledAt={req.payment_order_cancelled_at} />
+        <StatusBadge requestId={req.id} status={req.status} errorLog={req.error_log} timeLeftDisplay={req.timeLeftDisplay} primaryOrder={req.primary_order} primaryOrderCancelledAt={req.primary_order_cancelled_at} paymentOrder={req.payment_order} paymentOrderCancelledAt={req.payment_order_cancelled_at} />
+        {req.reminder_count > 0 && (
+          <s-text tone="subdued">{t("request.reminded", { count: req.reminder_count })}</s-text>
+        )}
+        {req.override_action && (
+          <s-chip color="strong">{req.fee_waived ? t("request.feeWaived") : t("request.adjusted")}</s-chip>
+        )}
       </s-table-cell>
 
 
@@ -325,17 +679,23 @@ function RequestRow({ req }) {
           <s-stack vertical gap="small-300">
             <s-stack justify="space-between" align="center" gap="small-300">
               <s-badge tone={req.releasedHolds === req.totalHolds ? "success" : "warning"}>
-                {req.releasedHolds === req.totalHolds ? "All Released" : "Action Required"}
+                {req.releasedHolds === req.totalHolds ? t("holds.allReleased") : t("holds.actionRequired")}
               </s-badge>
             </s-stack>
             <s-box border-block-start="base" padding-block-start="200">
               <s-stack vertical gap="small-100">
                 <s-ordered-list>
-                  {req.holdsData.map((hold, index) => (
-                    <>
-                      <s-tooltip id="bold-tooltip">Bold</s-tooltip>
-                      <s-list-item key={index} interestedFor="bold-tooltip">{hold.released ? "Released" : "On Hold"}</s-list-item>
-                    </>
+                  {req.holdsData.map((hold) => (
+                    <Fragment key={hold.fulfillment_hold_id}>
+                      <s-tooltip id={`hold-tooltip-${hold.fulfillment_hold_id.split("/").pop()}`}>
+                        {hold.location_name
+                          ? t("holds.fulfillmentOrderAt", { id: hold.fulfillment_order_id.split("/").pop(), location: hold.location_name })
+                          : t("holds.fulfillmentOrder", { id: hold.fulfillment_order_id.split("/").pop() })}
+                      </s-tooltip>
+                      <s-list-item interestFor={`hold-tooltip-${hold.fulfillment_hold_id.split("/").pop()}`}>
+                        {hold.released ? t("holds.released") : t("holds.onHold")}
+                      </s-list-item>
+                    </Fragment>
                   ))}
                 </s-ordered-list>
               </s-stack>
@@ -349,8 +709,15 @@ function RequestRow({ req }) {
   );
 }
 
-function StatusBadge({ status, errorLog, timeLeftDisplay, primaryOrder, primaryOrderCancelledAt, paymentOrder, paymentOrderCancelledAt }) {
+function StatusBadge({ requestId, status, errorLog, timeLeftDisplay, primaryOrder, primaryOrderCancelledAt, paymentOrder, paymentOrderCancelledAt }) {
+  const t = useTranslation();
   const [showDebugModal, setShowDebugModal] = useState(false);
+  const retryFetcher = useFetcher();
+  const isRetrying = retryFetcher.state !== "idle";
+
+  const handleRetry = () => {
+    retryFetcher.submit({ intent: "RETRY_REQUEST", requestId }, { method: "post" });
+  };
 
   let tone = "info";
   if (status === "AWAITING_PAYMENT") tone = "info";
@@ -359,20 +726,11 @@ function StatusBadge({ status, errorLog, timeLeftDisplay, primaryOrder, primaryO
   if (status === "CANCELLED") tone = "critical";
   if (status === "FAILED") tone = "critical";
 
-  const statusText = {
-    PENDING: "待處理",
-    APP_DISABLED: "已跳过：应用已禁用", // Skipped because app is disabled
-    AWAITING_PAYMENT: "待支付拆單費",
-    COMPLETED: "已完成",
-    CANCELLED: "已取消",
-    FAILED: "已失敗", // Shortened for badge, details in modal
-  };
-
   return (
     <s-stack vertical gap="200" align="start">
       {/* 1. Badge + Debug Trigger Row */}
       <s-stack gap="small-300" align="center">
-        <s-badge tone={tone}>{statusText[status] || status}</s-badge>
+        <s-badge tone={tone}>{t(`status.${status}`)}</s-badge>
 
         {/* Debug Button (Only for FAILED) */}
         {status === "FAILED" && (
@@ -381,33 +739,31 @@ function StatusBadge({ status, errorLog, timeLeftDisplay, primaryOrder, primaryO
               variant="plain"
               icon="alert-diamond"
               tone="critical"
-              commandFor="debug-modal"
+              commandFor={`debug-modal-${requestId}`}
               interestFor="debug-tooltip"
               accessibilityLabel="Open Debug Log"
             >
-              查看錯誤日誌
+              {t("errorLog.open")}
             </s-button>
 
             {/* Developer Debug Modal */}
             <s-modal
-              id="debug-modal"
+              id={`debug-modal-${requestId}`}
               open={showDebugModal}
               on-close={() => setShowDebugModal(false)}
-              heading="錯誤日誌"
+              heading={t("errorLog.heading")}
               width="large"
             >
               <s-box>
                 <s-stack vertical gap="base">
                   {/* Context Banner */}
-                  <s-banner tone="critical" title="Transaction Failed">
-                    <s-text as="p">
-                      The splitting process failed. Please share the log below with the developer.
-                    </s-text>
+                  <s-banner tone="critical" title={t("errorLog.failedHeading")}>
+                    <s-text as="p">{t("errorLog.failedDescription")}</s-text>
                   </s-banner>
 
                   {/* Code Block UI */}
                   <s-stack gap="small-200">
-                    <s-text variant="headingSm" as="h5">Stack Trace / Details</s-text>
+                    <s-text variant="headingSm" as="h5">{t("errorLog.details")}</s-text>
                     <s-box
                       padding="base"
                       margin-block-start="base"
@@ -416,17 +772,40 @@ function StatusBadge({ status, errorLog, timeLeftDisplay, primaryOrder, primaryO
                     >
                       {/* Using HTML pre/code for proper formatting of JSON/Stack traces */}
                       <pre style={{ margin: 0, fontFamily: 'monospace', fontSize: '12px' }}>
-                        <code>{errorLog ? JSON.stringify(errorLog, null, 2) : "No error details available."}</code>
+                        <code>{errorLog ? JSON.stringify(errorLog, null, 2) : t("errorLog.empty")}</code>
                       </pre>
                     </s-box>
                   </s-stack>
 
                   {/* Copy Helper (Visual only, actual copy requires JS clipboard API) */}
                   <s-text variant="bodyXs" tone="subdued">
-                    Tip: Select text to copy
+                    {t("errorLog.copyTip")}
                   </s-text>
+
+                  {retryFetcher.data?.status === "error" && (
+                    <s-banner tone="critical" heading={t("errorLog.retryNotStarted")}>
+                      <s-text>{retryFetcher.data.message}</s-text>
+                    </s-banner>
+                  )}
+                  {retryFetcher.data?.status === "success" && (
+                    <s-banner tone="success" heading={t("errorLog.retryQueued")}>
+                      <s-text>
+                        {t("errorLog.resumingFrom", { phase: t(`resumePhase.${retryFetcher.data.resumePhase}`) })}
+                      </s-text>
+                    </s-banner>
+                  )}
                 </s-stack>
               </s-box>
+
+              <s-button
+                slot="primary-action"
+                variant="primary"
+                onClick={handleRetry}
+                loading={isRetrying}
+                disabled={retryFetcher.data?.status === "success"}
+              >
+                {t("errorLog.retry")}
+              </s-button>
             </s-modal>
           </>
         )}
@@ -436,10 +815,10 @@ function StatusBadge({ status, errorLog, timeLeftDisplay, primaryOrder, primaryO
         {status === "AWAITING_PAYMENT" && (
           <s-stack>
             <s-text tone="subdued" variant="bodyXs">
-              用戶需在24小時內完成支付
+              {t("status.paymentWindow", { hours: PAYMENT_WINDOW_HOURS })}
             </s-text>
             <s-text tone="subdued" variant="bodyXs">
-              付款倒時： {timeLeftDisplay}
+              {t("status.timeLeft", { time: timeLeftDisplay })}
             </s-text>
           </s-stack>
         )}
@@ -450,26 +829,26 @@ function StatusBadge({ status, errorLog, timeLeftDisplay, primaryOrder, primaryO
             {primaryOrderCancelledAt && (paymentOrder && !paymentOrderCancelledAt) && (
               <s-stack>
                 <s-text tone="critical">
-                  注意：拆單費訂單仍未取消
+                  {t("status.paymentOrderNotCancelled")}
                 </s-text>
                 <s-text tone="subdued">
-                  建議檢查拆單費訂單狀態，並進行相應處理
+                  {t("status.checkPaymentOrder")}
                 </s-text>
               </s-stack>
             )}
             {paymentOrderCancelledAt && (primaryOrder && !primaryOrderCancelledAt) && (
               <s-stack>
                 <s-text tone="subdued">
-                  注意：原訂單仍未取消
+                  {t("status.primaryOrderNotCancelled")}
                 </s-text>
                 <s-text tone="subdued">
-                  建議檢查原訂單狀態，並進行相應處理
+                  {t("status.checkPrimaryOrder")}
                 </s-text>
               </s-stack>
             )}
             {primaryOrderCancelledAt && paymentOrderCancelledAt && (
               <s-text tone="subdued">
-                原訂單和拆單費訂單均已取消
+                {t("status.bothCancelled")}
               </s-text>
             )}
           </s-box>
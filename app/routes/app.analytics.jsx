@@ -0,0 +1,167 @@
+import { useLoaderData, useSearchParams, useSubmit } from "react-router";
+import { authenticate } from "../shopify.server";
+import { analyticsService } from "../services/analyticsService.server";
+import { getAdminLocale, useTranslation } from "../helpers/admin-i18n";
+import { formatMoney } from "../helpers/money";
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// -----------------------------------------------------------------------------
+// 1. LOADER (Figures for the chosen date range, UTC days)
+// -----------------------------------------------------------------------------
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const { from, to } = getRange(url.searchParams);
+
+  const [stats, shopJson] = await Promise.all([
+    analyticsService.getStats(session.shop, { from, to }),
+    admin.graphql(`#graphql
+      query shopCurrency { shop { currencyCode } }
+    `).then((response) => response.json())
+  ]);
+
+  return {
+    from,
+    to,
+    stats,
+    shopCurrency: shopJson.data?.shop?.currencyCode ?? null,
+    locale: getAdminLocale(request, session)
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 2. CLIENT UI
+// -----------------------------------------------------------------------------
+export default function AnalyticsPage() {
+  const { from, to, stats, shopCurrency, locale } = useLoaderData();
+  const t = useTranslation();
+  const [searchParams] = useSearchParams();
+  const submit = useSubmit();
+
+  const percent = (value) => (value == null
+    ? "-"
+    : new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: 1 }).format(value));
+  const decimal = (value) => (value == null
+    ? "-"
+    : new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value));
+  // Revenue is per currency; amounts without one were charged in the shop currency
+  const money = (revenue) => {
+    const amounts = Object.entries(revenue).filter(([, amount]) => amount > 0);
+    if (amounts.length === 0) return formatMoney(0, shopCurrency, locale);
+    return amounts.map(([currency, amount]) => formatMoney(amount, currency || shopCurrency, locale)).join(" · ");
+  };
+
+  const countryName = (code) => {
+    if (!code) return t("analytics.unknownCountry");
+    try {
+      return new Intl.DisplayNames([locale], { type: "region" }).of(code) ?? code;
+    } catch {
+      return code;
+    }
+  };
+
+  const setRange = (name, value) => {
+    const params = new URLSearchParams(searchParams);
+    params.set(name, value);
+    submit(params);
+  };
+
+  const { totals } = stats;
+
+  const breakdowns = [
+    { heading: t("analytics.byCountry"), rows: stats.byCountry, label: (row) => countryName(row.country_code) },
+    { heading: t("analytics.byLevel"), rows: stats.byLevel, label: (row) => t("request.shippingLevel", { level: row.shipping_level }) },
+  ];
+
+  return (
+    <s-page heading={t("analytics.heading")} inlineSize="large">
+      <s-stack gap="base">
+        <s-section>
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-date-field label={t("filters.from")} value={from} onChange={(e) => setRange("from", e.currentTarget.value)} />
+            <s-date-field label={t("filters.to")} value={to} onChange={(e) => setRange("to", e.currentTarget.value)} />
+            <s-text tone="subdued">{t("analytics.utcNote")}</s-text>
+          </s-stack>
+        </s-section>
+
+        <s-grid gridTemplateColumns="repeat(auto-fit, minmax(180px, 1fr))" gap="base">
+          <s-section heading={t("analytics.acceptance")}>
+            <s-heading>{percent(totals.acceptanceRate)}</s-heading>
+            <s-text tone="subdued">{t("analytics.acceptanceDetails", { agreed: totals.agreed, refused: totals.refused })}</s-text>
+          </s-section>
+          <s-section heading={t("analytics.conversion")}>
+            <s-heading>{percent(totals.conversionRate)}</s-heading>
+            <s-text tone="subdued">{t("analytics.conversionDetails", { paid: totals.paid, invoiced: totals.invoiced })}</s-text>
+          </s-section>
+          <s-section heading={t("analytics.revenue")}>
+            <s-heading>{money(totals.revenue)}</s-heading>
+          </s-section>
+          <s-section heading={t("analytics.lost")}>
+            <s-heading>{totals.lost}</s-heading>
+            <s-text tone="subdued">{percent(totals.lostRate)}</s-text>
+          </s-section>
+          <s-section heading={t("analytics.averageParcels")}>
+            <s-heading>{decimal(totals.averageParcels)}</s-heading>
+          </s-section>
+        </s-grid>
+
+        {breakdowns.map((breakdown) => (
+          <s-section key={breakdown.heading} heading={breakdown.heading} padding="none">
+            <s-table>
+              <s-table-header-row>
+                <s-table-header />
+                <s-table-header numeric>{t("analytics.eligible")}</s-table-header>
+                <s-table-header numeric>{t("analytics.acceptance")}</s-table-header>
+                <s-table-header numeric>{t("analytics.conversion")}</s-table-header>
+                <s-table-header numeric>{t("analytics.revenue")}</s-table-header>
+                <s-table-header numeric>{t("analytics.lost")}</s-table-header>
+                <s-table-header numeric>{t("analytics.averageParcels")}</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {breakdown.rows.length === 0 ? (
+                  <s-table-row>
+                    <s-table-cell col-span="7">
+                      <s-text tone="subdued">{t("analytics.empty")}</s-text>
+                    </s-table-cell>
+                  </s-table-row>
+                ) : (
+                  breakdown.rows.map((row) => (
+                    <s-table-row key={breakdown.label(row)}>
+                      <s-table-cell>{breakdown.label(row)}</s-table-cell>
+                      <s-table-cell numeric>{row.eligible}</s-table-cell>
+                      <s-table-cell numeric>{percent(row.acceptanceRate)}</s-table-cell>
+                      <s-table-cell numeric>{percent(row.conversionRate)}</s-table-cell>
+                      <s-table-cell numeric>{money(row.revenue)}</s-table-cell>
+                      <s-table-cell numeric>{row.lost}</s-table-cell>
+                      <s-table-cell numeric>{decimal(row.averageParcels)}</s-table-cell>
+                    </s-table-row>
+                  ))
+                )}
+              </s-table-body>
+            </s-table>
+          </s-section>
+        ))}
+      </s-stack>
+    </s-page>
+  );
+}
+
+// ---- Helper Functions ----
+// `from` / `to` from the URL, defaulting to the last 30 days and capped at a year
+function getRange(searchParams) {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = DATE_PATTERN.test(searchParams.get("to") || "") ? searchParams.get("to") : today;
+
+  const defaultFrom = new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * DAY).toISOString().slice(0, 10);
+  let from = DATE_PATTERN.test(searchParams.get("from") || "") ? searchParams.get("from") : defaultFrom;
+
+  const earliest = new Date(Date.parse(to) - (MAX_RANGE_DAYS - 1) * DAY).toISOString().slice(0, 10);
+  if (from > to) from = to;
+  if (from < earliest) from = earliest;
+
+  return { from, to };
+}
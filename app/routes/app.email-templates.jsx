@@ -0,0 +1,271 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import { emailTemplateService } from "../services/emailTemplateService.server";
+import { settingsService } from "../services/settingsService.server";
+import { invoiceService } from "../services/invoiceService.server";
+import { PAYMENT_WINDOW_HOURS } from "../helpers/fulfillment-split";
+import {
+  EMAIL_LOCALES,
+  PLACEHOLDERS,
+  TEMPLATE_KINDS,
+  getEmailValues,
+  renderEmail,
+} from "../helpers/invoice-email";
+
+const KIND_LABELS = {
+  [TEMPLATE_KINDS.INVOICE]: "Invoice",
+  [TEMPLATE_KINDS.REMINDER]: "Payment reminder",
+};
+
+const LOCALE_LABELS = {
+  en: "English",
+  "zh-CN": "简体中文 (zh-CN)",
+  "zh-TW": "繁體中文 (zh-TW)",
+  "zh-HK": "繁體中文 (zh-HK)",
+};
+
+const PLACEHOLDER_HELP = {
+  order_name: "Original order, e.g. #1001",
+  amount: "Additional shipping fee",
+  parcels: "Number of parcels",
+  deadline: "Payment deadline",
+  hours_left: "Hours until the deadline (reminders)",
+};
+
+// -----------------------------------------------------------------------------
+// 1. ACTION
+// -----------------------------------------------------------------------------
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const kind = formData.get("kind");
+  const locale = formData.get("locale");
+
+  if ((intent === "SAVE_TEMPLATE" || intent === "RESET_TEMPLATE") && (!TEMPLATE_KINDS[kind] || !EMAIL_LOCALES.includes(locale))) {
+    return { status: "error", message: "Unknown template." };
+  }
+
+  try {
+    if (intent === "SAVE_TEMPLATE") {
+      const subject = String(formData.get("subject") || "").trim();
+      const body = String(formData.get("body") || "").trim();
+      if (!subject || !body) {
+        return { status: "error", message: "Subject and message are required." };
+      }
+
+      await emailTemplateService.saveTemplate(session.shop, kind, locale, { subject, body });
+      return { status: "success", message: "Template saved" };
+    }
+
+    if (intent === "RESET_TEMPLATE") {
+      await emailTemplateService.resetTemplate(session.shop, kind, locale);
+      return { status: "success", message: "Template reset to the default" };
+    }
+
+    if (intent === "SAVE_DEFAULT_LOCALE") {
+      const defaultLocale = formData.get("defaultLocale");
+      if (!EMAIL_LOCALES.includes(defaultLocale)) {
+        return { status: "error", message: "Unknown locale." };
+      }
+
+      await settingsService.saveSettings(session.shop, { default_email_locale: defaultLocale });
+      return { status: "success", message: "Default language saved" };
+    }
+  } catch (error) {
+    return { status: "error", message: error.message };
+  }
+
+  return null;
+};
+
+// -----------------------------------------------------------------------------
+// 2. LOADER
+// -----------------------------------------------------------------------------
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const [templates, settings, timeZone] = await Promise.all([
+    emailTemplateService.getTemplates(session.shop),
+    settingsService.getSettings(session.shop),
+    invoiceService.getShopTimeZone(admin),
+  ]);
+
+  return { templates, defaultLocale: settings.default_email_locale, timeZone };
+};
+
+// -----------------------------------------------------------------------------
+// 3. CLIENT UI
+// -----------------------------------------------------------------------------
+export default function EmailTemplatesPage() {
+  const { templates, defaultLocale, timeZone } = useLoaderData();
+  const fetcher = useFetcher();
+
+  const [kind, setKind] = useState(TEMPLATE_KINDS.INVOICE);
+  const [locale, setLocale] = useState(defaultLocale);
+  const [selectedDefaultLocale, setSelectedDefaultLocale] = useState(defaultLocale);
+  // Unsaved edits per template, keyed "KIND:locale"
+  const [drafts, setDrafts] = useState({});
+
+  const key = `${kind}:${locale}`;
+  const template = drafts[key] || templates[kind][locale];
+  const isDirty = Boolean(drafts[key]);
+  const isSaving = fetcher.state !== "idle";
+
+  const updateDraft = (field, value) => {
+    setDrafts((prev) => ({ ...prev, [key]: { ...template, [field]: value } }));
+  };
+
+  const clearDraft = () => {
+    setDrafts((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "SAVE_TEMPLATE", kind, locale, subject: template.subject, body: template.body },
+      { method: "post" }
+    );
+    clearDraft();
+  };
+
+  const handleReset = () => {
+    fetcher.submit({ intent: "RESET_TEMPLATE", kind, locale }, { method: "post" });
+    clearDraft();
+  };
+
+  const handleSaveDefaultLocale = () => {
+    fetcher.submit({ intent: "SAVE_DEFAULT_LOCALE", defaultLocale: selectedDefaultLocale }, { method: "post" });
+  };
+
+  // Sample request for the preview: 3 parcels, deadline at the end of a fresh payment window
+  const preview = renderEmail(template, getEmailValues(locale, {
+    orderName: "#1001",
+    amount: 20,
+    parcels: 3,
+    deadline: new Date(Date.now() + PAYMENT_WINDOW_HOURS * 60 * 60 * 1000),
+    timeZone,
+  }));
+
+  return (
+    <s-page heading="Invoice emails">
+      <s-button slot="primary-action" variant="primary" onClick={handleSave} loading={isSaving}>
+        Save template
+      </s-button>
+
+      <s-stack gap="base">
+        {fetcher.data?.status === "error" && (
+          <s-banner tone="critical" heading="Changes were not saved">
+            <s-text>{fetcher.data.message}</s-text>
+          </s-banner>
+        )}
+        {fetcher.data?.status === "success" && <s-banner tone="success" heading={fetcher.data.message} />}
+
+        <s-section heading="Default language">
+          <s-stack gap="base">
+            <s-paragraph>
+              Buyers get the email in their checkout language. When there is no template for it, this language is used.
+            </s-paragraph>
+            <s-stack direction="inline" gap="base" alignItems="end">
+              <s-select
+                label="Default email language"
+                value={selectedDefaultLocale}
+                onChange={(e) => setSelectedDefaultLocale(e.currentTarget.value)}
+              >
+                {EMAIL_LOCALES.map((code) => (
+                  <s-option key={code} value={code}>{LOCALE_LABELS[code]}</s-option>
+                ))}
+              </s-select>
+              <s-button
+                onClick={handleSaveDefaultLocale}
+                disabled={selectedDefaultLocale === defaultLocale || isSaving}
+              >
+                Save language
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Template">
+          <s-stack gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-select label="Email" value={kind} onChange={(e) => setKind(e.currentTarget.value)}>
+                {Object.values(TEMPLATE_KINDS).map((value) => (
+                  <s-option key={value} value={value}>{KIND_LABELS[value]}</s-option>
+                ))}
+              </s-select>
+              <s-select label="Language" value={locale} onChange={(e) => setLocale(e.currentTarget.value)}>
+                {EMAIL_LOCALES.map((code) => (
+                  <s-option key={code} value={code}>{LOCALE_LABELS[code]}</s-option>
+                ))}
+              </s-select>
+            </s-stack>
+
+            <s-stack direction="inline" gap="small-200">
+              {templates[kind][locale].isCustom
+                ? <s-badge tone="info">Customised</s-badge>
+                : <s-badge>Default</s-badge>}
+              {isDirty && <s-badge tone="warning">Unsaved changes</s-badge>}
+            </s-stack>
+
+            <s-text-field
+              label="Subject"
+              value={template.subject}
+              onInput={(e) => updateDraft("subject", e.currentTarget.value)}
+            />
+            <s-text-area
+              label="Message"
+              details="HTML is allowed, e.g. <br> and <strong>"
+              rows={8}
+              value={template.body}
+              onInput={(e) => updateDraft("body", e.currentTarget.value)}
+            />
+
+            <s-stack gap="small-200">
+              <s-text type="strong">Placeholders</s-text>
+              {PLACEHOLDERS.map((name) => (
+                <s-text key={name} color="subdued">
+                  {`{{${name}}}`} – {PLACEHOLDER_HELP[name]}
+                </s-text>
+              ))}
+            </s-stack>
+
+            <s-stack direction="inline" gap="base">
+              <s-button
+                onClick={handleReset}
+                disabled={!templates[kind][locale].isCustom || isSaving}
+              >
+                Reset to default
+              </s-button>
+              <s-button variant="tertiary" onClick={clearDraft} disabled={!isDirty}>
+                Discard changes
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Preview">
+          <s-stack gap="base">
+            <s-paragraph>
+              <s-text color="subdued">Sample order #1001 with 3 parcels. Shopify adds the order summary and a pay button below the message.</s-text>
+            </s-paragraph>
+            <s-text type="strong">{preview.subject}</s-text>
+            <s-box padding="base" border="base" borderRadius="base">
+              {/* The message is merchant HTML; a sandboxed frame keeps it from running scripts in the admin */}
+              <iframe
+                title="Email preview"
+                sandbox=""
+                srcDoc={preview.customMessage}
+                style={{ width: "100%", minHeight: "240px", border: "none" }}
+              />
+            </s-box>
+          </s-stack>
+        </s-section>
+      </s-stack>
+    </s-page>
+  );
+}
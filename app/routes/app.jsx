@@ -1,25 +1,36 @@
 import { Outlet, useLoaderData, useRouteError } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { AppProvider } from "@shopify/shopify-app-react-router/react";
+import { useMemo } from "react";
 import { authenticate } from "../shopify.server";
+import { I18nContext, createTranslator, getAdminLocale } from "../helpers/admin-i18n";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
 
   // eslint-disable-next-line no-undef
-  return { apiKey: process.env.SHOPIFY_API_KEY || "" };
+  return { apiKey: process.env.SHOPIFY_API_KEY || "", locale: getAdminLocale(request, session) };
 };
 
 export default function App() {
-  const { apiKey } = useLoaderData();
+  const { apiKey, locale } = useLoaderData();
+  const t = useMemo(() => createTranslator(locale), [locale]);
 
   return (
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
         <s-link href="/app">Home</s-link>
+        <s-link href="/app/shipping-rates">Shipping rates</s-link>
+        <s-link href="/app/shipping-zones">Destination zones</s-link>
+        <s-link href="/app/analytics">Analytics</s-link>
+        <s-link href="/app/email-templates">Invoice emails</s-link>
+        <s-link href="/app/webhooks">Webhook log</s-link>
+        <s-link href="/app/settings">Settings</s-link>
         {/* <s-link href="/app/additional">Additional page</s-link> */}
       </s-app-nav>
-      <Outlet />
+      <I18nContext.Provider value={t}>
+        <Outlet />
+      </I18nContext.Provider>
     </AppProvider>
   );
 }
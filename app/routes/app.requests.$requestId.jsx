@@ -0,0 +1,327 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState } from "react";
+import { supabase } from "../supabase.server";
+import { authenticate } from "../shopify.server";
+import { formatMoney } from "../helpers/money";
+import { actors, auditService } from "../services/auditService.server";
+import { feeRefundService } from "../services/feeRefundService.server";
+import { overrideService } from "../services/overrideService.server";
+
+// -----------------------------------------------------------------------------
+// 1. ACTION (Staff overrides)
+// -----------------------------------------------------------------------------
+export const action = async ({ request, params }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const reason = String(formData.get("reason") || "").trim();
+  const actor = actors.staff(sessionToken);
+
+  if (!reason) {
+    return { status: "error", message: "A reason is required." };
+  }
+
+  try {
+    if (intent === "ADJUST_REQUEST") {
+      const parcels = Number(formData.get("parcels"));
+      const amount = Number(formData.get("amount"));
+
+      if (!Number.isInteger(parcels) || parcels < 2) {
+        return { status: "error", message: "Parcels must be a whole number of at least 2." };
+      }
+      if (!(amount > 0)) {
+        return { status: "error", message: "Fee must be above 0. Waive the fee instead." };
+      }
+
+      await overrideService.adjust(admin, session.shop, params.requestId, { parcels, amount, reason, actor });
+    } else if (intent === "WAIVE_FEE") {
+      await overrideService.waive(admin, session.shop, params.requestId, { reason, actor });
+    } else if (intent === "FORCE_RELEASE") {
+      await overrideService.forceRelease(admin, session.shop, params.requestId, { reason, actor });
+    } else if (intent === "REFUND_FEE") {
+      await feeRefundService.refund(admin, session.shop, params.requestId, { reason, actor });
+    } else {
+      return null;
+    }
+  } catch (error) {
+    return { status: "error", message: error.message };
+  }
+
+  return { status: "success" };
+};
+
+// -----------------------------------------------------------------------------
+// 2. LOADER (Request + its audit trail)
+// -----------------------------------------------------------------------------
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const { data: splitRequest } = await supabase
+    .from("additional_shipping_requests")
+    .select(`
+      id, status, calculated_parcels, shipped_parcels, additional_shipping_amount, currency_code, fee_collection_mode, error_log, created_at,
+      override_action, override_reason, overridden_by, overridden_at, fee_waived,
+      fee_refund_status, fee_refund_amount, fee_refunded_at,
+      primary_order:core_orders!primary_order_id ( order_name, order_id ),
+      payment_order:core_orders!payment_order_id ( order_name, order_id )
+    `)
+    .eq("id", params.requestId)
+    .eq("shop_domain", session.shop)
+    .maybeSingle();
+
+  if (!splitRequest) {
+    throw new Response("Request not found", { status: 404 });
+  }
+
+  const events = await auditService.getTimeline(session.shop, splitRequest.id);
+
+  return {
+    splitRequest: {
+      ...splitRequest,
+      formattedOverriddenAt: splitRequest.overridden_at ? new Date(splitRequest.overridden_at).toLocaleString() : null,
+      formattedRefundedAt: splitRequest.fee_refunded_at ? new Date(splitRequest.fee_refunded_at).toLocaleString() : null
+    },
+    events: events.map((event) => ({
+      ...event,
+      formattedDate: new Date(event.created_at).toLocaleString()
+    }))
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 3. CLIENT UI
+// -----------------------------------------------------------------------------
+export default function RequestTimelinePage() {
+  const { splitRequest, events } = useLoaderData();
+  const orderName = splitRequest.primary_order?.order_name ?? "-";
+
+  return (
+    <s-page heading={`History of ${orderName}`} inlineSize="large">
+      <s-link slot="breadcrumb-actions" href="/app">Home</s-link>
+
+      <s-stack gap="base">
+        <s-section heading="Request">
+          <s-stack gap="small-200">
+            <s-text>Status: <s-badge>{splitRequest.status}</s-badge></s-text>
+            <s-text>Parcels: {splitRequest.calculated_parcels}</s-text>
+            {splitRequest.shipped_parcels != null && splitRequest.shipped_parcels !== splitRequest.calculated_parcels && (
+              <s-text tone="caution">
+                Ships in {splitRequest.shipped_parcels} parcels: stock comes from several locations, each split on its own.
+              </s-text>
+            )}
+            <s-text>
+              Split fee: {splitRequest.additional_shipping_amount != null
+                ? formatMoney(splitRequest.additional_shipping_amount, splitRequest.currency_code)
+                : "-"}
+            </s-text>
+            <s-text>
+              Payment order: {splitRequest.fee_collection_mode === "CHECKOUT"
+                ? "None, fee paid at checkout"
+                : splitRequest.payment_order?.order_name ?? "-"}
+            </s-text>
+            {splitRequest.fee_refund_status === "REFUNDED" && (
+              <s-text>
+                Refunded: {formatMoney(splitRequest.fee_refund_amount, splitRequest.currency_code)} on {splitRequest.formattedRefundedAt}
+              </s-text>
+            )}
+          </s-stack>
+
+          {splitRequest.override_action && (
+            <s-banner tone="warning" heading={`Overridden by staff (${OVERRIDE_LABELS[splitRequest.override_action]})`}>
+              <s-text>
+                {splitRequest.formattedOverriddenAt} · {splitRequest.overridden_by}: {splitRequest.override_reason}
+              </s-text>
+            </s-banner>
+          )}
+        </s-section>
+
+        {OVERRIDABLE_STATUSES.includes(splitRequest.status) && (
+          <OverrideSection
+            status={splitRequest.status}
+            parcels={splitRequest.calculated_parcels}
+            amount={splitRequest.additional_shipping_amount}
+            currencyCode={splitRequest.currency_code}
+          />
+        )}
+
+        {REFUNDABLE_STATUSES.includes(splitRequest.fee_refund_status) && (
+          <RefundSection
+            refundStatus={splitRequest.fee_refund_status}
+            amount={splitRequest.fee_refund_amount}
+            currencyCode={splitRequest.currency_code}
+          />
+        )}
+
+        <s-section heading="Timeline">
+          {events.length === 0 ? (
+            <s-text tone="subdued">No events recorded for this request.</s-text>
+          ) : (
+            <s-stack gap="base">
+              {events.map((event) => (
+                <s-box key={event.id} padding="base" border="base" border-radius="base">
+                  <s-stack gap="small-200">
+                    <s-stack direction="inline" gap="small-200" alignItems="center">
+                      <s-badge tone={isFailure(event) ? "critical" : "info"}>{event.type}</s-badge>
+                      {event.to_status && (
+                        <s-text type="strong">
+                          {event.from_status ?? "—"} → {event.to_status}
+                        </s-text>
+                      )}
+                    </s-stack>
+
+                    <s-text tone="subdued">
+                      {event.formattedDate} · {event.actor_type.toLowerCase()}: {event.actor}
+                    </s-text>
+
+                    {event.message && <s-paragraph>{event.message}</s-paragraph>}
+
+                    {event.user_errors && (
+                      <pre style={{ margin: 0, fontFamily: "monospace", fontSize: "12px", whiteSpace: "pre-wrap" }}>
+                        <code>{JSON.stringify(event.user_errors, null, 2)}</code>
+                      </pre>
+                    )}
+
+                    {event.payload_json && (
+                      <pre style={{ margin: 0, fontFamily: "monospace", fontSize: "12px", whiteSpace: "pre-wrap" }}>
+                        <code>{JSON.stringify(event.payload_json, null, 2)}</code>
+                      </pre>
+                    )}
+                  </s-stack>
+                </s-box>
+              ))}
+            </s-stack>
+          )}
+        </s-section>
+      </s-stack>
+    </s-page>
+  );
+}
+
+// -----------------------------------------------------------------------------
+// 4. OVERRIDE FORM
+// -----------------------------------------------------------------------------
+const OVERRIDABLE_STATUSES = ["AWAITING_PAYMENT", "FAILED"];
+
+const OVERRIDE_LABELS = {
+  ADJUST: "parcels / fee changed",
+  WAIVE: "fee waived",
+  FORCE_RELEASE: "holds released without payment",
+};
+
+function OverrideSection({ status, parcels: initialParcels, amount: initialAmount, currencyCode }) {
+  const fetcher = useFetcher();
+  const [intent, setIntent] = useState(status === "AWAITING_PAYMENT" ? "ADJUST_REQUEST" : "WAIVE_FEE");
+  const [parcels, setParcels] = useState(String(initialParcels ?? 2));
+  const [amount, setAmount] = useState(String(initialAmount ?? 0));
+  const [reason, setReason] = useState("");
+
+  const isSaving = fetcher.state !== "idle";
+
+  const handleSubmit = () => {
+    fetcher.submit({ intent, parcels, amount, reason }, { method: "post" });
+  };
+
+  return (
+    <s-section heading="Override">
+      <s-stack gap="base">
+        {fetcher.data?.status === "error" && (
+          <s-banner tone="critical" heading="Override not applied">
+            <s-text>{fetcher.data.message}</s-text>
+          </s-banner>
+        )}
+        {fetcher.data?.status === "success" && (
+          <s-banner tone="success" heading="Override applied" />
+        )}
+
+        <s-select label="Action" value={intent} onChange={(e) => setIntent(e.currentTarget.value)}>
+          {status === "AWAITING_PAYMENT" && (
+            <s-option value="ADJUST_REQUEST">Change parcels / fee and re-issue the payment order</s-option>
+          )}
+          <s-option value="WAIVE_FEE">Waive the fee: cancel the payment order and release the holds</s-option>
+          <s-option value="FORCE_RELEASE">Release the holds without payment</s-option>
+        </s-select>
+
+        {intent === "ADJUST_REQUEST" && (
+          <s-stack direction="inline" gap="base">
+            <s-number-field
+              label="Parcels"
+              min={2}
+              value={parcels}
+              onInput={(e) => setParcels(e.currentTarget.value)}
+            />
+            <s-number-field
+              label={currencyCode ? `Split fee (${currencyCode})` : "Split fee"}
+              min={0}
+              step={0.01}
+              value={amount}
+              onInput={(e) => setAmount(e.currentTarget.value)}
+            />
+          </s-stack>
+        )}
+
+        <s-text-area
+          label="Reason"
+          required
+          value={reason}
+          onInput={(e) => setReason(e.currentTarget.value)}
+        />
+
+        <s-button variant="primary" onClick={handleSubmit} loading={isSaving} disabled={!reason.trim()}>
+          Apply override
+        </s-button>
+      </s-stack>
+    </s-section>
+  );
+}
+
+// -----------------------------------------------------------------------------
+// 5. REFUND FORM (paid fee of a cancelled primary order)
+// -----------------------------------------------------------------------------
+const REFUNDABLE_STATUSES = ["NEEDS_REVIEW", "FAILED"];
+
+function RefundSection({ refundStatus, amount, currencyCode }) {
+  const fetcher = useFetcher();
+  const [reason, setReason] = useState("");
+
+  const handleSubmit = () => {
+    fetcher.submit({ intent: "REFUND_FEE", reason }, { method: "post" });
+  };
+
+  return (
+    <s-section heading="Split fee refund">
+      <s-stack gap="base">
+        {fetcher.data?.status === "error" && (
+          <s-banner tone="critical" heading="Refund not issued">
+            <s-text>{fetcher.data.message}</s-text>
+          </s-banner>
+        )}
+        {fetcher.data?.status === "success" && <s-banner tone="success" heading="Refund issued" />}
+
+        <s-paragraph>
+          {refundStatus === "FAILED"
+            ? "The automatic refund of the split fee failed. See the timeline for the error."
+            : "The primary order was cancelled after the split fee was paid."}
+          {" Refunding returns what is left on each of its payment orders, including order edit invoices."}
+          {Number(amount) > 0 && ` ${formatMoney(amount, currencyCode)} is already refunded.`}
+        </s-paragraph>
+
+        <s-text-area
+          label="Reason"
+          details="Added to the refund note"
+          required
+          value={reason}
+          onInput={(e) => setReason(e.currentTarget.value)}
+        />
+
+        <s-button variant="primary" onClick={handleSubmit} loading={fetcher.state !== "idle"} disabled={!reason.trim()}>
+          Refund split fee
+        </s-button>
+      </s-stack>
+    </s-section>
+  );
+}
+
+// ---- Helper Functions ----
+function isFailure(event) {
+  return ["PHASE_FAILED", "ORDER_EDIT_FAILED", "FEE_REFUND_FAILED"].includes(event.type) || event.to_status === "FAILED";
+}
@@ -0,0 +1,30 @@
+import { authenticate } from "../shopify.server";
+import { exportService } from "../services/exportService.server";
+import { parseRequestFilters } from "../helpers/request-filters";
+
+// -----------------------------------------------------------------------------
+// LOADER (CSV download, takes the dashboard's filter params)
+// -----------------------------------------------------------------------------
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const filters = parseRequestFilters(url.searchParams);
+
+  const shopRes = await admin.graphql(`#graphql
+    query shopCurrency { shop { currencyCode } }
+  `);
+  const shopJson = await shopRes.json();
+
+  const stream = exportService.streamRequestsCsv(session.shop, filters, {
+    currencyCode: shopJson.data?.shop?.currencyCode ?? ""
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="split-requests-${date}.csv"`,
+      "Cache-Control": "no-store"
+    }
+  });
+};
@@ -0,0 +1,209 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import { settingsService } from "../services/settingsService.server";
+import { feeCollectionService } from "../services/feeCollectionService.server";
+import { PAYMENT_WINDOW_HOURS } from "../helpers/fulfillment-split";
+
+// -----------------------------------------------------------------------------
+// 1. ACTION
+// -----------------------------------------------------------------------------
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "SAVE_REMINDERS") {
+    const hours = parseHours(formData.get("reminderHours"));
+    if (hours.some((hour) => !Number.isInteger(hour) || hour < 1 || hour >= PAYMENT_WINDOW_HOURS)) {
+      return { status: "error", message: `Reminder hours must be whole numbers between 1 and ${PAYMENT_WINDOW_HOURS - 1}.` };
+    }
+
+    try {
+      await settingsService.saveSettings(session.shop, {
+        reminders_enabled: formData.get("remindersEnabled") === "true",
+        // Largest first, e.g. [12, 2]
+        reminder_hours_before: [...new Set(hours)].sort((a, b) => b - a)
+      });
+    } catch (error) {
+      return { status: "error", message: error.message };
+    }
+
+    return { status: "success" };
+  }
+
+  if (intent === "SAVE_REFUNDS") {
+    try {
+      await settingsService.saveSettings(session.shop, {
+        auto_refund_cancelled_fees: formData.get("autoRefund") === "true"
+      });
+    } catch (error) {
+      return { status: "error", message: error.message };
+    }
+
+    return { status: "success" };
+  }
+
+  if (intent === "SAVE_FEE_COLLECTION") {
+    try {
+      await feeCollectionService.configure(admin, session.shop, {
+        mode: formData.get("feeCollectionMode"),
+        variantId: formData.get("feeVariantId") || null
+      });
+    } catch (error) {
+      return { status: "error", message: error.message };
+    }
+
+    return { status: "success" };
+  }
+
+  return null;
+};
+
+// -----------------------------------------------------------------------------
+// 2. LOADER
+// -----------------------------------------------------------------------------
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const settings = await settingsService.getSettings(session.shop);
+
+  return {
+    settings,
+    feeVariant: await feeCollectionService.getFeeVariant(admin, settings.fee_variant_id)
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 3. CLIENT UI
+// -----------------------------------------------------------------------------
+export default function SettingsPage() {
+  const { settings, feeVariant } = useLoaderData();
+  const fetcher = useFetcher();
+  const [remindersEnabled, setRemindersEnabled] = useState(settings.reminders_enabled);
+  const [reminderHours, setReminderHours] = useState(settings.reminder_hours_before.join(", "));
+  const [feeCollectionMode, setFeeCollectionMode] = useState(settings.fee_collection_mode);
+  const [selectedVariant, setSelectedVariant] = useState(feeVariant);
+  const [autoRefund, setAutoRefund] = useState(settings.auto_refund_cancelled_fees);
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "SAVE_REMINDERS", remindersEnabled: String(remindersEnabled), reminderHours },
+      { method: "post" }
+    );
+  };
+
+  const handleSaveFeeCollection = () => {
+    fetcher.submit(
+      { intent: "SAVE_FEE_COLLECTION", feeCollectionMode, feeVariantId: selectedVariant?.id ?? "" },
+      { method: "post" }
+    );
+  };
+
+  const handleSaveRefunds = () => {
+    fetcher.submit({ intent: "SAVE_REFUNDS", autoRefund: String(autoRefund) }, { method: "post" });
+  };
+
+  const handlePickVariant = async () => {
+    const selection = await window.shopify.resourcePicker({ type: "variant", multiple: false });
+    const variant = selection?.[0];
+    if (variant) {
+      setSelectedVariant({ id: variant.id, displayName: `${variant.product?.title ?? ""} - ${variant.title}` });
+    }
+  };
+
+  return (
+    <s-page heading="Settings">
+      <s-button slot="primary-action" variant="primary" onClick={handleSave} loading={fetcher.state !== "idle"}>
+        Save
+      </s-button>
+
+      <s-stack gap="base">
+        {fetcher.data?.status === "error" && (
+          <s-banner tone="critical" heading="Settings were not saved">
+            <s-text>{fetcher.data.message}</s-text>
+          </s-banner>
+        )}
+        {fetcher.data?.status === "success" && <s-banner tone="success" heading="Settings saved" />}
+
+        <s-section heading="Payment reminders">
+          <s-stack gap="base">
+            <s-paragraph>
+              Re-send the split-fee invoice to buyers who have not paid yet. Buyers have {PAYMENT_WINDOW_HOURS} hours
+              to pay before their order is cancelled.
+            </s-paragraph>
+            <s-checkbox
+              label="Send payment reminders"
+              checked={remindersEnabled}
+              onChange={(e) => setRemindersEnabled(e.currentTarget.checked)}
+            />
+            <s-text-field
+              label="Hours before the deadline"
+              details="Comma separated, e.g. 12, 2"
+              value={reminderHours}
+              disabled={!remindersEnabled}
+              onInput={(e) => setReminderHours(e.currentTarget.value)}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Split fee collection">
+          <s-stack gap="base">
+            <s-select
+              label="Collect the split fee"
+              value={feeCollectionMode}
+              onChange={(e) => setFeeCollectionMode(e.currentTarget.value)}
+            >
+              <s-option value="INVOICE">After the order: hold fulfillment and email an invoice</s-option>
+              <s-option value="CHECKOUT">At checkout: add the fee to the order total (Shopify Plus)</s-option>
+            </s-select>
+            {feeCollectionMode === "CHECKOUT" && (
+              <s-stack gap="small-200">
+                <s-paragraph>
+                  The fee is added as a line with the product variant below, priced by the app. Use a variant that
+                  is not a physical product and is available on your online store.
+                </s-paragraph>
+                <s-stack direction="inline" gap="base" alignItems="center">
+                  <s-text>{selectedVariant?.displayName ?? "No fee variant selected"}</s-text>
+                  <s-button onClick={handlePickVariant}>Choose variant</s-button>
+                </s-stack>
+              </s-stack>
+            )}
+            <s-box>
+              <s-button onClick={handleSaveFeeCollection} loading={fetcher.state !== "idle"}>
+                Save fee collection
+              </s-button>
+            </s-box>
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Cancelled orders">
+          <s-stack gap="base">
+            <s-paragraph>
+              When an order with a split fee is cancelled, an unpaid payment order is cancelled with it. A fee that was
+              already paid is refunded automatically, or left on the request for staff to review and refund.
+            </s-paragraph>
+            <s-checkbox
+              label="Refund paid split fees automatically"
+              checked={autoRefund}
+              onChange={(e) => setAutoRefund(e.currentTarget.checked)}
+            />
+            <s-box>
+              <s-button onClick={handleSaveRefunds} loading={fetcher.state !== "idle"}>
+                Save refunds
+              </s-button>
+            </s-box>
+          </s-stack>
+        </s-section>
+      </s-stack>
+    </s-page>
+  );
+}
+
+// ---- Helper Functions ----
+function parseHours(value) {
+  return String(value || "")
+    .split(",")
+    .map((hour) => hour.trim())
+    .filter(Boolean)
+    .map(Number);
+}
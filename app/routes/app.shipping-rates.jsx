@@ -0,0 +1,239 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import { shippingConfigService } from "../services/shippingConfigService.server";
+import { DEFAULT_SHIPPING_RATES, RATE_MATCH_TYPES } from "../helpers/shipping-rates";
+
+// -----------------------------------------------------------------------------
+// 1. ACTION (Validate + replace the rate table)
+// -----------------------------------------------------------------------------
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "SAVE_RATES") {
+    let rates;
+    try {
+      rates = JSON.parse(formData.get("rates") || "[]");
+    } catch {
+      return { status: "error", message: "Invalid rate table." };
+    }
+
+    const errors = validateRates(rates);
+    if (errors.length > 0) {
+      return { status: "error", message: errors.join(" ") };
+    }
+
+    try {
+      await shippingConfigService.saveRates(admin, session.shop, rates.map(normalizeRate));
+    } catch (error) {
+      return { status: "error", message: error.message };
+    }
+
+    return { status: "success" };
+  }
+
+  return null;
+};
+
+// -----------------------------------------------------------------------------
+// 2. LOADER
+// -----------------------------------------------------------------------------
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const rates = await shippingConfigService.getRates(session.shop);
+
+  const shopRes = await admin.graphql(`#graphql
+    query shopCurrency { shop { currencyCode } }
+  `);
+  const shopJson = await shopRes.json();
+
+  return {
+    rates,
+    isDefault: rates === DEFAULT_SHIPPING_RATES,
+    shopCurrency: shopJson.data?.shop?.currencyCode ?? ""
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 3. CLIENT UI
+// -----------------------------------------------------------------------------
+export default function ShippingRatesPage() {
+  const { rates: initialRates, isDefault, shopCurrency } = useLoaderData();
+  const fetcher = useFetcher();
+  const [rates, setRates] = useState(initialRates);
+
+  const isSaving = fetcher.state !== "idle";
+
+  const updateRate = (index, field, value) => {
+    setRates((current) => current.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate)));
+  };
+
+  const addRate = () => {
+    setRates((current) => [
+      ...current,
+      { match_type: "TITLE", pattern: "", country_code: "", shipping_level: 1, parcel_fee: 0, currency_code: "" }
+    ]);
+  };
+
+  const removeRate = (index) => {
+    setRates((current) => current.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    fetcher.submit({ intent: "SAVE_RATES", rates: JSON.stringify(rates) }, { method: "post" });
+  };
+
+  return (
+    <s-page heading="Shipping rates" inlineSize="large">
+      <s-button slot="primary-action" variant="primary" onClick={handleSave} loading={isSaving}>
+        Save
+      </s-button>
+
+      <s-stack gap="base">
+        {fetcher.data?.status === "error" && (
+          <s-banner tone="critical" heading="Rates were not saved">
+            <s-text>{fetcher.data.message}</s-text>
+          </s-banner>
+        )}
+        {fetcher.data?.status === "success" && (
+          <s-banner tone="success" heading="Rates saved and published to checkout" />
+        )}
+        {isDefault && (
+          <s-banner tone="info" heading="Using the built-in rates">
+            <s-text>Save this table to start managing rates for your shop.</s-text>
+          </s-banner>
+        )}
+
+        <s-section heading="Rate table">
+          <s-paragraph>
+            Each row maps a delivery method to a shipping tier and a fee charged for every extra parcel.
+            Separate alternative patterns with &quot;|&quot;. Leave the country empty to apply the row to every
+            other country. The first matching row wins, and a row for the exact country wins over an empty one.
+          </s-paragraph>
+          <s-paragraph>
+            Fees are charged in the buyer&apos;s currency. Leave the currency empty to price a row in your shop
+            currency ({shopCurrency}); it is converted with the order&apos;s exchange rate. Add rows with a currency
+            to set exact fees for buyers paying in it; they win over shop-currency rows for the same country.
+          </s-paragraph>
+
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Match by</s-table-header>
+              <s-table-header>Pattern</s-table-header>
+              <s-table-header>Country</s-table-header>
+              <s-table-header>Tier</s-table-header>
+              <s-table-header>Fee per parcel</s-table-header>
+              <s-table-header>Currency</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rates.map((rate, index) => (
+                <s-table-row key={index}>
+                  <s-table-cell>
+                    <s-select
+                      label="Match by"
+                      labelAccessibilityVisibility="exclusive"
+                      value={rate.match_type}
+                      onChange={(e) => updateRate(index, "match_type", e.currentTarget.value)}
+                    >
+                      <s-option value="TITLE">Title contains</s-option>
+                      <s-option value="HANDLE">Handle equals</s-option>
+                    </s-select>
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-text-field
+                      label="Pattern"
+                      labelAccessibilityVisibility="exclusive"
+                      value={rate.pattern}
+                      onInput={(e) => updateRate(index, "pattern", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-text-field
+                      label="Country code"
+                      labelAccessibilityVisibility="exclusive"
+                      placeholder="Any"
+                      value={rate.country_code || ""}
+                      onInput={(e) => updateRate(index, "country_code", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-number-field
+                      label="Tier"
+                      labelAccessibilityVisibility="exclusive"
+                      min={1}
+                      value={String(rate.shipping_level)}
+                      onInput={(e) => updateRate(index, "shipping_level", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-number-field
+                      label="Fee per parcel"
+                      labelAccessibilityVisibility="exclusive"
+                      min={0}
+                      step={0.01}
+                      value={String(rate.parcel_fee)}
+                      onInput={(e) => updateRate(index, "parcel_fee", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-text-field
+                      label="Currency code"
+                      labelAccessibilityVisibility="exclusive"
+                      placeholder={shopCurrency || "Shop currency"}
+                      value={rate.currency_code || ""}
+                      onInput={(e) => updateRate(index, "currency_code", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-button
+                      variant="tertiary"
+                      tone="critical"
+                      icon="delete"
+                      accessibilityLabel="Remove rate"
+                      onClick={() => removeRate(index)}
+                    />
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+
+          <s-box padding-block-start="base">
+            <s-button icon="plus" onClick={addRate}>Add rate</s-button>
+          </s-box>
+        </s-section>
+      </s-stack>
+    </s-page>
+  );
+}
+
+// ---- Helper Functions ----
+function validateRates(rates) {
+  if (!Array.isArray(rates)) return ["Invalid rate table."];
+
+  const errors = [];
+  rates.forEach((rate, index) => {
+    const row = `Row ${index + 1}:`;
+    if (!RATE_MATCH_TYPES.includes(rate.match_type)) errors.push(`${row} unknown match type.`);
+    if (!String(rate.pattern || "").trim()) errors.push(`${row} pattern is required.`);
+    if (rate.country_code && !/^[A-Za-z]{2}$/.test(rate.country_code.trim())) errors.push(`${row} country must be a 2-letter code.`);
+    if (!Number.isInteger(Number(rate.shipping_level)) || Number(rate.shipping_level) < 1) errors.push(`${row} tier must be a whole number of at least 1.`);
+    if (!(Number(rate.parcel_fee) >= 0)) errors.push(`${row} fee must be 0 or more.`);
+    if (rate.currency_code && !/^[A-Za-z]{3}$/.test(rate.currency_code.trim())) errors.push(`${row} currency must be a 3-letter code.`);
+  });
+  return errors;
+}
+
+function normalizeRate(rate) {
+  return {
+    match_type: rate.match_type,
+    pattern: String(rate.pattern).trim(),
+    country_code: rate.country_code ? rate.country_code.trim().toUpperCase() : null,
+    shipping_level: Number(rate.shipping_level),
+    parcel_fee: Number(rate.parcel_fee),
+    currency_code: rate.currency_code ? rate.currency_code.trim().toUpperCase() : null
+  };
+}
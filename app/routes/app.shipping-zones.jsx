@@ -0,0 +1,244 @@
+import { useLoaderData, useFetcher } from "react-router";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import { shippingConfigService } from "../services/shippingConfigService.server";
+import { DEFAULT_SHIPPING_ZONES } from "../helpers/shipping-zones";
+
+// -----------------------------------------------------------------------------
+// 1. ACTION (Validate + replace the zones)
+// -----------------------------------------------------------------------------
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "SAVE_ZONES") {
+    let zones;
+    try {
+      zones = JSON.parse(formData.get("zones") || "[]");
+    } catch {
+      return { status: "error", message: "Invalid zones." };
+    }
+
+    const errors = validateZones(zones);
+    if (errors.length > 0) {
+      return { status: "error", message: errors.join(" ") };
+    }
+
+    try {
+      await shippingConfigService.saveZones(admin, session.shop, zones.map(normalizeZone));
+    } catch (error) {
+      return { status: "error", message: error.message };
+    }
+
+    return { status: "success" };
+  }
+
+  return null;
+};
+
+// -----------------------------------------------------------------------------
+// 2. LOADER
+// -----------------------------------------------------------------------------
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const zones = await shippingConfigService.getZones(session.shop);
+
+  return {
+    // Countries are edited as a comma separated list
+    zones: zones.map((zone) => ({ ...zone, country_codes: zone.country_codes.join(", ") })),
+    isDefault: zones === DEFAULT_SHIPPING_ZONES
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 3. CLIENT UI
+// -----------------------------------------------------------------------------
+export default function ShippingZonesPage() {
+  const { zones: initialZones, isDefault } = useLoaderData();
+  const fetcher = useFetcher();
+  const [zones, setZones] = useState(initialZones);
+
+  const isSaving = fetcher.state !== "idle";
+
+  const updateZone = (index, field, value) => {
+    setZones((current) => current.map((zone, i) => (i === index ? { ...zone, [field]: value } : zone)));
+  };
+
+  const addZone = () => {
+    setZones((current) => [
+      ...current,
+      { name: "", country_codes: "", value_cap: 0, absorb_per_heavy: 60, absorb_items_per_heavy: 2, split_enabled: true }
+    ]);
+  };
+
+  const removeZone = (index) => {
+    setZones((current) => current.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    fetcher.submit({ intent: "SAVE_ZONES", zones: JSON.stringify(zones) }, { method: "post" });
+  };
+
+  return (
+    <s-page heading="Destination zones" inlineSize="large">
+      <s-button slot="primary-action" variant="primary" onClick={handleSave} loading={isSaving}>
+        Save
+      </s-button>
+
+      <s-stack gap="base">
+        {fetcher.data?.status === "error" && (
+          <s-banner tone="critical" heading="Zones were not saved">
+            <s-text>{fetcher.data.message}</s-text>
+          </s-banner>
+        )}
+        {fetcher.data?.status === "success" && (
+          <s-banner tone="success" heading="Zones saved and published to checkout" />
+        )}
+        {isDefault && (
+          <s-banner tone="info" heading="Using the built-in zones">
+            <s-text>Save these zones to start managing destinations for your shop.</s-text>
+          </s-banner>
+        )}
+
+        <s-section heading="Zones">
+          <s-paragraph>
+            Splitting is only offered for countries listed in an enabled zone. Each parcel&apos;s declared value
+            stays under the value cap. A parcel holding one item above the cap may also carry up to the
+            absorption item count of cheap items, worth at most the absorption budget.
+          </s-paragraph>
+
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Name</s-table-header>
+              <s-table-header>Countries</s-table-header>
+              <s-table-header>Value cap</s-table-header>
+              <s-table-header>Absorption budget</s-table-header>
+              <s-table-header>Absorption items</s-table-header>
+              <s-table-header>Offer splitting</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {zones.map((zone, index) => (
+                <s-table-row key={index}>
+                  <s-table-cell>
+                    <s-text-field
+                      label="Name"
+                      labelAccessibilityVisibility="exclusive"
+                      value={zone.name}
+                      onInput={(e) => updateZone(index, "name", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-text-field
+                      label="Country codes"
+                      labelAccessibilityVisibility="exclusive"
+                      placeholder="HK, MO"
+                      value={zone.country_codes}
+                      onInput={(e) => updateZone(index, "country_codes", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-number-field
+                      label="Value cap"
+                      labelAccessibilityVisibility="exclusive"
+                      min={0}
+                      step={0.01}
+                      value={String(zone.value_cap)}
+                      onInput={(e) => updateZone(index, "value_cap", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-number-field
+                      label="Absorption budget"
+                      labelAccessibilityVisibility="exclusive"
+                      min={0}
+                      step={0.01}
+                      value={String(zone.absorb_per_heavy)}
+                      onInput={(e) => updateZone(index, "absorb_per_heavy", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-number-field
+                      label="Absorption items"
+                      labelAccessibilityVisibility="exclusive"
+                      min={0}
+                      value={String(zone.absorb_items_per_heavy)}
+                      onInput={(e) => updateZone(index, "absorb_items_per_heavy", e.currentTarget.value)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-checkbox
+                      label="Offer splitting"
+                      labelAccessibilityVisibility="exclusive"
+                      checked={zone.split_enabled}
+                      onChange={(e) => updateZone(index, "split_enabled", e.currentTarget.checked)}
+                    />
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-button
+                      variant="tertiary"
+                      tone="critical"
+                      icon="delete"
+                      accessibilityLabel="Remove zone"
+                      onClick={() => removeZone(index)}
+                    />
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+
+          <s-box padding-block-start="base">
+            <s-button icon="plus" onClick={addZone}>Add zone</s-button>
+          </s-box>
+        </s-section>
+      </s-stack>
+    </s-page>
+  );
+}
+
+// ---- Helper Functions ----
+function parseCountryCodes(value) {
+  return String(value || "")
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function validateZones(zones) {
+  if (!Array.isArray(zones)) return ["Invalid zones."];
+
+  const errors = [];
+  const seen = new Set();
+
+  zones.forEach((zone, index) => {
+    const row = `Row ${index + 1}:`;
+    const countryCodes = parseCountryCodes(zone.country_codes);
+
+    if (!String(zone.name || "").trim()) errors.push(`${row} name is required.`);
+    if (countryCodes.length === 0) errors.push(`${row} at least one country is required.`);
+    countryCodes.forEach((code) => {
+      if (!/^[A-Z]{2}$/.test(code)) errors.push(`${row} ${code} is not a 2-letter country code.`);
+      if (seen.has(code)) errors.push(`${row} ${code} is already in another zone.`);
+      seen.add(code);
+    });
+    if (!(Number(zone.value_cap) > 0)) errors.push(`${row} value cap must be above 0.`);
+    if (!(Number(zone.absorb_per_heavy) >= 0)) errors.push(`${row} absorption budget must be 0 or more.`);
+    if (!Number.isInteger(Number(zone.absorb_items_per_heavy)) || Number(zone.absorb_items_per_heavy) < 0) {
+      errors.push(`${row} absorption items must be a whole number.`);
+    }
+  });
+  return errors;
+}
+
+function normalizeZone(zone) {
+  return {
+    name: String(zone.name).trim(),
+    country_codes: parseCountryCodes(zone.country_codes),
+    value_cap: Number(zone.value_cap),
+    absorb_per_heavy: Number(zone.absorb_per_heavy),
+    absorb_items_per_heavy: Number(zone.absorb_items_per_heavy),
+    split_enabled: zone.split_enabled === true
+  };
+}
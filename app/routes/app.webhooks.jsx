@@ -0,0 +1,214 @@
+import { useFetcher, useLoaderData, useNavigation, useSearchParams, useSubmit } from "react-router";
+import { authenticate } from "../shopify.server";
+import { webhookInbox } from "../services/webhookInbox.server";
+import { WEBHOOK_NAMES } from "../webhooks/handlers.server";
+
+const PAGE_SIZE = 50;
+
+const STATUSES = ["RECEIVED", "PROCESSED", "FAILED"];
+
+const STATUS_TONES = {
+  RECEIVED: "info",
+  PROCESSED: "success",
+  FAILED: "critical",
+};
+
+// -----------------------------------------------------------------------------
+// 1. ACTION
+// -----------------------------------------------------------------------------
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "REPLAY") {
+      const { ok, outcome, error } = await webhookInbox.replay(session.shop, formData.get("id"));
+      return ok
+        ? { status: "success", message: outcome ? `Replayed: ${outcome}` : "Replayed" }
+        : { status: "error", message: `Replay failed: ${error}` };
+    }
+
+    if (intent === "REPLAY_FAILED") {
+      const { replayed, failed, remaining } = await webhookInbox.replayFailed(session.shop, {
+        handler: formData.get("handler") || null
+      });
+      const message = [
+        `${replayed} replayed`,
+        failed > 0 && `${failed} failed again`,
+        remaining > 0 && `${remaining}+ left, replay again to continue`
+      ].filter(Boolean).join(", ");
+
+      return { status: failed > 0 ? "error" : "success", message };
+    }
+  } catch (error) {
+    return { status: "error", message: error.message };
+  }
+
+  return null;
+};
+
+// -----------------------------------------------------------------------------
+// 2. LOADER
+// -----------------------------------------------------------------------------
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const status = STATUSES.includes(url.searchParams.get("status")) ? url.searchParams.get("status") : "";
+  const handler = Object.values(WEBHOOK_NAMES).includes(url.searchParams.get("handler")) ? url.searchParams.get("handler") : "";
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+
+  const { deliveries, totalCount } = await webhookInbox.list(session.shop, {
+    status: status || null,
+    handler: handler || null,
+    page,
+    pageSize: PAGE_SIZE
+  });
+
+  return {
+    deliveries,
+    filters: { status, handler },
+    page,
+    totalPages: Math.max(Math.ceil(totalCount / PAGE_SIZE), 1),
+    handlers: Object.values(WEBHOOK_NAMES)
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 3. CLIENT UI
+// -----------------------------------------------------------------------------
+export default function WebhooksPage() {
+  const { deliveries, filters, page, totalPages, handlers } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigation = useNavigation();
+  const [searchParams] = useSearchParams();
+  const submit = useSubmit();
+
+  const isReplaying = fetcher.state !== "idle";
+  const replayingId = fetcher.formData?.get("id");
+
+  const setParam = (name, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) params.set(name, value);
+    else params.delete(name);
+    if (name !== "page") params.delete("page");
+    submit(params);
+  };
+
+  const handleReplay = (id) => {
+    fetcher.submit({ intent: "REPLAY", id }, { method: "post" });
+  };
+
+  const handleReplayFailed = () => {
+    fetcher.submit({ intent: "REPLAY_FAILED", handler: filters.handler }, { method: "post" });
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : "-");
+
+  return (
+    <s-page heading="Webhook deliveries" inlineSize="large">
+      <s-button slot="primary-action" onClick={handleReplayFailed} loading={isReplaying && !replayingId}>
+        Replay failed deliveries
+      </s-button>
+
+      <s-stack gap="base">
+        {fetcher.data?.status === "error" && (
+          <s-banner tone="critical" heading="Replay did not succeed">
+            <s-text>{fetcher.data.message}</s-text>
+          </s-banner>
+        )}
+        {fetcher.data?.status === "success" && <s-banner tone="success" heading={fetcher.data.message} />}
+
+        <s-section>
+          <s-stack gap="base">
+            <s-paragraph>
+              Every webhook Shopify sends is recorded here once, by delivery. Shopify retries failed deliveries for up to
+              48 hours; replaying runs a stored delivery through the current handler again. Customer data and shop
+              redaction requests are not stored and cannot be replayed.
+            </s-paragraph>
+            <s-stack direction="inline" gap="base">
+              <s-select label="Status" value={filters.status} onChange={(e) => setParam("status", e.currentTarget.value)}>
+                <s-option value="">All</s-option>
+                {STATUSES.map((status) => (
+                  <s-option key={status} value={status}>{status}</s-option>
+                ))}
+              </s-select>
+              <s-select label="Handler" value={filters.handler} onChange={(e) => setParam("handler", e.currentTarget.value)}>
+                <s-option value="">All</s-option>
+                {handlers.map((handler) => (
+                  <s-option key={handler} value={handler}>{handler}</s-option>
+                ))}
+              </s-select>
+            </s-stack>
+          </s-stack>
+        </s-section>
+
+        <s-section padding="none">
+          <s-table
+            loading={navigation.state === "loading"}
+            paginate
+            hasNextPage={page < totalPages}
+            hasPreviousPage={page > 1}
+            onNextPage={() => setParam("page", String(page + 1))}
+            onPreviousPage={() => setParam("page", String(page - 1))}
+          >
+            <s-table-header-row>
+              <s-table-header>Received</s-table-header>
+              <s-table-header>Topic</s-table-header>
+              <s-table-header>Order</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header numeric>Attempts</s-table-header>
+              <s-table-header>Result</s-table-header>
+              <s-table-header />
+            </s-table-header-row>
+            <s-table-body>
+              {deliveries.length === 0 ? (
+                <s-table-row>
+                  <s-table-cell col-span="7">
+                    <s-text tone="subdued">No webhook deliveries match these filters.</s-text>
+                  </s-table-cell>
+                </s-table-row>
+              ) : (
+                deliveries.map((delivery) => (
+                  <s-table-row key={delivery.id}>
+                    <s-table-cell>{formatDate(delivery.received_at)}</s-table-cell>
+                    <s-table-cell>
+                      <s-stack gap="small-200">
+                        <s-text>{delivery.topic}</s-text>
+                        <s-text tone="subdued">{delivery.handler}</s-text>
+                      </s-stack>
+                    </s-table-cell>
+                    <s-table-cell>{delivery.order_name || "-"}</s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={STATUS_TONES[delivery.status]}>{delivery.status}</s-badge>
+                    </s-table-cell>
+                    <s-table-cell numeric>{delivery.attempts}</s-table-cell>
+                    <s-table-cell>
+                      <s-stack gap="small-200">
+                        <s-text>{delivery.last_error || delivery.outcome || "-"}</s-text>
+                        {delivery.replayed_at && <s-text tone="subdued">Last replayed {formatDate(delivery.replayed_at)}</s-text>}
+                      </s-stack>
+                    </s-table-cell>
+                    <s-table-cell>
+                      {delivery.replayable && (
+                        <s-button
+                          variant="tertiary"
+                          onClick={() => handleReplay(delivery.id)}
+                          loading={replayingId === delivery.id}
+                          disabled={isReplaying || delivery.status === "RECEIVED"}
+                        >
+                          Replay
+                        </s-button>
+                      )}
+                    </s-table-cell>
+                  </s-table-row>
+                ))
+              )}
+            </s-table-body>
+          </s-table>
+        </s-section>
+      </s-stack>
+    </s-page>
+  );
+}
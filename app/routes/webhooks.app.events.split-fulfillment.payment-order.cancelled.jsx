@@ -1,59 +1,12 @@
-import { authenticate } from "@/app/shopify.server"
-import { supabase } from "@/app/supabase.server";
-import { getAttributeValueByName } from "@/app/helpers/fulfillment-split";
-
-
+import { authenticate } from "@/app/shopify.server";
+import { webhookInbox } from "@/app/services/webhookInbox.server";
+import { WEBHOOK_NAMES } from "@/app/webhooks/handlers.server";
 
+// Handled in app/webhooks/handlers.server.js, through the webhook inbox
 export const action = async ({ request }) => {
-    const { topic, shop, admin, payload } = await authenticate.webhook(request);
-
-    if (!admin) return new Response();
-
-    try {
-        const {
-            id: orderId,
-            note_attributes,
-            updated_at
-        } = payload;
-
-        // 1. Verify if this is one of our Surcharge Payment Orders
-        const isPaymentOrder = getAttributeValueByName(note_attributes, 'is_additional_shipping_payment_order') === 'true';
-        if (!isPaymentOrder) {
-            console.debug(`Not a payment order ${orderId}. Skipping.`);
-            return new Response();
-        }
-
-        const { data: paymentReq } = await supabase
-            .from("additional_shipping_requests")
-            .select("id, status")
-            .eq("payment_order_id", orderId)
-            .single();
+    const webhook = await authenticate.webhook(request);
+    const { ok } = await webhookInbox.receive(webhook, WEBHOOK_NAMES.PAYMENT_ORDER_CANCELLED);
 
-        if (!paymentReq) {
-            console.debug(`No payment request found for this order ${orderId}. Skipping.`);
-            return new Response();
-        }
-
-        // 2. Update DB Record
-        const { error: updateError } = await supabase
-            .from('additional_shipping_requests')
-            .update({
-                status: 'CANCELLED',
-                updated_at: updated_at,
-                payment_order_cancelled_at: updated_at,
-            })
-            .eq('id', paymentReq.id);
-
-        if (updateError) {
-            console.error("Failed to update DB record:", updateError);
-            return new Response();
-        }
-
-
-        return new Response("Success");
-    } catch (error) {
-        console.error("Error in Payment Webhook:", error);
-        return new Response();
-    }
+    // A failed handler answers 500 so Shopify delivers the webhook again
+    return new Response(null, { status: ok ? 200 : 500 });
 };
-
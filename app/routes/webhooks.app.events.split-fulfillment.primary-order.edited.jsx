@@ -0,0 +1,12 @@
+import { authenticate } from "@/app/shopify.server";
+import { webhookInbox } from "@/app/services/webhookInbox.server";
+import { WEBHOOK_NAMES } from "@/app/webhooks/handlers.server";
+
+// Handled in app/webhooks/handlers.server.js, through the webhook inbox
+export const action = async ({ request }) => {
+    const webhook = await authenticate.webhook(request);
+    const { ok } = await webhookInbox.receive(webhook, WEBHOOK_NAMES.PRIMARY_ORDER_EDITED);
+
+    // A failed handler answers 500 so Shopify delivers the webhook again
+    return new Response(null, { status: ok ? 200 : 500 });
+};
@@ -1,9 +1,12 @@
-import { authenticate } from "../shopify.server";
+import { authenticate } from "@/app/shopify.server";
+import { webhookInbox } from "@/app/services/webhookInbox.server";
+import { WEBHOOK_NAMES } from "@/app/webhooks/handlers.server";
 
+// Handled in app/webhooks/handlers.server.js, through the webhook inbox
 export const action = async ({ request }) => {
-    const { payload, session, topic, shop } = await authenticate.webhook(request);
+    const webhook = await authenticate.webhook(request);
+    const { ok } = await webhookInbox.receive(webhook, WEBHOOK_NAMES.ORCHESTRATE_ORDER_CREATED);
 
-
-
-    return new Response();
-}
\ No newline at end of file
+    // A failed handler answers 500 so Shopify delivers the webhook again
+    return new Response(null, { status: ok ? 200 : 500 });
+};
@@ -1,22 +1,12 @@
 import { authenticate } from "@/app/shopify.server";
-import db from "@/app/db.server";
+import { webhookInbox } from "@/app/services/webhookInbox.server";
+import { WEBHOOK_NAMES } from "@/app/webhooks/handlers.server";
 
+// Handled in app/webhooks/handlers.server.js, through the webhook inbox
 export const action = async ({ request }) => {
-  const { payload, session, topic, shop } = await authenticate.webhook(request);
+  const webhook = await authenticate.webhook(request);
+  const { ok } = await webhookInbox.receive(webhook, WEBHOOK_NAMES.APP_SCOPES_UPDATE);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
-  const current = payload.current;
-
-  if (session) {
-    await db.session.update({
-      where: {
-        id: session.id,
-      },
-      data: {
-        scope: current.toString(),
-      },
-    });
-  }
-
-  return new Response();
+  // A failed handler answers 500 so Shopify delivers the webhook again
+  return new Response(null, { status: ok ? 200 : 500 });
 };
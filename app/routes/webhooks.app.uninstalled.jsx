@@ -1,16 +1,12 @@
 import { authenticate } from "@/app/shopify.server";
-import db from "@/app/db.server";
+import { webhookInbox } from "@/app/services/webhookInbox.server";
+import { WEBHOOK_NAMES } from "@/app/webhooks/handlers.server";
 
+// Handled in app/webhooks/handlers.server.js, through the webhook inbox
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const webhook = await authenticate.webhook(request);
+  const { ok } = await webhookInbox.receive(webhook, WEBHOOK_NAMES.APP_UNINSTALLED);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
-
-  // Webhook requests can trigger multiple times and after an app has already been uninstalled.
-  // If this webhook already ran, the session may have been deleted previously.
-  if (session) {
-    await db.session.deleteMany({ where: { shop } });
-  }
-
-  return new Response();
+  // A failed handler answers 500 so Shopify delivers the webhook again
+  return new Response(null, { status: ok ? 200 : 500 });
 };
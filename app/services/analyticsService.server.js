@@ -0,0 +1,235 @@
+// app/services/analyticsService.server.js
+// Split-fee reporting: acceptance, payment conversion, revenue, lost orders and parcel counts,
+// by country and shipping level. Days are UTC and a request counts on the day it was created.
+import { supabase } from "@/app/supabase.server";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A day is cached once every request created on it is past its payment window and
+// the expiry sweep; until then its figures can still change and are computed live.
+// Later changes (cancellations, refunds, order edits, overrides) drop the cached day.
+const SETTLE_DAYS = 3;
+
+const BATCH_SIZE = 1000;
+
+const COUNTERS = ["eligible", "agreed", "refused", "invoiced", "paid", "lost", "parcels"];
+
+export const analyticsService = {
+    /**
+     * Figures for requests created between `from` and `to` (YYYY-MM-DD, both included).
+     * Returns { totals, byCountry, byLevel }, each row carrying the metrics of toMetrics().
+     * Revenue is kept per currency ({ HKD: 120, USD: 40 }), net of refunds; "" holds requests
+     * from before fees carried a currency, which were charged in the shop currency.
+     */
+    getStats: async (shop, { from, to }, now = new Date()) => {
+        const days = listDays(from, to);
+        const settledBefore = toDay(new Date(now.getTime() - SETTLE_DAYS * DAY));
+
+        const cached = await getCachedDays(shop, days.filter(day => day < settledBefore));
+        const missing = days.filter(day => !cached[day]);
+
+        const computed = missing.length
+            ? await computeDays(shop, missing[0], missing[missing.length - 1])
+            : {};
+
+        const toCache = missing.filter(day => day < settledBefore);
+        if (toCache.length) {
+            const { error } = await supabase
+                .from("split_request_daily_stats")
+                .upsert(toCache.map(day => ({
+                    shop_domain: shop,
+                    day,
+                    buckets: computed[day] || [],
+                    computed_at: now.toISOString()
+                })), { onConflict: "shop_domain,day" });
+
+            if (error) console.error("DB Stats Cache Error:", error);
+        }
+
+        const buckets = days.flatMap(day => cached[day] || computed[day] || []);
+
+        return {
+            totals: toMetrics(sumBuckets(buckets)),
+            byCountry: groupBuckets(buckets, "country_code"),
+            byLevel: groupBuckets(buckets, "shipping_level")
+        };
+    },
+
+    /**
+     * Drop the cached day of a request that changed, so the next report computes it again.
+     * Called by auditService for every event of a request; never throws.
+     */
+    invalidateRequest: async (requestId, now = new Date()) => {
+        const { data: request, error } = await supabase
+            .from("additional_shipping_requests")
+            .select("shop_domain, created_at")
+            .eq("id", requestId)
+            .maybeSingle();
+
+        if (error) console.error("DB Stats Cache Error:", error);
+        if (!request) return;
+
+        // Recent days are never cached
+        const day = toDay(new Date(request.created_at));
+        if (day >= toDay(new Date(now.getTime() - SETTLE_DAYS * DAY))) return;
+
+        const { error: deleteError } = await supabase
+            .from("split_request_daily_stats")
+            .delete()
+            .eq("shop_domain", request.shop_domain)
+            .eq("day", day);
+
+        if (deleteError) console.error("DB Stats Cache Error:", deleteError);
+    }
+};
+
+// ---- Helper Functions ----
+async function getCachedDays(shop, days) {
+    if (!days.length) return {};
+
+    const { data, error } = await supabase
+        .from("split_request_daily_stats")
+        .select("day, buckets")
+        .eq("shop_domain", shop)
+        .gte("day", days[0])
+        .lte("day", days[days.length - 1]);
+
+    if (error) {
+        console.error("DB Stats Cache Error:", error);
+        return {};
+    }
+
+    return Object.fromEntries(data.map(row => [row.day, row.buckets]));
+}
+
+// One scan over the requests created between two days, bucketed per day / country / level
+async function computeDays(shop, firstDay, lastDay) {
+    const buckets = {};
+    let offset = 0;
+    let requests;
+
+    do {
+        const { data, error } = await supabase
+            .from("additional_shipping_requests")
+            .select(`
+                id, created_at, status, user_choice, calculated_parcels, shipping_level,
+                additional_shipping_amount, currency_code, fee_collection_mode, fee_waived, override_action, payment_order_id, paid_at,
+                fee_refund_amount,
+                primary_order:core_orders!primary_order_id ( shipping_country_code ),
+                adjustments:additional_shipping_request_adjustments ( action, previous_amount, new_amount, paid_at )
+            `)
+            .eq("shop_domain", shop)
+            .gte("created_at", `${firstDay}T00:00:00.000Z`)
+            .lt("created_at", new Date(Date.parse(`${lastDay}T00:00:00.000Z`) + DAY).toISOString())
+            .order("created_at", { ascending: true })
+            .order("id", { ascending: true })
+            .range(offset, offset + BATCH_SIZE - 1);
+
+        if (error) throw new Error(`DB Stats Error: ${error.message}`);
+        requests = data;
+
+        requests.forEach(request => {
+            const day = toDay(new Date(request.created_at));
+            const country = request.primary_order?.shipping_country_code || "";
+            const level = request.shipping_level ?? 0;
+
+            buckets[day] = buckets[day] || {};
+            const key = `${country}|${level}`;
+            const bucket = buckets[day][key] = buckets[day][key] || emptyBucket({ country_code: country, shipping_level: level });
+
+            addRequest(bucket, request);
+        });
+
+        offset += requests.length;
+    } while (requests.length === BATCH_SIZE);
+
+    return Object.fromEntries(Object.entries(buckets).map(([day, byKey]) => [day, Object.values(byKey)]));
+}
+
+function addRequest(bucket, request) {
+    bucket.eligible++;
+    if (request.user_choice === true) bucket.agreed++;
+    if (request.user_choice === false) bucket.refused++;
+    if (!request.user_choice) return;
+
+    bucket.parcels += request.calculated_parcels || 0;
+    // Fees charged at checkout are billed with the order itself
+    if (request.payment_order_id || request.fee_collection_mode === "CHECKOUT") bucket.invoiced++;
+
+    // Requests completed before paid_at existed count as paid unless staff closed them
+    const isPaid = Boolean(request.paid_at) ||
+        (request.status === "COMPLETED" && request.payment_order_id && !request.override_action);
+
+    if (isPaid && !request.fee_waived) {
+        bucket.paid++;
+        const currency = request.currency_code || "";
+        bucket.revenue[currency] = (bucket.revenue[currency] || 0) + getNetFee(request);
+    }
+
+    if (request.status === "CANCELLED") bucket.lost++;
+}
+
+// The fee after order edits, less what was refunded and the order edit invoices never paid.
+// Partial refunds of order edits already lowered additional_shipping_amount.
+function getNetFee(request) {
+    const unpaidInvoiced = (request.adjustments || [])
+        .filter(adjustment => adjustment.action === "INVOICED" && !adjustment.paid_at)
+        .reduce((sum, adjustment) => sum + Number(adjustment.new_amount) - Number(adjustment.previous_amount), 0);
+
+    const net = Number(request.additional_shipping_amount || 0) - Number(request.fee_refund_amount || 0) - unpaidInvoiced;
+    return Math.max(0, Math.round(net * 100) / 100);
+}
+
+function emptyBucket(fields) {
+    return { ...fields, ...Object.fromEntries(COUNTERS.map(counter => [counter, 0])), revenue: {} };
+}
+
+function sumBuckets(buckets, fields = {}) {
+    return buckets.reduce((sum, bucket) => {
+        COUNTERS.forEach(counter => { sum[counter] += bucket[counter]; });
+
+        // Days cached before revenue was split by currency hold a single number
+        const revenue = typeof bucket.revenue === "number" ? { "": bucket.revenue } : bucket.revenue;
+        Object.entries(revenue).forEach(([currency, amount]) => {
+            sum.revenue[currency] = (sum.revenue[currency] || 0) + amount;
+        });
+        return sum;
+    }, emptyBucket(fields));
+}
+
+function groupBuckets(buckets, field) {
+    const groups = {};
+    buckets.forEach(bucket => {
+        (groups[bucket[field]] = groups[bucket[field]] || []).push(bucket);
+    });
+
+    return Object.values(groups)
+        .map(group => toMetrics(sumBuckets(group, { [field]: group[0][field] })))
+        .sort((a, b) => b.eligible - a.eligible);
+}
+
+// Rates are null when there is nothing to divide by
+function toMetrics(bucket) {
+    const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+    return {
+        ...bucket,
+        revenue: Object.fromEntries(Object.entries(bucket.revenue).map(([currency, amount]) => [currency, Math.round(amount * 100) / 100])),
+        acceptanceRate: ratio(bucket.agreed, bucket.agreed + bucket.refused),
+        conversionRate: ratio(bucket.paid, bucket.invoiced),
+        lostRate: ratio(bucket.lost, bucket.agreed),
+        averageParcels: ratio(bucket.parcels, bucket.agreed)
+    };
+}
+
+function listDays(from, to) {
+    const days = [];
+    for (let time = Date.parse(`${from}T00:00:00.000Z`); time <= Date.parse(`${to}T00:00:00.000Z`); time += DAY) {
+        days.push(toDay(new Date(time)));
+    }
+    return days;
+}
+
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,101 @@
+// app/services/auditService.server.js
+// Append-only history of split requests (`audit_events`), shown as a timeline in app.requests.$requestId.jsx
+import { supabase } from "@/app/supabase.server";
+import { analyticsService } from "@/app/services/analyticsService.server";
+
+// Build the `actor` for record()/transition()
+export const actors = {
+    webhook: (topic) => ({ type: "WEBHOOK", id: topic }),
+    staff: (sessionToken) => ({ type: "STAFF", id: sessionToken?.sub ? `staff:${sessionToken.sub}` : "staff" }),
+    system: (name) => ({ type: "SYSTEM", id: name }),
+};
+
+export const auditService = {
+    /**
+     * Write one event. Never throws: a failed audit write must not break the flow it describes.
+     * Every change to a request is recorded here, so it also drops the request's cached stats.
+     */
+    record: async ({ shop, requestId = null, type, actor, fromStatus = null, toStatus = null, message = null, userErrors = null, payload = null }) => {
+        const { error } = await supabase
+            .from("audit_events")
+            .insert({
+                shop_domain: shop,
+                request_id: requestId,
+                type,
+                from_status: fromStatus,
+                to_status: toStatus,
+                actor_type: actor.type,
+                actor: actor.id,
+                message,
+                user_errors: userErrors?.length ? userErrors : null,
+                payload_json: payload
+            });
+
+        if (error) {
+            console.error(`DB Audit Error (${type}):`, error);
+        }
+
+        if (requestId) await analyticsService.invalidateRequest(requestId);
+    },
+
+    /**
+     * Change a request's status (plus any extra `fields`) and record the transition.
+     * Throws if the update fails, or if the status changed since it was read (another writer
+     * won the race, e.g. the paid webhook against the expiry sweep); nothing is written then.
+     */
+    transition: async (requestId, toStatus, { actor, fields = {}, message = null, userErrors = null, payload = null }) => {
+        const { data: current, error: fetchError } = await supabase
+            .from("additional_shipping_requests")
+            .select("status, shop_domain")
+            .eq("id", requestId)
+            .single();
+
+        if (fetchError) throw new Error(`DB Transition Error: ${fetchError.message}`);
+
+        const { data: updated, error: updateError } = await supabase
+            .from("additional_shipping_requests")
+            .update({
+                ...fields,
+                status: toStatus,
+                updated_at: new Date().toISOString()
+            })
+            .eq("id", requestId)
+            .eq("status", current.status)
+            .select("id");
+
+        if (updateError) throw new Error(`DB Transition Error: ${updateError.message}`);
+        if (!updated.length) {
+            throw new Error(`Transition Conflict: request ${requestId} left ${current.status} before it could move to ${toStatus}.`);
+        }
+
+        await auditService.record({
+            shop: current.shop_domain,
+            requestId,
+            type: "STATUS_CHANGED",
+            actor,
+            fromStatus: current.status,
+            toStatus,
+            message,
+            userErrors,
+            payload
+        });
+    },
+
+    /**
+     * Every event of a request, oldest first.
+     */
+    getTimeline: async (shop, requestId) => {
+        const { data, error } = await supabase
+            .from("audit_events")
+            .select("id, type, from_status, to_status, actor_type, actor, message, user_errors, payload_json, created_at")
+            .eq("shop_domain", shop)
+            .eq("request_id", requestId)
+            .order("created_at", { ascending: true });
+
+        if (error) {
+            console.error("DB Timeline Error:", error);
+        }
+
+        return data || [];
+    }
+};
@@ -0,0 +1,62 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { actors, auditService } from "@/app/services/auditService.server";
+
+// The request row; a status update only lands while the row still has the status it filters on.
+// `staleRead.status` is what the read returns when another writer changed the row right after it.
+const request = {};
+const staleRead = {};
+const inserts = [];
+vi.mock("@/app/supabase.server", () => {
+    const query = (table) => {
+        const filters = {};
+        let values = null;
+
+        const builder = {
+            select: () => builder,
+            eq: (column, value) => { filters[column] = value; return builder; },
+            single: () => Promise.resolve({ data: { ...request, ...staleRead }, error: null }),
+            insert: (row) => { inserts.push({ table, row }); return Promise.resolve({ error: null }); },
+            update: (fields) => { values = fields; return builder; },
+            then: (resolve, reject) => {
+                const matches = Object.entries(filters).every(([column, value]) => request[column] === value);
+                if (matches) Object.assign(request, values);
+                return Promise.resolve({ data: matches ? [{ id: request.id }] : [], error: null }).then(resolve, reject);
+            }
+        };
+        return builder;
+    };
+    return { supabase: { from: query } };
+});
+vi.mock("@/app/services/analyticsService.server", () => ({
+    analyticsService: { invalidateRequest: vi.fn() }
+}));
+
+const actor = actors.system("test");
+
+describe("auditService.transition", () => {
+    beforeEach(() => {
+        Object.assign(request, { id: "request-1", shop_domain: "test-shop.myshopify.com", status: "AWAITING_PAYMENT" });
+        delete staleRead.status;
+        inserts.length = 0;
+    });
+
+    it("moves the request and records the transition", async () => {
+        await auditService.transition("request-1", "COMPLETED", { actor });
+
+        expect(request.status).toBe("COMPLETED");
+        expect(inserts).toEqual([expect.objectContaining({
+            table: "audit_events",
+            row: expect.objectContaining({ from_status: "AWAITING_PAYMENT", to_status: "COMPLETED" })
+        })]);
+    });
+
+    it("throws without writing when another writer changed the status first", async () => {
+        // e.g. the paid webhook completed the request between our read and our update
+        staleRead.status = "AWAITING_PAYMENT";
+        request.status = "COMPLETED";
+
+        await expect(auditService.transition("request-1", "CANCELLED", { actor })).rejects.toThrow("Transition Conflict");
+        expect(request.status).toBe("COMPLETED");
+        expect(inserts).toEqual([]);
+    });
+});
@@ -0,0 +1,198 @@
+// app/services/complianceService.server.js
+// GDPR / mandatory compliance webhooks: customer data export, customer redact, shop redact.
+import { supabase } from "@/app/supabase.server";
+import db from "@/app/db.server";
+
+// Tables keyed by shop_domain, purged by shop/redact. Children before parents (foreign keys).
+const SHOP_TABLES = [
+    'audit_events',
+    'customer_data_exports',
+    'invoice_email_templates',
+    'saved_request_views',
+    'split_request_daily_stats',
+    'webhook_inbox',
+    'additional_shipping_request_adjustments',
+    'additional_shipping_requests',
+    'core_orders',
+    'core_customers',
+    'core_products',
+    'additional_shipping_request_settings',
+    'additional_shipping_rates',
+    'additional_shipping_zones',
+];
+
+export const complianceService = {
+    /**
+     * Collect everything we hold about a customer and store it for the merchant,
+     * who has 30 days to hand it over. Returns the export.
+     */
+    exportCustomerData: async (shop, { customerId, ordersRequested = [], dataRequestId }) => {
+        const { data: customer } = await supabase
+            .from('core_customers')
+            .select('customer_id, email, first_name, last_name')
+            .eq('customer_id', customerId)
+            .eq('shop_domain', shop)
+            .maybeSingle();
+
+        const orderIds = await getCustomerOrderIds(shop, customerId, ordersRequested);
+
+        const { data: orders } = await supabase
+            .from('core_orders')
+            .select('order_id, order_name, is_shipping_payment_order, created_at')
+            .eq('shop_domain', shop)
+            .in('order_id', orderIds);
+
+        const { data: requests } = await supabase
+            .from('additional_shipping_requests')
+            .select(`
+                id, primary_order_id, payment_order_id, user_choice, calculated_parcels,
+                shipping_level, additional_shipping_amount, status, fee_waived,
+                invoice_sent_at, expires_at, created_at
+            `)
+            .eq('shop_domain', shop)
+            .in('primary_order_id', orderIds);
+
+        const requestIds = (requests || []).map(request => request.id);
+        const { data: events } = await supabase
+            .from('audit_events')
+            .select('request_id, type, from_status, to_status, message, created_at')
+            .in('request_id', requestIds)
+            .order('created_at', { ascending: true });
+
+        const exportData = {
+            customer: customer || null,
+            orders: orders || [],
+            split_requests: (requests || []).map(request => ({
+                ...request,
+                history: (events || []).filter(event => event.request_id === request.id)
+            }))
+        };
+
+        const { error } = await supabase
+            .from('customer_data_exports')
+            .insert({
+                shop_domain: shop,
+                customer_id: customerId,
+                data_request_id: dataRequestId,
+                payload: exportData
+            });
+
+        if (error) throw new Error(`DB Export Error: ${error.message}`);
+
+        return exportData;
+    },
+
+    /**
+     * Anonymise a customer. Order links and split requests stay, since they are
+     * financial records; only personal data is removed, including from stored webhook payloads.
+     */
+    redactCustomer: async (shop, { customerId }) => {
+        const { error } = await supabase
+            .from('core_customers')
+            .update({ email: null, first_name: null, last_name: null })
+            .eq('customer_id', customerId)
+            .eq('shop_domain', shop);
+
+        if (error) throw new Error(`DB Redact Error: ${error.message}`);
+
+        // Order webhooks are kept as job payloads for retries
+        const { data: jobs } = await supabase
+            .from('background_jobs')
+            .select('id, payload')
+            .eq('payload->>shop', shop)
+            .eq('payload->payload->customer->>id', String(customerId));
+
+        for (const job of jobs || []) {
+            await supabase
+                .from('background_jobs')
+                .update({ payload: { ...job.payload, payload: redactOrderPayload(job.payload.payload) } })
+                .eq('id', job.id);
+        }
+
+        // ...and as webhook inbox payloads for replays
+        const { data: deliveries } = await supabase
+            .from('webhook_inbox')
+            .select('id, payload')
+            .eq('shop_domain', shop)
+            .eq('payload->customer->>id', String(customerId));
+
+        for (const delivery of deliveries || []) {
+            await supabase
+                .from('webhook_inbox')
+                .update({ payload: redactOrderPayload(delivery.payload) })
+                .eq('id', delivery.id);
+        }
+
+        await supabase
+            .from('customer_data_exports')
+            .delete()
+            .eq('customer_id', customerId)
+            .eq('shop_domain', shop);
+    },
+
+    /**
+     * Delete everything stored for a shop. Shopify sends shop/redact 48 hours after uninstall.
+     */
+    purgeShop: async (shop) => {
+        const { data: requests } = await supabase
+            .from('additional_shipping_requests')
+            .select('id')
+            .eq('shop_domain', shop);
+
+        const requestIds = (requests || []).map(request => request.id);
+        if (requestIds.length > 0) {
+            await deleteOrThrow(supabase
+                .from('additional_shipping_request_fulfillment_holds')
+                .delete()
+                .in('additional_shipping_request_id', requestIds), 'fulfillment holds');
+        }
+
+        for (const table of SHOP_TABLES) {
+            await deleteOrThrow(supabase.from(table).delete().eq('shop_domain', shop), table);
+        }
+
+        await deleteOrThrow(supabase.from('background_jobs').delete().eq('payload->>shop', shop), 'background_jobs');
+        await deleteOrThrow(supabase.from('core_shops').delete().eq('shop_domain', shop), 'core_shops');
+
+        await db.session.deleteMany({ where: { shop } });
+
+        console.log(`🧹 Purged all data for ${shop}`);
+    }
+};
+
+// ---- Helper Functions ----
+async function getCustomerOrderIds(shop, customerId, ordersRequested) {
+    const { data } = await supabase
+        .from('core_orders')
+        .select('order_id')
+        .eq('shop_domain', shop)
+        .eq('customer_id', customerId);
+
+    // Payment orders are not linked to the customer, only through their request
+    const ownOrderIds = (data || []).map(order => order.order_id);
+    const { data: requests } = await supabase
+        .from('additional_shipping_requests')
+        .select('payment_order_id')
+        .in('primary_order_id', ownOrderIds)
+        .not('payment_order_id', 'is', null);
+
+    return [...new Set([
+        ...ownOrderIds,
+        ...(requests || []).map(request => request.payment_order_id),
+        ...ordersRequested.map(String)
+    ])];
+}
+
+function redactOrderPayload(order) {
+    return {
+        ...order,
+        email: null,
+        customer: { id: order.customer.id, admin_graphql_api_id: order.customer.admin_graphql_api_id },
+        shipping_address: order.shipping_address ? { country_code: order.shipping_address.country_code } : null
+    };
+}
+
+async function deleteOrThrow(query, label) {
+    const { error } = await query;
+    if (error) throw new Error(`DB Purge Error (${label}): ${error.message}`);
+}
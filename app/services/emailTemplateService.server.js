@@ -0,0 +1,80 @@
+// app/services/emailTemplateService.server.js
+// Per-shop invoice email templates (`invoice_email_templates`) on top of the built-in ones.
+import { supabase } from "@/app/supabase.server";
+import { DEFAULT_TEMPLATES, renderEmail, resolveEmailLocale } from "@/app/helpers/invoice-email";
+import { settingsService } from "@/app/services/settingsService.server";
+
+export const emailTemplateService = {
+    /**
+     * Every kind and locale, the shop's own version where it saved one:
+     * { INVOICE: { en: { subject, body, isCustom } , ... }, REMINDER: {...} }
+     */
+    getTemplates: async (shop) => {
+        const { data, error } = await supabase
+            .from("invoice_email_templates")
+            .select("kind, locale, subject, body")
+            .eq("shop_domain", shop);
+
+        if (error) {
+            console.error("DB Email Templates Error:", error);
+        }
+
+        const templates = {};
+        Object.entries(DEFAULT_TEMPLATES).forEach(([kind, byLocale]) => {
+            templates[kind] = {};
+            Object.entries(byLocale).forEach(([locale, template]) => {
+                const custom = (data || []).find((row) => row.kind === kind && row.locale === locale);
+                templates[kind][locale] = custom
+                    ? { subject: custom.subject, body: custom.body, isCustom: true }
+                    : { ...template, isCustom: false };
+            });
+        });
+        return templates;
+    },
+
+    saveTemplate: async (shop, kind, locale, { subject, body }) => {
+        await supabase.from("core_shops").upsert({ shop_domain: shop }, { onConflict: "shop_domain" });
+
+        const { error } = await supabase
+            .from("invoice_email_templates")
+            .upsert({
+                shop_domain: shop,
+                kind,
+                locale,
+                subject,
+                body,
+                updated_at: new Date().toISOString()
+            }, { onConflict: "shop_domain,kind,locale" });
+
+        if (error) throw new Error(`Failed to save template: ${error.message}`);
+    },
+
+    /**
+     * Go back to the built-in template for this kind and locale.
+     */
+    resetTemplate: async (shop, kind, locale) => {
+        const { error } = await supabase
+            .from("invoice_email_templates")
+            .delete()
+            .eq("shop_domain", shop)
+            .eq("kind", kind)
+            .eq("locale", locale);
+
+        if (error) throw new Error(`Failed to reset template: ${error.message}`);
+    },
+
+    /**
+     * Render the email a buyer should receive: their locale's template if we have one,
+     * else the shop's default email locale. `buildValues(locale)` formats the placeholder
+     * values for the chosen locale (see getEmailValues).
+     */
+    render: async (shop, kind, buyerLocale, buildValues) => {
+        const [settings, templates] = await Promise.all([
+            settingsService.getSettings(shop),
+            emailTemplateService.getTemplates(shop)
+        ]);
+
+        const locale = resolveEmailLocale(buyerLocale, settings.default_email_locale);
+        return renderEmail(templates[kind][locale], buildValues(locale));
+    }
+};
@@ -0,0 +1,220 @@
+// app/services/expiryService.server.js
+import { unauthenticated } from "@/app/shopify.server";
+import { supabase } from "@/app/supabase.server";
+import { orderService } from "@/app/services/orderService.server";
+import { holdService } from "@/app/services/holdService.server";
+import { PAYMENT_WINDOW_HOURS } from "@/app/helpers/fulfillment-split";
+import { actors, auditService } from "@/app/services/auditService.server";
+
+const PAID_STATUSES = ['PAID', 'PARTIALLY_PAID', 'AUTHORIZED'];
+
+const ACTOR = actors.system("expire-unpaid-requests");
+
+export const expiryService = {
+    /**
+     * Cancel every AWAITING_PAYMENT request whose payment deadline has passed, oldest first.
+     * A request paid without its paid webhook getting through is completed instead,
+     * so it no longer takes up a place in the batch.
+     *
+     * Safe to run repeatedly: each order is only cancelled while Shopify still
+     * reports it as open, and each cancellation is recorded as soon as it succeeds,
+     * so a rerun picks up where a failed run stopped.
+     */
+    sweepExpiredRequests: async (now = new Date()) => {
+        // Rows created before `expires_at` was populated fall back to created_at + window
+        const legacyCutoff = new Date(now.getTime() - PAYMENT_WINDOW_HOURS * 60 * 60 * 1000);
+
+        const { data: expiredRequests, error } = await supabase
+            .from('additional_shipping_requests')
+            .select('id, shop_domain, primary_order_id, payment_order_id, paid_at, primary_order_cancelled_at, payment_order_cancelled_at')
+            .eq('status', 'AWAITING_PAYMENT')
+            .is('orphaned_at', null) // No token until the shop reinstalls
+            .or(`expires_at.lt.${now.toISOString()},and(expires_at.is.null,created_at.lt.${legacyCutoff.toISOString()})`)
+            .order('expires_at', { ascending: true, nullsFirst: true })
+            .order('created_at', { ascending: true })
+            .limit(100);
+
+        if (error) {
+            console.error("Expiry sweep query failed:", error);
+            return { cancelled: 0, completed: 0, failed: 0 };
+        }
+
+        let cancelled = 0;
+        let completed = 0;
+        let failed = 0;
+
+        for (const request of expiredRequests) {
+            try {
+                const result = await expireRequest(request, now);
+                if (result === 'CANCELLED') cancelled++;
+                else completed++;
+            } catch (e) {
+                failed++;
+                console.error(`⏰ Expiry failed for request ${request.id}: ${e.message}`);
+            }
+        }
+
+        if (cancelled > 0 || completed > 0 || failed > 0) {
+            console.log(`⏰ Expiry sweep: ${cancelled} cancelled, ${completed} paid and completed, ${failed} failed`);
+        }
+
+        return { cancelled, completed, failed };
+    },
+
+    /**
+     * Cancel the extra payment orders of order edits (see processOrderEdited in
+     * app/services/splitWorkflow.server.js) left unpaid past the payment window.
+     * The parcels already ship; only the invoice for the extra fee is withdrawn.
+     */
+    sweepExpiredAdjustments: async (now = new Date()) => {
+        const cutoff = new Date(now.getTime() - PAYMENT_WINDOW_HOURS * 60 * 60 * 1000);
+
+        const { data: expiredAdjustments, error } = await supabase
+            .from('additional_shipping_request_adjustments')
+            .select('id, shop_domain, additional_shipping_request_id, payment_order_id, request:additional_shipping_requests!inner ( orphaned_at )')
+            .eq('action', 'INVOICED')
+            .not('payment_order_id', 'is', null)
+            .is('paid_at', null)
+            .is('payment_order_cancelled_at', null)
+            .is('request.orphaned_at', null) // No token until the shop reinstalls
+            .lt('created_at', cutoff.toISOString())
+            .order('created_at', { ascending: true })
+            .limit(100);
+
+        if (error) {
+            console.error("Adjustment expiry sweep query failed:", error);
+            return { cancelled: 0, failed: 0 };
+        }
+
+        let cancelled = 0;
+        let failed = 0;
+
+        for (const adjustment of expiredAdjustments) {
+            try {
+                const result = await expireAdjustment(adjustment, now);
+                if (result) cancelled++;
+            } catch (e) {
+                failed++;
+                console.error(`⏰ Expiry failed for adjustment ${adjustment.id}: ${e.message}`);
+            }
+        }
+
+        if (cancelled > 0 || failed > 0) {
+            console.log(`⏰ Adjustment expiry sweep: ${cancelled} cancelled, ${failed} failed`);
+        }
+
+        return { cancelled, failed };
+    }
+};
+
+// ---- Helper Functions ----
+// Returns CANCELLED, or COMPLETED when the fee turned out to be paid
+async function expireRequest(request, now) {
+    const { admin } = await unauthenticated.admin(request.shop_domain);
+
+    // 1. The buyer may have paid right before the deadline. The paid webhook normally
+    //    completes the request; if it never got through, do what it would have done.
+    if (request.payment_order_id) {
+        const paymentOrder = await orderService.getOrderState(admin, request.payment_order_id);
+        if (paymentOrder && PAID_STATUSES.includes(paymentOrder.displayFinancialStatus)) {
+            console.log(`⏰ Request ${request.id} was paid before expiry. Releasing its holds.`);
+            if (!request.paid_at) {
+                await updateRequest(request.id, { paid_at: now.toISOString() });
+            }
+            const { errors } = await holdService.releaseAfterPayment(admin, request.shop_domain, request.id, {
+                actor: ACTOR,
+                payload: { payment_order_id: request.payment_order_id, financial_status: paymentOrder.displayFinancialStatus }
+            });
+            // The request is FAILED now, out of the sweep and retried from the dashboard
+            if (errors.length > 0) throw new Error(`Some holds could not be released: ${errors.join('; ')}`);
+            return 'COMPLETED';
+        }
+    }
+
+    const cancelledAt = now.toISOString();
+    const staffNote = `Split fee not paid within ${PAYMENT_WINDOW_HOURS} hours.`;
+
+    // 2. Cancel the pending payment order first so the buyer can no longer pay it
+    if (request.payment_order_id && !request.payment_order_cancelled_at) {
+        await cancelIfOpen(admin, request.payment_order_id, { staffNote });
+        await updateRequest(request.id, { payment_order_cancelled_at: cancelledAt });
+        await recordCancellation(request, 'Payment order cancelled', request.payment_order_id);
+    }
+
+    // 3. Cancel the primary order and refund what the buyer paid for it
+    if (!request.primary_order_cancelled_at) {
+        await cancelIfOpen(admin, request.primary_order_id, { refund: true, restock: true, staffNote });
+        await updateRequest(request.id, { primary_order_cancelled_at: cancelledAt });
+        await recordCancellation(request, 'Primary order cancelled and refunded', request.primary_order_id);
+    }
+
+    // 4. Only close the request once both orders are cancelled
+    await auditService.transition(request.id, 'CANCELLED', { actor: ACTOR, message: staffNote });
+    return 'CANCELLED';
+}
+
+// Returns true if the extra payment order was cancelled now
+async function expireAdjustment(adjustment, now) {
+    const { admin } = await unauthenticated.admin(adjustment.shop_domain);
+
+    // Paid but the paid webhook never got through: stamp it so the sweep stops matching it
+    const paymentOrder = await orderService.getOrderState(admin, adjustment.payment_order_id);
+    if (paymentOrder && PAID_STATUSES.includes(paymentOrder.displayFinancialStatus)) {
+        await updateAdjustment(adjustment.id, { paid_at: now.toISOString() });
+        return false;
+    }
+
+    await cancelIfOpen(admin, adjustment.payment_order_id, {
+        staffNote: `Order edit fee not paid within ${PAYMENT_WINDOW_HOURS} hours.`
+    });
+    await updateAdjustment(adjustment.id, { payment_order_cancelled_at: now.toISOString() });
+
+    await auditService.record({
+        shop: adjustment.shop_domain,
+        requestId: adjustment.additional_shipping_request_id,
+        type: 'ORDER_CANCELLED',
+        actor: ACTOR,
+        message: 'Order edit payment order cancelled, not paid in time',
+        payload: { order_id: adjustment.payment_order_id, adjustment_id: adjustment.id }
+    });
+    return true;
+}
+
+async function cancelIfOpen(admin, orderId, options) {
+    const order = await orderService.getOrderState(admin, orderId);
+    if (!order || order.cancelledAt) return;
+    await orderService.cancelOrder(admin, orderId, options);
+}
+
+async function updateRequest(recordId, fields) {
+    const { error } = await supabase
+        .from('additional_shipping_requests')
+        .update(fields)
+        .eq('id', recordId);
+
+    if (error) {
+        throw new Error(`DB update failed: ${error.message}`);
+    }
+}
+
+async function updateAdjustment(adjustmentId, fields) {
+    const { error } = await supabase
+        .from('additional_shipping_request_adjustments')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', adjustmentId);
+
+    if (error) {
+        throw new Error(`DB update failed: ${error.message}`);
+    }
+}
+
+function recordCancellation(request, message, orderId) {
+    return auditService.record({
+        shop: request.shop_domain,
+        requestId: request.id,
+        type: 'ORDER_CANCELLED',
+        actor: ACTOR,
+        message,
+        payload: { order_id: orderId }
+    });
+}
@@ -0,0 +1,122 @@
+// app/services/exportService.server.js
+// CSV export of split requests for finance reconciliation. Rows are read from Supabase
+// page by page and written to the response as they arrive, so memory stays flat on large shops.
+import { requestQueryService } from "@/app/services/requestQueryService.server";
+
+// Rows per Supabase round trip
+const BATCH_SIZE = 1000;
+
+const EXPORT_COLUMNS = `
+    id, created_at, status, user_choice, calculated_parcels, shipping_level,
+    additional_shipping_amount, currency_code, fee_collection_mode, fee_waived, paid_at, expires_at,
+    primary_order_id, payment_order_id, primary_order_cancelled_at, payment_order_cancelled_at,
+    fee_refund_status, fee_refund_amount, fee_refunded_at,
+    primary_order:core_orders!primary_order_id ( order_name ),
+    payment_order:core_orders!payment_order_id ( order_name ),
+    fulfillment_holds:additional_shipping_request_fulfillment_holds ( released )
+`;
+
+// [header, value(request, context)]
+const CSV_FIELDS = [
+    ["request_id", (request) => request.id],
+    ["created_at", (request) => request.created_at],
+    ["primary_order_name", (request) => request.primary_order?.order_name],
+    ["primary_order_id", (request) => request.primary_order_id],
+    ["payment_order_name", (request) => request.payment_order?.order_name],
+    ["payment_order_id", (request) => request.payment_order_id],
+    ["buyer_choice", (request) => request.user_choice == null ? "" : (request.user_choice ? "agreed" : "refused")],
+    ["parcels", (request) => request.calculated_parcels],
+    ["shipping_level", (request) => request.shipping_level],
+    ["fee_amount", (request) => request.additional_shipping_amount == null ? "" : Number(request.additional_shipping_amount).toFixed(2)],
+    // Requests from before fees carried a currency were charged in the shop currency
+    ["currency", (request, { currencyCode }) => request.currency_code || currencyCode],
+    ["fee_collection", (request) => request.fee_collection_mode],
+    ["fee_waived", (request) => request.fee_waived],
+    ["status", (request) => request.status],
+    ["payment_deadline", (request) => request.expires_at],
+    ["paid_at", (request) => request.paid_at],
+    ["primary_order_cancelled_at", (request) => request.primary_order_cancelled_at],
+    ["payment_order_cancelled_at", (request) => request.payment_order_cancelled_at],
+    ["fee_refund_status", (request) => request.fee_refund_status],
+    ["fee_refund_amount", (request) => request.fee_refund_amount == null ? "" : Number(request.fee_refund_amount).toFixed(2)],
+    ["fee_refunded_at", (request) => request.fee_refunded_at],
+    ["holds_total", (request) => request.fulfillment_holds.length],
+    ["holds_released", (request) => request.fulfillment_holds.filter(hold => hold.released).length],
+    ["hold_state", (request) => getHoldState(request.fulfillment_holds)],
+];
+
+export const exportService = {
+    /**
+     * A ReadableStream of CSV text for every request matching `filters`
+     * (see app/helpers/request-filters.js), in the dashboard's sort order.
+     * Starts with a UTF-8 BOM so Excel opens order names and Chinese text correctly.
+     */
+    streamRequestsCsv: (shop, filters, { currencyCode = "" } = {}) => {
+        const encoder = new TextEncoder();
+        const now = new Date(); // One clock for every batch, so relative filters do not drift
+        let lastRequest = null;
+
+        return new ReadableStream({
+            start(controller) {
+                controller.enqueue(encoder.encode(`\uFEFF${toCsvLine(CSV_FIELDS.map(([header]) => header))}`));
+            },
+
+            // Called whenever the client is ready for more; one batch per pull
+            async pull(controller) {
+                try {
+                    let query = await requestQueryService.buildQuery(shop, filters, { columns: EXPORT_COLUMNS, now });
+                    if (lastRequest) query = afterRequest(query, filters, lastRequest);
+
+                    const { data: requests, error } = await query.limit(BATCH_SIZE);
+
+                    if (error) throw new Error(`DB Export Error: ${error.message}`);
+
+                    const chunk = requests
+                        .map(request => toCsvLine(CSV_FIELDS.map(([, getValue]) => getValue(request, { currencyCode }))))
+                        .join("");
+                    if (chunk) controller.enqueue(encoder.encode(chunk));
+
+                    lastRequest = requests[requests.length - 1] ?? lastRequest;
+                    if (requests.length < BATCH_SIZE) controller.close();
+                } catch (error) {
+                    console.error(`📤 Export failed for ${shop}:`, error);
+                    controller.error(error);
+                }
+            }
+        });
+    }
+};
+
+// ---- Helper Functions ----
+// Keyset paging: only rows after `lastRequest` in buildQuery's (sort column, id) order, nulls last.
+// Unlike an offset, new or re-sorted requests cannot shift a row into a batch already sent.
+function afterRequest(query, { sort, dir }, lastRequest) {
+    const value = lastRequest[sort];
+    if (value == null) return query.is(sort, null).gt("id", lastRequest.id);
+
+    const quoted = `"${value}"`;
+    const beyond = dir === "asc" ? "gt" : "lt";
+    return query.or(`${sort}.${beyond}.${quoted},and(${sort}.eq.${quoted},id.gt.${lastRequest.id}),${sort}.is.null`);
+}
+
+function getHoldState(holds) {
+    if (!holds.length) return "none";
+
+    const released = holds.filter(hold => hold.released).length;
+    if (released === holds.length) return "released";
+    return released === 0 ? "on_hold" : "partially_released";
+}
+
+function toCsvLine(values) {
+    return `${values.map(toCsvValue).join(",")}\r\n`;
+}
+
+// Quote when needed; a leading =, +, - or @ is prefixed so spreadsheets do not run it as a formula
+function toCsvValue(value) {
+    if (value == null) return "";
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
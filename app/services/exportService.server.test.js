@@ -0,0 +1,63 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { exportService } from "@/app/services/exportService.server";
+import { requestQueryService } from "@/app/services/requestQueryService.server";
+
+vi.mock("@/app/services/requestQueryService.server", () => ({
+    requestQueryService: { buildQuery: vi.fn() }
+}));
+
+// One fake query per batch: records the keyset filters and answers with the next queued page
+const pages = [];
+const keysets = [];
+function fakeQuery() {
+    const filters = [];
+    const query = {
+        or: (filter) => { filters.push(["or", filter]); return query; },
+        is: (column, value) => { filters.push(["is", column, value]); return query; },
+        gt: (column, value) => { filters.push(["gt", column, value]); return query; },
+        limit: async () => {
+            keysets.push(filters);
+            return { data: pages.shift() ?? [], error: null };
+        }
+    };
+    return query;
+}
+
+function request(id, createdAt) {
+    return { id, created_at: createdAt, status: "COMPLETED", fulfillment_holds: [] };
+}
+
+async function readCsv(filters) {
+    return new Response(exportService.streamRequestsCsv("test-shop.myshopify.com", filters)).text();
+}
+
+describe("exportService.streamRequestsCsv", () => {
+    beforeEach(() => {
+        pages.length = 0;
+        keysets.length = 0;
+        requestQueryService.buildQuery.mockImplementation(async () => fakeQuery());
+    });
+
+    it("starts each batch after the last row sent, not at an offset", async () => {
+        pages.push(
+            Array.from({ length: 1000 }, (_, i) => request(`r${String(1000 - i).padStart(4, "0")}`, "2026-01-02T00:00:00Z")),
+            [request("r0000", "2026-01-01T00:00:00Z")]
+        );
+
+        const csv = await readCsv({ sort: "created_at", dir: "desc" });
+
+        expect(csv.trim().split("\r\n")).toHaveLength(1 + 1001);
+        expect(keysets).toEqual([
+            [],
+            [["or", 'created_at.lt."2026-01-02T00:00:00Z",and(created_at.eq."2026-01-02T00:00:00Z",id.gt.r0001),created_at.is.null']]
+        ]);
+    });
+
+    it("continues among the null sort values once the batch ends on one", async () => {
+        pages.push(Array.from({ length: 1000 }, (_, i) => ({ ...request(`r${i}`), expires_at: null })));
+
+        await readCsv({ sort: "expires_at", dir: "asc" });
+
+        expect(keysets[1]).toEqual([["is", "expires_at", null], ["gt", "id", "r999"]]);
+    });
+});
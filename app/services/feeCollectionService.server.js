@@ -0,0 +1,85 @@
+// app/services/feeCollectionService.server.js
+// How split fees are collected: INVOICE (payment order + invoice after the order, the default)
+// or CHECKOUT (fee line priced by extensions/split-fee-cart-transform, paid with the order).
+import { FEE_COLLECTION_MODES } from "@/app/helpers/fee-collection";
+import { settingsService } from "@/app/services/settingsService.server";
+import { shippingConfigService } from "@/app/services/shippingConfigService.server";
+
+// Must match `handle` in extensions/split-fee-cart-transform/shopify.extension.toml
+const CART_TRANSFORM_HANDLE = "split-fee-cart-transform";
+
+export const feeCollectionService = {
+    /**
+     * The fee variant for the settings page, or null if none is set or it was deleted.
+     */
+    getFeeVariant: async (admin, variantId) => {
+        if (!variantId) return null;
+        return getVariant(admin, variantId);
+    },
+
+    /**
+     * Switch the collection mode. CHECKOUT needs a fee variant that does not require shipping
+     * and registers the cart transform function the first time. Either way the configuration
+     * is re-published, so checkout switches over with it.
+     */
+    configure: async (admin, shop, { mode, variantId }) => {
+        if (!FEE_COLLECTION_MODES.includes(mode)) throw new Error("Unknown fee collection mode.");
+
+        if (mode === "CHECKOUT") {
+            const variant = variantId ? await getVariant(admin, variantId) : null;
+            if (!variant) throw new Error("Choose the product variant used for the split fee line.");
+            if (variant.inventoryItem?.requiresShipping) {
+                throw new Error(`${variant.displayName} requires shipping. Turn off "This is a physical product" for the fee variant.`);
+            }
+
+            await ensureCartTransform(admin);
+        }
+
+        await settingsService.saveSettings(shop, {
+            fee_collection_mode: mode,
+            ...(variantId && { fee_variant_id: variantId })
+        });
+        await shippingConfigService.publishToCheckout(admin, shop);
+    }
+};
+
+// ---- Helper Functions ----
+async function getVariant(admin, variantId) {
+    const response = await admin.graphql(`#graphql
+        query feeVariant($id: ID!) {
+            productVariant(id: $id) {
+                id
+                displayName
+                inventoryItem { requiresShipping }
+            }
+        }
+    `, { variables: { id: variantId } });
+    const json = await response.json();
+
+    return json.data?.productVariant ?? null;
+}
+
+// An app only sees its own cart transforms, so any existing one is ours
+async function ensureCartTransform(admin) {
+    const existingResponse = await admin.graphql(`#graphql
+        query cartTransforms {
+            cartTransforms(first: 1) { nodes { id } }
+        }
+    `);
+    const existingJson = await existingResponse.json();
+    if (existingJson.data?.cartTransforms?.nodes?.length > 0) return;
+
+    const response = await admin.graphql(`#graphql
+        mutation registerCartTransform($functionHandle: String!) {
+            cartTransformCreate(functionHandle: $functionHandle, blockOnFailure: false) {
+                cartTransform { id }
+                userErrors { field message }
+            }
+        }
+    `, { variables: { functionHandle: CART_TRANSFORM_HANDLE } });
+    const json = await response.json();
+
+    if (json.data?.cartTransformCreate?.userErrors?.length > 0) {
+        throw new Error(`Cart Transform Registration Failed: ${JSON.stringify(json.data.cartTransformCreate.userErrors)}`);
+    }
+}
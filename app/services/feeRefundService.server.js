@@ -0,0 +1,239 @@
+// app/services/feeRefundService.server.js
+// When a primary order is cancelled, its split fee goes with it: an unpaid payment order is
+// cancelled, a paid one is refunded, or flagged for staff review when the shop doesn't
+// refund automatically (`auto_refund_cancelled_fees` setting).
+// This covers the request's payment order and the extra ones invoiced after order edits.
+import { supabase } from "@/app/supabase.server";
+import { auditService } from "@/app/services/auditService.server";
+import { CAPTURED_FINANCIAL_STATUSES, orderService } from "@/app/services/orderService.server";
+import { settingsService } from "@/app/services/settingsService.server";
+
+// Refunds staff can (re)start from the request page
+const REVIEWABLE_REFUND_STATUSES = ['NEEDS_REVIEW', 'FAILED'];
+
+export const feeRefundService = {
+    /**
+     * Cancel or refund every payment order of a request whose primary order was cancelled.
+     * Safe to run again on webhook redelivery: cancelled and refunded payment orders are left alone.
+     * Returns a short outcome; throws when Shopify rejects a cancel or refund.
+     */
+    cascadePrimaryCancellation: async (admin, shop, requestId, { actor }) => {
+        const splitRecord = await loadRequest(shop, requestId);
+
+        // Fees charged at checkout are on the primary order, refunded with its cancellation
+        const feeOrders = await getFeeOrders(admin, splitRecord);
+        if (!feeOrders.length) return "No payment order";
+
+        const outcomes = [];
+        const paidOrders = [];
+
+        for (const feeOrder of feeOrders) {
+            const { label, state } = feeOrder;
+
+            if (feeOrder.refundId) {
+                outcomes.push(`${label} already refunded`);
+            } else if (!state) {
+                outcomes.push(`${label} no longer exists`);
+            } else if (CAPTURED_FINANCIAL_STATUSES.includes(state.displayFinancialStatus)) {
+                if (feeOrder.amount > 0) paidOrders.push(feeOrder);
+                else outcomes.push(`${label} has nothing left to refund`);
+            } else if (state.cancelledAt) {
+                outcomes.push(`${label} already cancelled`);
+            } else {
+                await cancelFeeOrder(admin, splitRecord, feeOrder, { actor });
+                outcomes.push(`${label} cancelled`);
+            }
+        }
+
+        if (paidOrders.length > 0) {
+            const amount = sumAmounts(paidOrders);
+            const { auto_refund_cancelled_fees: autoRefund } = await settingsService.getSettings(shop);
+
+            if (autoRefund) {
+                await refundFeeOrders(admin, splitRecord, paidOrders, { actor, note: 'Primary order cancelled' });
+                outcomes.push(`${amount} refunded`);
+            } else {
+                await flagForReview(splitRecord, { actor, amount, orderIds: paidOrders.map(feeOrder => feeOrder.orderId) });
+                outcomes.push(`${amount} flagged for review`);
+            }
+        }
+
+        return outcomes.join('; ');
+    },
+
+    /**
+     * Staff refund of fees flagged for review, or of a refund that failed.
+     */
+    refund: async (admin, shop, requestId, { reason, actor }) => {
+        const splitRecord = await loadRequest(shop, requestId);
+        if (!REVIEWABLE_REFUND_STATUSES.includes(splitRecord.fee_refund_status)) {
+            throw new Error('This request has no split fee waiting for a refund.');
+        }
+
+        const paidOrders = (await getFeeOrders(admin, splitRecord)).filter(feeOrder =>
+            !feeOrder.refundId
+            && CAPTURED_FINANCIAL_STATUSES.includes(feeOrder.state?.displayFinancialStatus)
+            && feeOrder.amount > 0
+        );
+        if (!paidOrders.length) throw new Error('The payment orders have nothing left to refund.');
+
+        await refundFeeOrders(admin, splitRecord, paidOrders, { actor, note: reason });
+    }
+};
+
+// ---- Helper Functions ----
+async function loadRequest(shop, requestId) {
+    const { data: splitRecord, error } = await supabase
+        .from('additional_shipping_requests')
+        .select('id, shop_domain, payment_order_id, fee_refund_status, fee_refund_id, fee_refund_amount')
+        .eq('id', requestId)
+        .eq('shop_domain', shop)
+        .maybeSingle();
+
+    if (error) throw new Error(`DB Request Error: ${error.message}`);
+    if (!splitRecord) throw new Error('Request not found.');
+
+    return splitRecord;
+}
+
+// The request's payment order and the extra ones of its INVOICED order edits,
+// each with its Shopify state and the amount still refundable on it
+async function getFeeOrders(admin, splitRecord) {
+    const { data: adjustments, error } = await supabase
+        .from('additional_shipping_request_adjustments')
+        .select('id, payment_order_id, refund_id')
+        .eq('additional_shipping_request_id', splitRecord.id)
+        .eq('action', 'INVOICED')
+        .not('payment_order_id', 'is', null)
+        .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`DB Adjustment Error: ${error.message}`);
+
+    const feeOrders = [
+        ...(splitRecord.payment_order_id ? [{
+            label: 'Payment order',
+            orderId: splitRecord.payment_order_id,
+            adjustmentId: null,
+            refundId: splitRecord.fee_refund_id
+        }] : []),
+        ...adjustments.map(adjustment => ({
+            label: 'Order edit payment order',
+            orderId: adjustment.payment_order_id,
+            adjustmentId: adjustment.id,
+            refundId: adjustment.refund_id
+        }))
+    ];
+
+    for (const feeOrder of feeOrders) {
+        if (feeOrder.refundId) continue;
+
+        feeOrder.state = await orderService.getOrderState(admin, feeOrder.orderId);
+        feeOrder.amount = Number(feeOrder.state?.netPaymentSet.presentmentMoney.amount ?? 0);
+    }
+
+    return feeOrders;
+}
+
+async function cancelFeeOrder(admin, splitRecord, feeOrder, { actor }) {
+    await orderService.cancelOrder(admin, feeOrder.orderId, {
+        staffNote: 'Primary order cancelled, split fee no longer due'
+    });
+
+    const cancelledAt = new Date().toISOString();
+    if (feeOrder.adjustmentId) {
+        await updateAdjustment(feeOrder.adjustmentId, { payment_order_cancelled_at: cancelledAt });
+    } else {
+        await updateRequest(splitRecord.id, { payment_order_cancelled_at: cancelledAt });
+    }
+
+    await auditService.record({
+        shop: splitRecord.shop_domain,
+        requestId: splitRecord.id,
+        type: 'PAYMENT_ORDER_CANCELLED',
+        actor,
+        message: `${feeOrder.label} cancelled with the primary order`,
+        payload: { order_id: feeOrder.orderId, adjustment_id: feeOrder.adjustmentId }
+    });
+}
+
+// Each refund is recorded as soon as it succeeds, so a retry after a failure skips it
+async function refundFeeOrders(admin, splitRecord, feeOrders, { actor, note }) {
+    let refundedTotal = Number(splitRecord.fee_refund_amount || 0);
+
+    for (const feeOrder of feeOrders) {
+        const { orderId, adjustmentId, amount } = feeOrder;
+
+        let refundId;
+        try {
+            refundId = await orderService.refundOrder(admin, orderId, { amount, note });
+        } catch (error) {
+            await updateRequest(splitRecord.id, { fee_refund_status: 'FAILED', error_log: error.message });
+            await auditService.record({
+                shop: splitRecord.shop_domain,
+                requestId: splitRecord.id,
+                type: 'FEE_REFUND_FAILED',
+                actor,
+                message: error.message,
+                payload: { order_id: orderId, adjustment_id: adjustmentId, amount }
+            });
+            throw error;
+        }
+
+        refundedTotal = Math.round((refundedTotal + amount) * 100) / 100;
+
+        if (adjustmentId) {
+            await updateAdjustment(adjustmentId, { refund_id: refundId, refund_amount: amount });
+        }
+        await updateRequest(splitRecord.id, {
+            ...(!adjustmentId && { fee_refund_id: refundId }),
+            fee_refund_amount: refundedTotal,
+            fee_refunded_at: new Date().toISOString()
+        });
+        await auditService.record({
+            shop: splitRecord.shop_domain,
+            requestId: splitRecord.id,
+            type: 'FEE_REFUNDED',
+            actor,
+            message: `${feeOrder.label} refunded: ${note}`,
+            payload: { order_id: orderId, adjustment_id: adjustmentId, refund_id: refundId, amount }
+        });
+    }
+
+    await updateRequest(splitRecord.id, { fee_refund_status: 'REFUNDED', error_log: null });
+}
+
+async function flagForReview(splitRecord, { actor, amount, orderIds }) {
+    if (splitRecord.fee_refund_status === 'NEEDS_REVIEW') return;
+
+    await updateRequest(splitRecord.id, { fee_refund_status: 'NEEDS_REVIEW' });
+    await auditService.record({
+        shop: splitRecord.shop_domain,
+        requestId: splitRecord.id,
+        type: 'FEE_REFUND_REVIEW',
+        actor,
+        message: 'Primary order cancelled after the split fee was paid; refund waiting for review',
+        payload: { order_ids: orderIds, amount }
+    });
+}
+
+function sumAmounts(feeOrders) {
+    return Math.round(feeOrders.reduce((sum, feeOrder) => sum + feeOrder.amount * 100, 0)) / 100;
+}
+
+async function updateRequest(requestId, fields) {
+    const { error } = await supabase
+        .from('additional_shipping_requests')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', requestId);
+
+    if (error) throw new Error(`DB Request Error: ${error.message}`);
+}
+
+async function updateAdjustment(adjustmentId, fields) {
+    const { error } = await supabase
+        .from('additional_shipping_request_adjustments')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', adjustmentId);
+
+    if (error) throw new Error(`DB Adjustment Error: ${error.message}`);
+}
@@ -0,0 +1,190 @@
+// app/services/fulfillmentOrderService.server.js
+// Admin GraphQL helpers for fulfillment orders: paginated reads and batched hold / release,
+// shared by the split workflow and holdService. Orders can carry hundreds of line items,
+// so nothing here assumes a single page or a single mutation.
+
+const FULFILLMENT_ORDERS_PAGE_SIZE = 5;
+const LINE_ITEMS_PAGE_SIZE = 100;
+const MORE_LINE_ITEMS_PAGE_SIZE = 250;
+
+// Aliased mutations per request. Each hold / release costs 10 points, well under the 1000 point query limit.
+const MUTATION_BATCH_SIZE = 10;
+
+const ACTIVE_STATUSES = ['OPEN', 'ON_HOLD'];
+
+export const fulfillmentOrderService = {
+    /**
+     * Every OPEN and ON_HOLD fulfillment order of an order (the ones a split or hold
+     * could have touched), each with its assigned location and all of its line items.
+     */
+    getActiveFulfillmentOrders: async (admin, orderGid) => {
+        const fulfillmentOrders = [];
+        let after = null;
+
+        do {
+            const json = await graphql(admin, `#graphql
+                query orderFulfillmentOrders($id: ID!, $after: String, $first: Int!, $lineItemsFirst: Int!) {
+                    order(id: $id) {
+                        fulfillmentOrders(first: $first, after: $after) {
+                            nodes {
+                                id
+                                status
+                                assignedLocation { name location { id } }
+                                fulfillmentHolds { id reasonNotes }
+                                lineItems(first: $lineItemsFirst) {
+                                    nodes { id totalQuantity lineItem { id } }
+                                    pageInfo { hasNextPage endCursor }
+                                }
+                            }
+                            pageInfo { hasNextPage endCursor }
+                        }
+                    }
+                }
+            `, { id: orderGid, after, first: FULFILLMENT_ORDERS_PAGE_SIZE, lineItemsFirst: LINE_ITEMS_PAGE_SIZE });
+
+            const connection = json.data?.order?.fulfillmentOrders;
+            if (!connection) break;
+
+            fulfillmentOrders.push(...connection.nodes.filter(fo => ACTIVE_STATUSES.includes(fo.status)));
+            after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (after);
+
+        for (const fulfillmentOrder of fulfillmentOrders) {
+            const { nodes, pageInfo } = fulfillmentOrder.lineItems;
+            fulfillmentOrder.lineItems = {
+                nodes: pageInfo.hasNextPage
+                    ? [...nodes, ...await getMoreLineItems(admin, fulfillmentOrder.id, pageInfo.endCursor)]
+                    : nodes
+            };
+        }
+
+        return fulfillmentOrders;
+    },
+
+    /**
+     * Put a hold on each fulfillment order, in batches.
+     * Returns a Map of fulfillment order id -> { holdId, userErrors }.
+     */
+    placeHolds: async (admin, fulfillmentOrderIds, { reason = "OTHER", notes }) => {
+        const results = await mutateInBatches(admin, "placeHolds", fulfillmentOrderIds, {
+            shared: { reason: ["FulfillmentHoldReason!", reason], notes: ["String!", notes] },
+            perItem: (id) => ({ id: ["ID!", id] }),
+            field: (vars) => `fulfillmentOrderHold(id: ${vars.id}, fulfillmentHold: { reason: $reason, reasonNotes: $notes }) {
+                fulfillmentHold { id }
+                userErrors { field message }
+            }`
+        });
+
+        return mapResults(results, (result) => ({
+            holdId: result.fulfillmentHold?.id ?? null,
+            userErrors: result.userErrors || []
+        }));
+    },
+
+    /**
+     * Release holds, grouped into one release per fulfillment order and sent in batches.
+     * `holds` is [{ fulfillmentOrderId, holdId }].
+     * Returns a Map of fulfillment order id -> { userErrors }.
+     */
+    releaseHolds: async (admin, holds) => {
+        const holdIdsByOrder = new Map();
+        holds.forEach(({ fulfillmentOrderId, holdId }) => {
+            holdIdsByOrder.set(fulfillmentOrderId, [...(holdIdsByOrder.get(fulfillmentOrderId) || []), holdId]);
+        });
+
+        const results = await mutateInBatches(admin, "releaseHolds", [...holdIdsByOrder.keys()], {
+            perItem: (id) => ({ id: ["ID!", id], holdIds: ["[ID!]", holdIdsByOrder.get(id)] }),
+            field: (vars) => `fulfillmentOrderReleaseHold(id: ${vars.id}, holdIds: ${vars.holdIds}) {
+                userErrors { field message }
+            }`
+        });
+
+        return mapResults(results, (result) => ({ userErrors: result.userErrors || [] }));
+    }
+};
+
+// ---- Helper Functions ----
+async function getMoreLineItems(admin, fulfillmentOrderId, after) {
+    const lineItems = [];
+
+    while (after) {
+        const json = await graphql(admin, `#graphql
+            query fulfillmentOrderLineItems($id: ID!, $after: String, $first: Int!) {
+                fulfillmentOrder(id: $id) {
+                    lineItems(first: $first, after: $after) {
+                        nodes { id totalQuantity lineItem { id } }
+                        pageInfo { hasNextPage endCursor }
+                    }
+                }
+            }
+        `, { id: fulfillmentOrderId, after, first: MORE_LINE_ITEMS_PAGE_SIZE });
+
+        const connection = json.data?.fulfillmentOrder?.lineItems;
+        if (!connection) break;
+
+        lineItems.push(...connection.nodes);
+        after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    }
+
+    return lineItems;
+}
+
+// One aliased mutation per batch of `ids`, with every argument passed as a variable.
+// `shared` variables are sent once per batch; `perItem(id)` variables get the item's index
+// appended and `field` receives their names. Returns a Map of id -> mutation result (or null).
+async function mutateInBatches(admin, name, ids, { shared = {}, perItem, field }) {
+    const results = new Map();
+
+    for (let start = 0; start < ids.length; start += MUTATION_BATCH_SIZE) {
+        const batch = ids.slice(start, start + MUTATION_BATCH_SIZE);
+        const definitions = [];
+        const variables = {};
+
+        Object.entries(shared).forEach(([variable, [type, value]]) => {
+            definitions.push(`$${variable}: ${type}`);
+            variables[variable] = value;
+        });
+
+        const fields = batch.map((id, index) => {
+            const names = {};
+            Object.entries(perItem(id)).forEach(([key, [type, value]]) => {
+                definitions.push(`$${key}${index}: ${type}`);
+                variables[`${key}${index}`] = value;
+                names[key] = `$${key}${index}`;
+            });
+            return `item${index}: ${field(names)}`;
+        });
+
+        const json = await graphql(admin, `#graphql
+            mutation ${name}(${definitions.join(', ')}) {
+                ${fields.join('\n')}
+            }
+        `, variables);
+
+        batch.forEach((id, index) => results.set(id, json.data?.[`item${index}`] ?? null));
+    }
+
+    return results;
+}
+
+// A missing result (e.g. the batch hit a top-level error) counts as a failure for that fulfillment order
+function mapResults(results, toResult) {
+    return new Map([...results].map(([id, result]) => [
+        id,
+        result ? toResult(result) : toResult({ userErrors: [{ field: null, message: "No result returned by Shopify" }] })
+    ]));
+}
+
+// Run a query and, when the cost bucket is running low, wait for it to refill before the next call
+async function graphql(admin, query, variables) {
+    const response = await admin.graphql(query, { variables });
+    const json = await response.json();
+
+    const { requestedQueryCost, throttleStatus } = json.extensions?.cost || {};
+    if (throttleStatus && throttleStatus.currentlyAvailable < requestedQueryCost) {
+        const waitMs = Math.ceil((requestedQueryCost - throttleStatus.currentlyAvailable) / throttleStatus.restoreRate * 1000);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    return json;
+}
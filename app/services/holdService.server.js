@@ -0,0 +1,103 @@
+// app/services/holdService.server.js
+// Releases the fulfillment holds placed by the split workflow. Shared by the paid webhook and staff overrides.
+import { supabase } from "@/app/supabase.server";
+import { auditService } from "@/app/services/auditService.server";
+import { fulfillmentOrderService } from "@/app/services/fulfillmentOrderService.server";
+
+export const holdService = {
+    /**
+     * Release every hold of a request that is not released yet, and soft-release them in the DB.
+     * A hold Shopify no longer knows about counts as released.
+     *
+     * Returns { total, releasedIds, errors } where `errors` holds one message per hold still locked.
+     */
+    releaseHolds: async (admin, requestId) => {
+        const { data: holds, error: fetchError } = await supabase
+            .from('additional_shipping_request_fulfillment_holds')
+            .select('fulfillment_hold_id, fulfillment_order_id')
+            .eq('additional_shipping_request_id', requestId)
+            .eq('released', false);
+
+        if (fetchError) throw new Error(`DB Holds Error: ${fetchError.message}`);
+
+        if (!holds.length) {
+            return { total: 0, releasedIds: [], errors: [] };
+        }
+
+        const results = await fulfillmentOrderService.releaseHolds(admin, holds.map(hold => ({
+            fulfillmentOrderId: hold.fulfillment_order_id,
+            holdId: hold.fulfillment_hold_id
+        })));
+
+        const releasedIds = [];
+        const errors = [];
+
+        // Analyze Shopify Results (one release per fulfillment order covers all of its holds)
+        holds.forEach((hold) => {
+            const holdGid = hold.fulfillment_hold_id;
+            const { userErrors } = results.get(hold.fulfillment_order_id);
+
+            // A hold is considered "Cleared" if released or if it doesn't exist anymore
+            const isCleared = userErrors.length === 0 || userErrors.some(e =>
+                e.message.includes("not found") || e.message.includes("not on hold")
+            );
+
+            if (isCleared) {
+                releasedIds.push(holdGid);
+            } else {
+                errors.push(`Hold ${holdGid}: ${userErrors[0].message}`);
+            }
+        });
+
+        // Update Database (Soft-Release)
+        if (releasedIds.length > 0) {
+            await supabase
+                .from('additional_shipping_request_fulfillment_holds')
+                .update({ released: true })
+                .in('fulfillment_hold_id', releasedIds);
+        }
+
+        return { total: holds.length, releasedIds, errors };
+    },
+
+    /**
+     * The fee is paid: release the request's holds and complete it. If some holds stay locked
+     * the request is FAILED instead, and a dashboard retry comes back here.
+     * Shared by the paid webhook and dashboard retries. Returns { total, releasedIds, errors }.
+     */
+    releaseAfterPayment: async (admin, shop, requestId, { actor, payload = null }) => {
+        const result = await holdService.releaseHolds(admin, requestId);
+        const { total, releasedIds, errors } = result;
+
+        if (releasedIds.length > 0) {
+            await auditService.record({
+                shop,
+                requestId,
+                type: 'HOLDS_RELEASED',
+                actor,
+                message: `${releasedIds.length} of ${total} holds released`,
+                payload: { fulfillment_hold_ids: releasedIds }
+            });
+        }
+
+        if (errors.length > 0) {
+            // High-Visibility Failure, staff retry the release from the dashboard
+            await auditService.transition(requestId, 'FAILED', {
+                actor,
+                fields: { error_log: `Partial release failed: ${errors.join('; ')}` },
+                message: 'Payment received but some holds could not be released',
+                userErrors: errors,
+                payload
+            });
+            return result;
+        }
+
+        await auditService.transition(requestId, 'COMPLETED', {
+            actor,
+            fields: { error_log: null },
+            message: total > 0 ? 'Payment received, all holds released' : 'Payment received, no active holds left to release',
+            payload
+        });
+        return result;
+    }
+};
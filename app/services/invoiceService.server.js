@@ -0,0 +1,39 @@
+// app/services/invoiceService.server.js
+import { toOrderGid } from "@/app/services/orderService.server";
+
+export const invoiceService = {
+    /**
+     * Email the payment order's invoice to the buyer.
+     * Returns Shopify's userErrors, empty on success.
+     */
+    send: async (admin, paymentOrderId, { subject, customMessage }) => {
+        const response = await admin.graphql(`#graphql
+            mutation orderInvoiceSend($id: ID!, $email: EmailInput!) {
+                orderInvoiceSend(id: $id, email: $email) {
+                    order { id }
+                    userErrors { field message }
+                }
+            }
+        `, {
+            variables: {
+                id: toOrderGid(paymentOrderId),
+                email: { subject, customMessage }
+            }
+        });
+
+        const json = await response.json();
+        return json.data?.orderInvoiceSend?.userErrors ?? [];
+    },
+
+    /**
+     * The shop's IANA time zone, which invoice deadlines are shown in. Null if Shopify has none.
+     */
+    getShopTimeZone: async (admin) => {
+        const response = await admin.graphql(`#graphql
+            query shopTimeZone { shop { ianaTimezone } }
+        `);
+
+        const json = await response.json();
+        return json.data?.shop?.ianaTimezone ?? null;
+    }
+};
@@ -0,0 +1,147 @@
+// app/services/jobQueue.server.js
+// Postgres-backed job queue (`background_jobs`). Jobs are processed by app/jobs/worker.server.js.
+import { supabase } from "@/app/supabase.server";
+
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// A RUNNING job whose worker died (deploy, crash) is picked up again after this long
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+export const jobQueue = {
+    /**
+     * Persist a job. With a `dedupeKey`, enqueueing the same event twice is a no-op.
+     */
+    enqueue: async (type, payload, { dedupeKey = null, runAt = new Date(), maxAttempts } = {}) => {
+        const { error } = await supabase
+            .from("background_jobs")
+            .upsert({
+                type,
+                payload,
+                dedupe_key: dedupeKey,
+                run_at: runAt.toISOString(),
+                ...(maxAttempts ? { max_attempts: maxAttempts } : {}),
+                updated_at: new Date().toISOString()
+            }, { onConflict: "dedupe_key", ignoreDuplicates: true });
+
+        if (error) throw new Error(`Failed to enqueue ${type}: ${error.message}`);
+    },
+
+    /**
+     * Claim up to `limit` due jobs. A job is only claimed if nobody else changed it
+     * since we read it, so several app instances can share the queue.
+     */
+    claimDue: async (limit = 10, now = new Date()) => {
+        const staleBefore = new Date(now.getTime() - STALE_LOCK_MS).toISOString();
+
+        const { data: candidates, error } = await supabase
+            .from("background_jobs")
+            .select("id, status, attempts")
+            .or(`and(status.eq.QUEUED,run_at.lte.${now.toISOString()}),and(status.eq.RUNNING,locked_at.lt.${staleBefore})`)
+            .order("run_at", { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            console.error("DB Job Claim Error:", error);
+            return [];
+        }
+
+        const claimed = [];
+        for (const candidate of candidates || []) {
+            const { data: job } = await supabase
+                .from("background_jobs")
+                .update({
+                    status: "RUNNING",
+                    attempts: candidate.attempts + 1,
+                    locked_at: now.toISOString(),
+                    updated_at: now.toISOString()
+                })
+                .eq("id", candidate.id)
+                .eq("status", candidate.status)
+                .eq("attempts", candidate.attempts)
+                .select("id, type, payload, attempts, max_attempts")
+                .maybeSingle();
+
+            if (job) claimed.push(job);
+        }
+
+        return claimed;
+    },
+
+    /**
+     * Put a finished or dead job back in the queue with a fresh set of attempts.
+     * Returns false if no job was stored under `dedupeKey`.
+     */
+    retry: async (dedupeKey) => {
+        const { data, error } = await supabase
+            .from("background_jobs")
+            .update({
+                status: "QUEUED",
+                attempts: 0,
+                locked_at: null,
+                run_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq("dedupe_key", dedupeKey)
+            .neq("status", "RUNNING")
+            .select("id");
+
+        if (error) throw new Error(`Failed to retry ${dedupeKey}: ${error.message}`);
+        return data.length > 0;
+    },
+
+    complete: async (job) => {
+        await supabase
+            .from("background_jobs")
+            .update({
+                status: "SUCCEEDED",
+                locked_at: null,
+                last_error: null,
+                completed_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq("id", job.id);
+    },
+
+    /**
+     * Record a failed attempt. Retries with exponential backoff until `max_attempts`,
+     * then moves the job to DEAD. Returns true if the job is now dead.
+     */
+    fail: async (job, errorMessage) => {
+        const isDead = job.attempts >= job.max_attempts;
+        const backoffMs = Math.min(BASE_BACKOFF_MS * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+
+        await supabase
+            .from("background_jobs")
+            .update({
+                status: isDead ? "DEAD" : "QUEUED",
+                locked_at: null,
+                last_error: errorMessage,
+                run_at: new Date(Date.now() + backoffMs).toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq("id", job.id);
+
+        return isDead;
+    },
+
+    /**
+     * The shop's dead-lettered jobs, newest first, for the dashboard.
+     * Every job payload carries the `shop` it belongs to.
+     */
+    getDeadJobs: async (shop, limit = 20) => {
+        const { data, error } = await supabase
+            .from("background_jobs")
+            .select("id, type, payload, attempts, last_error, updated_at")
+            .eq("status", "DEAD")
+            .eq("payload->>shop", shop)
+            .order("updated_at", { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error("DB Dead Jobs Error:", error);
+        }
+
+        return data || [];
+    }
+};
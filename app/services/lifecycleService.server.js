@@ -0,0 +1,135 @@
+// app/services/lifecycleService.server.js
+// Install / uninstall bookkeeping, and the pre-uninstall wind down.
+import { supabase } from "@/app/supabase.server";
+import { actors, auditService } from "@/app/services/auditService.server";
+import { overrideService } from "@/app/services/overrideService.server";
+
+// Requests that still hold fulfillment or wait on a payment order
+const OPEN_STATUSES = ['PENDING', 'AWAITING_PAYMENT', 'FAILED'];
+
+const WIND_DOWN_REASON = "Wound down before uninstalling the app";
+
+export const lifecycleService = {
+    /**
+     * Called after every successful OAuth (see `afterAuth` in app/shopify.server.js).
+     * A reinstall clears the uninstall stamp and puts orphaned requests back in play:
+     * the webhooks and the expiry sweep can reach them again with the new token.
+     */
+    onInstall: async (shop) => {
+        const { data: shopRecord } = await supabase
+            .from('core_shops')
+            .select('uninstalled_at')
+            .eq('shop_domain', shop)
+            .maybeSingle();
+
+        if (!shopRecord) {
+            await supabase.from('core_shops').insert({ shop_domain: shop });
+            return;
+        }
+
+        if (!shopRecord.uninstalled_at) return;
+
+        await supabase
+            .from('core_shops')
+            .update({ installed_at: new Date().toISOString(), uninstalled_at: null })
+            .eq('shop_domain', shop);
+
+        const { data: orphans } = await supabase
+            .from('additional_shipping_requests')
+            .update({ orphaned_at: null })
+            .eq('shop_domain', shop)
+            .not('orphaned_at', 'is', null)
+            .select('id');
+
+        for (const request of orphans || []) {
+            await auditService.record({
+                shop,
+                requestId: request.id,
+                type: 'REINSTALLED',
+                actor: actors.system('app-install'),
+                message: 'App reinstalled, request is processed again'
+            });
+        }
+
+        console.log(`🔁 ${shop} reinstalled, ${orphans?.length || 0} orphaned requests resumed`);
+    },
+
+    /**
+     * Stamp the shop as uninstalled and mark every open request as orphaned.
+     * The access token is already revoked here, so nothing can be done in Shopify.
+     */
+    onUninstall: async (shop, topic) => {
+        const now = new Date().toISOString();
+
+        await supabase
+            .from('core_shops')
+            .update({ uninstalled_at: now })
+            .eq('shop_domain', shop)
+            .is('uninstalled_at', null);
+
+        const { data: orphans } = await supabase
+            .from('additional_shipping_requests')
+            .update({ orphaned_at: now })
+            .eq('shop_domain', shop)
+            .in('status', OPEN_STATUSES)
+            .is('orphaned_at', null)
+            .select('id, status');
+
+        for (const request of orphans || []) {
+            await auditService.record({
+                shop,
+                requestId: request.id,
+                type: 'ORPHANED',
+                actor: actors.webhook(topic),
+                message: `App uninstalled while the request was ${request.status}`
+            });
+        }
+
+        if (orphans?.length) {
+            console.warn(`⚠️ ${shop} uninstalled with ${orphans.length} open requests`);
+        }
+    },
+
+    /**
+     * Pre-uninstall clean up, run while the token still works: stop processing new orders,
+     * then waive every open request (cancels its payment order and releases its holds).
+     * A paid request (FAILED on the hold release) only has its holds released, its payment order is kept.
+     * PENDING requests are still being processed and are only counted.
+     */
+    windDown: async (admin, shop, actor) => {
+        await supabase
+            .from('additional_shipping_request_settings')
+            .upsert({ shop_domain: shop, app_enabled: false }, { onConflict: 'shop_domain' });
+
+        const { data: openRequests, error } = await supabase
+            .from('additional_shipping_requests')
+            .select('id, status, paid_at')
+            .eq('shop_domain', shop)
+            .in('status', OPEN_STATUSES);
+
+        if (error) throw new Error(`DB Wind Down Error: ${error.message}`);
+
+        const summary = { closed: 0, pending: 0, errors: [] };
+
+        for (const request of openRequests) {
+            if (request.status === 'PENDING') {
+                summary.pending++;
+                continue;
+            }
+
+            try {
+                // waive() also refuses a fee Shopify reports as paid, should the paid webhook have been missed
+                if (request.paid_at) {
+                    await overrideService.forceRelease(admin, shop, request.id, { reason: WIND_DOWN_REASON, actor });
+                } else {
+                    await overrideService.waive(admin, shop, request.id, { reason: WIND_DOWN_REASON, actor });
+                }
+                summary.closed++;
+            } catch (e) {
+                summary.errors.push(e.message);
+            }
+        }
+
+        return summary;
+    }
+};
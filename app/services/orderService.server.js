@@ -0,0 +1,235 @@
+// app/services/orderService.server.js
+// Admin GraphQL helpers for orders, shared by webhooks and scheduled jobs.
+
+export const toOrderGid = (orderId) => `gid://shopify/Order/${orderId}`;
+
+// `displayFinancialStatus` values with money captured on the order. Cancelling such an order
+// does not give the money back; an authorization is voided by cancelling instead.
+export const CAPTURED_FINANCIAL_STATUSES = ['PAID', 'PARTIALLY_PAID', 'PARTIALLY_REFUNDED'];
+
+export const orderService = {
+    /**
+     * Fetch the fields we need to decide whether an order can still be cancelled or refunded.
+     * Returns null if the order no longer exists.
+     */
+    getOrderState: async (admin, orderId) => {
+        const response = await admin.graphql(`#graphql
+            query getOrderState($id: ID!) {
+                order(id: $id) {
+                    id
+                    name
+                    cancelledAt
+                    displayFinancialStatus
+                    netPaymentSet { presentmentMoney { amount } }
+                }
+            }
+        `, { variables: { id: toOrderGid(orderId) } });
+
+        const json = await response.json();
+        return json.data?.order ?? null;
+    },
+
+    /**
+     * Cancel an order. Cancellation runs as a Shopify job, so a successful
+     * return only means the request was accepted.
+     * Throws on userErrors so callers can keep the request open and retry.
+     */
+    cancelOrder: async (admin, orderId, { refund = false, restock = false, notifyCustomer = true, staffNote } = {}) => {
+        const response = await admin.graphql(`#graphql
+            mutation cancelOrder($orderId: ID!, $refundMethod: OrderCancelRefundMethodInput, $restock: Boolean!, $notifyCustomer: Boolean, $staffNote: String) {
+                orderCancel(
+                    orderId: $orderId,
+                    reason: OTHER,
+                    refundMethod: $refundMethod,
+                    restock: $restock,
+                    notifyCustomer: $notifyCustomer,
+                    staffNote: $staffNote
+                ) {
+                    job { id }
+                    orderCancelUserErrors { field message code }
+                }
+            }
+        `, {
+            variables: {
+                orderId: toOrderGid(orderId),
+                refundMethod: { originalPaymentMethodsRefund: refund },
+                restock,
+                notifyCustomer,
+                staffNote
+            }
+        });
+
+        const json = await response.json();
+        const userErrors = json.data?.orderCancel?.orderCancelUserErrors || [];
+
+        if (userErrors.length > 0) {
+            throw new Error(`Order Cancel Failed (${orderId}): ${JSON.stringify(userErrors)}`);
+        }
+
+        return json.data?.orderCancel?.job ?? null;
+    },
+
+    /**
+     * The order's current line items (after any order edits) and shipping, in the shape of the
+     * orders/create webhook payload, so they run through the same parcel engine.
+     * Returns null if the order no longer exists.
+     */
+    getOrderForSplit: async (admin, orderId) => {
+        let order = null;
+        const lineItems = [];
+        let after = null;
+
+        do {
+            const response = await admin.graphql(`#graphql
+                query orderForSplit($id: ID!, $after: String) {
+                    order(id: $id) {
+                        name
+                        cancelledAt
+                        customerLocale
+                        customer { id }
+                        shippingAddress { countryCodeV2 }
+                        shippingLine { title code }
+                        totalPriceSet { shopMoney { amount } presentmentMoney { amount } }
+                        lineItems(first: 100, after: $after) {
+                            nodes {
+                                id
+                                quantity
+                                currentQuantity
+                                customAttributes { key value }
+                                variant { legacyResourceId }
+                                originalUnitPriceSet { presentmentMoney { amount currencyCode } }
+                                discountAllocations { allocatedAmountSet { presentmentMoney { amount } } }
+                            }
+                            pageInfo { hasNextPage endCursor }
+                        }
+                    }
+                }
+            `, { variables: { id: toOrderGid(orderId), after } });
+
+            const json = await response.json();
+            order = json.data?.order;
+            if (!order) return null;
+
+            lineItems.push(...order.lineItems.nodes);
+            after = order.lineItems.pageInfo.hasNextPage ? order.lineItems.pageInfo.endCursor : null;
+        } while (after);
+
+        return {
+            name: order.name,
+            cancelledAt: order.cancelledAt,
+            customer: order.customer ? { admin_graphql_api_id: order.customer.id } : null,
+            customer_locale: order.customerLocale,
+            shipping_address: { country_code: order.shippingAddress?.countryCodeV2 ?? null },
+            shipping_lines: order.shippingLine ? [order.shippingLine] : [],
+            total_price_set: {
+                shop_money: { amount: order.totalPriceSet.shopMoney.amount },
+                presentment_money: { amount: order.totalPriceSet.presentmentMoney.amount }
+            },
+            line_items: lineItems.map(toWebhookLineItem)
+        };
+    },
+
+    /**
+     * Refund part of what was paid for an order, against its latest successful sale or capture.
+     * Returns the refund id. Throws on userErrors or when there is nothing to refund against.
+     */
+    refundOrder: async (admin, orderId, { amount, note }) => {
+        const transactionsResponse = await admin.graphql(`#graphql
+            query orderTransactions($id: ID!) {
+                order(id: $id) {
+                    transactions(first: 20) {
+                        id
+                        kind
+                        status
+                        gateway
+                        amountSet { presentmentMoney { amount } }
+                    }
+                }
+            }
+        `, { variables: { id: toOrderGid(orderId) } });
+        const transactionsJson = await transactionsResponse.json();
+
+        const parent = (transactionsJson.data?.order?.transactions || [])
+            .filter(transaction => transaction.status === 'SUCCESS' && (transaction.kind === 'SALE' || transaction.kind === 'CAPTURE'))
+            .pop();
+
+        if (!parent) throw new Error(`Refund Failed (${orderId}): no successful payment to refund.`);
+
+        const response = await admin.graphql(`#graphql
+            mutation refundOrder($input: RefundInput!) {
+                refundCreate(input: $input) {
+                    refund { id }
+                    userErrors { field message }
+                }
+            }
+        `, {
+            variables: {
+                input: {
+                    orderId: toOrderGid(orderId),
+                    note,
+                    notify: true,
+                    transactions: [{
+                        orderId: toOrderGid(orderId),
+                        parentId: parent.id,
+                        gateway: parent.gateway,
+                        kind: 'REFUND',
+                        amount: Math.min(amount, Number(parent.amountSet.presentmentMoney.amount)).toFixed(2)
+                    }]
+                }
+            }
+        });
+
+        const json = await response.json();
+        const userErrors = json.data?.refundCreate?.userErrors || [];
+
+        if (userErrors.length > 0) {
+            throw new Error(`Refund Failed (${orderId}): ${JSON.stringify(userErrors)}`);
+        }
+
+        return json.data.refundCreate.refund.id;
+    },
+
+    /**
+     * The id of an order's refund with exactly this note, or null. Lets a retry find a refund
+     * it already issued when the note identifies what it was for.
+     */
+    findRefund: async (admin, orderId, note) => {
+        const response = await admin.graphql(`#graphql
+            query orderRefunds($id: ID!) {
+                order(id: $id) {
+                    refunds(first: 50) { id note }
+                }
+            }
+        `, { variables: { id: toOrderGid(orderId) } });
+
+        const json = await response.json();
+        return (json.data?.order?.refunds || []).find(refund => refund.note === note)?.id ?? null;
+    }
+};
+
+// ---- Helper Functions ----
+// Admin API line item -> orders/create `line_items` entry, at its current (edited) quantity
+function toWebhookLineItem(node) {
+    const quantity = node.currentQuantity;
+    // Discounts were allocated to the original quantity; removed units take their share with them
+    const discountShare = node.quantity > 0 ? quantity / node.quantity : 0;
+
+    return {
+        admin_graphql_api_id: node.id,
+        variant_id: node.variant?.legacyResourceId ?? null,
+        quantity,
+        price: node.originalUnitPriceSet.presentmentMoney.amount,
+        price_set: {
+            presentment_money: {
+                amount: node.originalUnitPriceSet.presentmentMoney.amount,
+                currency_code: node.originalUnitPriceSet.presentmentMoney.currencyCode
+            }
+        },
+        discount_allocations: node.discountAllocations.map(allocation => ({
+            amount_set: {
+                presentment_money: { amount: String(Number(allocation.allocatedAmountSet.presentmentMoney.amount) * discountShare) }
+            }
+        })),
+        properties: node.customAttributes.map(attribute => ({ name: attribute.key, value: attribute.value }))
+    };
+}
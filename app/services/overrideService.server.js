@@ -0,0 +1,153 @@
+// app/services/overrideService.server.js
+// Staff overrides on a single split request. Every override needs a reason,
+// which is stored on the request and in the audit trail.
+import { supabase } from "@/app/supabase.server";
+import { auditService } from "@/app/services/auditService.server";
+import { holdService } from "@/app/services/holdService.server";
+import { CAPTURED_FINANCIAL_STATUSES, orderService } from "@/app/services/orderService.server";
+import { splitWorkflow } from "@/app/services/splitWorkflow.server";
+
+// Statuses each override may start from
+const ALLOWED_STATUSES = {
+    ADJUST: ['AWAITING_PAYMENT'],
+    WAIVE: ['AWAITING_PAYMENT', 'FAILED'],
+    FORCE_RELEASE: ['AWAITING_PAYMENT', 'FAILED'],
+};
+
+export const overrideService = {
+    /**
+     * Change the parcel count and fee. Re-issues the payment order at the new amount
+     * and restarts the payment window. A change that failed part way is resumed by
+     * repeating it; a different change is refused until then.
+     */
+    adjust: async (admin, shop, requestId, { parcels, amount, reason, actor }) => {
+        const splitRecord = await loadRequest(shop, requestId, 'ADJUST');
+        const pending = splitRecord.override_reissue;
+
+        if (pending && (pending.parcels !== parcels || Number(pending.amount) !== amount)) {
+            throw new Error(`The change to ${pending.parcels} parcels (${pending.amount}) did not finish. Repeat it before making another one.`);
+        }
+
+        await splitWorkflow.reissuePaymentOrder(admin, splitRecord, {
+            parcels,
+            amount,
+            staffNote: `Split fee changed by staff: ${reason}`,
+            reissue: pending,
+            onStart: (reissue) => updateRequest(requestId, { override_reissue: { ...reissue, parcels, amount } })
+        });
+
+        await auditService.transition(requestId, 'AWAITING_PAYMENT', {
+            actor,
+            fields: {
+                calculated_parcels: parcels,
+                additional_shipping_amount: amount,
+                override_reissue: null,
+                ...overrideFields('ADJUST', reason, actor)
+            },
+            message: `Override: ${reason}`,
+            payload: {
+                parcels: { from: splitRecord.calculated_parcels, to: parcels },
+                amount: { from: splitRecord.additional_shipping_amount, to: amount }
+            }
+        });
+    },
+
+    /**
+     * Waive the fee: cancel the payment order and release the holds.
+     * Refused once the fee is paid: cancelling would keep the buyer's money captured.
+     */
+    waive: async (admin, shop, requestId, { reason, actor }) => {
+        const splitRecord = await loadRequest(shop, requestId, 'WAIVE');
+        const fields = { fee_waived: true, ...overrideFields('WAIVE', reason, actor) };
+
+        if (splitRecord.payment_order_id && !splitRecord.payment_order_cancelled_at) {
+            const paymentOrder = await orderService.getOrderState(admin, splitRecord.payment_order_id);
+            if (CAPTURED_FINANCIAL_STATUSES.includes(paymentOrder?.displayFinancialStatus)) {
+                throw new Error('The split fee is already paid. Retry the request or release the holds instead.');
+            }
+            if (paymentOrder && !paymentOrder.cancelledAt) {
+                await orderService.cancelOrder(admin, splitRecord.payment_order_id, { staffNote: `Split fee waived: ${reason}` });
+            }
+            fields.payment_order_cancelled_at = new Date().toISOString();
+        }
+
+        await releaseAndComplete(admin, splitRecord, fields, { reason, actor });
+    },
+
+    /**
+     * Release the holds without payment. The payment order is left as is.
+     */
+    forceRelease: async (admin, shop, requestId, { reason, actor }) => {
+        const splitRecord = await loadRequest(shop, requestId, 'FORCE_RELEASE');
+        await releaseAndComplete(admin, splitRecord, overrideFields('FORCE_RELEASE', reason, actor), { reason, actor });
+    }
+};
+
+// ---- Helper Functions ----
+async function loadRequest(shop, requestId, action) {
+    const { data: splitRecord, error } = await supabase
+        .from('additional_shipping_requests')
+        .select('*')
+        .eq('id', requestId)
+        .eq('shop_domain', shop)
+        .maybeSingle();
+
+    if (error) throw new Error(`DB Request Error: ${error.message}`);
+    if (!splitRecord) throw new Error('Request not found.');
+
+    if (!ALLOWED_STATUSES[action].includes(splitRecord.status)) {
+        throw new Error(`This override is not available for ${splitRecord.status} requests.`);
+    }
+
+    return splitRecord;
+}
+
+async function updateRequest(requestId, fields) {
+    const { error } = await supabase
+        .from('additional_shipping_requests')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', requestId);
+
+    if (error) throw new Error(`DB Request Error: ${error.message}`);
+}
+
+function overrideFields(action, reason, actor) {
+    return {
+        override_action: action,
+        override_reason: reason,
+        overridden_by: actor.id,
+        overridden_at: new Date().toISOString()
+    };
+}
+
+// Completing the request also takes it out of the expiry sweep
+async function releaseAndComplete(admin, splitRecord, fields, { reason, actor }) {
+    const { total, releasedIds, errors } = await holdService.releaseHolds(admin, splitRecord.id);
+
+    if (releasedIds.length > 0) {
+        await auditService.record({
+            shop: splitRecord.shop_domain,
+            requestId: splitRecord.id,
+            type: 'HOLDS_RELEASED',
+            actor,
+            message: `${releasedIds.length} of ${total} holds released`,
+            payload: { fulfillment_hold_ids: releasedIds }
+        });
+    }
+
+    if (errors.length > 0) {
+        await auditService.transition(splitRecord.id, 'FAILED', {
+            actor,
+            fields: { ...fields, error_log: `Partial release failed: ${errors.join('; ')}` },
+            message: `Override: ${reason}`,
+            userErrors: errors
+        });
+        throw new Error(`Some holds could not be released: ${errors.join('; ')}`);
+    }
+
+    await auditService.transition(splitRecord.id, 'COMPLETED', {
+        actor,
+        fields: { ...fields, error_log: null },
+        message: `Override: ${reason}`
+    });
+}
@@ -0,0 +1,155 @@
+// app/services/reminderService.server.js
+import { unauthenticated } from "@/app/shopify.server";
+import { supabase } from "@/app/supabase.server";
+import { TEMPLATE_KINDS, getEmailValues } from "@/app/helpers/invoice-email";
+import { actors, auditService } from "@/app/services/auditService.server";
+import { emailTemplateService } from "@/app/services/emailTemplateService.server";
+import { invoiceService } from "@/app/services/invoiceService.server";
+import { settingsService } from "@/app/services/settingsService.server";
+import { toOrderGid } from "@/app/services/orderService.server";
+
+const HOUR = 60 * 60 * 1000;
+
+const PAGE_SIZE = 200;
+
+const ACTOR = actors.system("send-payment-reminders");
+
+export const reminderService = {
+    /**
+     * Re-send the invoice of every AWAITING_PAYMENT request that passed one of its shop's
+     * reminder points (hours before `expires_at`) since its invoice or last reminder went out.
+     * Pages through every open request, soonest deadline first, so none is starved by the others.
+     *
+     * A request that passed several points at once (e.g. the scheduler was down) only gets one email.
+     */
+    sendDueReminders: async (now = new Date()) => {
+        const settingsByShop = {};
+        let sent = 0;
+        let failed = 0;
+        let lastRequest = null;
+        let requests;
+
+        do {
+            let query = supabase
+                .from('additional_shipping_requests')
+                .select('id, shop_domain, primary_order_id, payment_order_id, calculated_parcels, additional_shipping_amount, currency_code, expires_at, invoice_sent_at, last_reminder_sent_at, reminder_count')
+                .eq('status', 'AWAITING_PAYMENT')
+                .is('orphaned_at', null)
+                .not('payment_order_id', 'is', null)
+                .gt('expires_at', now.toISOString())
+                .order('expires_at', { ascending: true })
+                .order('id', { ascending: true })
+                .limit(PAGE_SIZE);
+
+            // Keyset paging: sending a reminder changes neither column, so no row is skipped or repeated
+            if (lastRequest) {
+                const expiresAt = `"${lastRequest.expires_at}"`;
+                query = query.or(`expires_at.gt.${expiresAt},and(expires_at.eq.${expiresAt},id.gt.${lastRequest.id})`);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                console.error("Reminder query failed:", error);
+                break;
+            }
+            requests = data;
+
+            const newShops = [...new Set(requests.map(request => request.shop_domain))].filter(shop => !settingsByShop[shop]);
+            if (newShops.length > 0) {
+                Object.assign(settingsByShop, await settingsService.getSettingsByShop(newShops));
+            }
+
+            for (const request of requests) {
+                const settings = settingsByShop[request.shop_domain];
+                if (!settings.reminders_enabled) continue;
+
+                const latestPoint = getLatestPointPassed(settings.reminder_hours_before, request.expires_at, now);
+                const lastEmailAt = request.last_reminder_sent_at || request.invoice_sent_at;
+                if (!latestPoint || (lastEmailAt && new Date(lastEmailAt) >= latestPoint)) continue;
+
+                try {
+                    await sendReminder(request, now);
+                    sent++;
+                } catch (e) {
+                    failed++;
+                    console.error(`🔔 Reminder failed for request ${request.id}: ${e.message}`);
+                }
+            }
+
+            lastRequest = requests[requests.length - 1];
+        } while (requests.length === PAGE_SIZE);
+
+        if (sent > 0 || failed > 0) {
+            console.log(`🔔 Payment reminders: ${sent} sent, ${failed} failed`);
+        }
+
+        return { sent, failed };
+    }
+};
+
+// ---- Helper Functions ----
+// The most recent reminder point at or before `now`, or null if none was reached yet
+function getLatestPointPassed(hoursBefore, expiresAt, now) {
+    const expires = new Date(expiresAt).getTime();
+    const passed = (hoursBefore || [])
+        .map(hours => expires - hours * HOUR)
+        .filter(time => time <= now.getTime());
+
+    return passed.length ? new Date(Math.max(...passed)) : null;
+}
+
+async function sendReminder(request, now) {
+    const { admin } = await unauthenticated.admin(request.shop_domain);
+
+    const orderRes = await admin.graphql(`#graphql
+        query reminderOrder($id: ID!) {
+            order(id: $id) { name customerLocale }
+            shop { ianaTimezone }
+        }
+    `, { variables: { id: toOrderGid(request.primary_order_id) } });
+    const orderJson = await orderRes.json();
+    const order = orderJson.data?.order;
+
+    const hoursLeft = Math.ceil((new Date(request.expires_at).getTime() - now.getTime()) / HOUR);
+    const email = await emailTemplateService.render(request.shop_domain, TEMPLATE_KINDS.REMINDER, order?.customerLocale, (locale) => getEmailValues(locale, {
+        orderName: order?.name ?? '',
+        amount: request.additional_shipping_amount,
+        currencyCode: request.currency_code,
+        parcels: request.calculated_parcels,
+        deadline: request.expires_at,
+        timeZone: orderJson.data?.shop?.ianaTimezone,
+        now
+    }));
+
+    const userErrors = await invoiceService.send(admin, request.payment_order_id, email);
+    if (userErrors.length > 0) {
+        await auditService.record({
+            shop: request.shop_domain,
+            requestId: request.id,
+            type: 'REMINDER_FAILED',
+            actor: ACTOR,
+            userErrors
+        });
+        throw new Error(`Invoice Send Failed: ${JSON.stringify(userErrors)}`);
+    }
+
+    const { error } = await supabase
+        .from('additional_shipping_requests')
+        .update({
+            last_reminder_sent_at: now.toISOString(),
+            reminder_count: request.reminder_count + 1,
+            updated_at: now.toISOString()
+        })
+        .eq('id', request.id);
+
+    if (error) throw new Error(`DB update failed: ${error.message}`);
+
+    await auditService.record({
+        shop: request.shop_domain,
+        requestId: request.id,
+        type: 'REMINDER_SENT',
+        actor: ACTOR,
+        message: `Reminder sent, ${hoursLeft} hours left`
+    });
+}
@@ -0,0 +1,123 @@
+// app/services/requestQueryService.server.js
+// Server-side filtering / sorting of split requests (see app/helpers/request-filters.js),
+// and the merchant's saved dashboard views.
+import { supabase } from "@/app/supabase.server";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Upper bound for the order ids a search expands to
+const SEARCH_LIMIT = 500;
+
+export const requestQueryService = {
+    /**
+     * A Supabase query on `additional_shipping_requests` with the filters and sort applied.
+     * Paging is left to the caller (`.range()` on the dashboard, keyset batches in exports),
+     * so the same query serves both.
+     */
+    buildQuery: async (shop, filters, { columns = "*", count = null, now = new Date() } = {}) => {
+        let query = supabase
+            .from("additional_shipping_requests")
+            .select(columns, count ? { count } : undefined)
+            .eq("shop_domain", shop);
+
+        if (filters.status) query = query.eq("status", filters.status);
+        if (filters.choice) query = query.eq("user_choice", filters.choice === "agreed");
+        if (filters.level != null) query = query.eq("shipping_level", filters.level);
+
+        if (filters.from) query = query.gte("created_at", `${filters.from}T00:00:00.000Z`);
+        if (filters.to) query = query.lt("created_at", new Date(Date.parse(`${filters.to}T00:00:00.000Z`) + DAY).toISOString());
+        if (filters.days) query = query.gte("created_at", new Date(now.getTime() - filters.days * DAY).toISOString());
+
+        if (filters.cancelled) {
+            query = query.or("primary_order_cancelled_at.not.is.null,payment_order_cancelled_at.not.is.null");
+        }
+
+        if (filters.expiresWithin) {
+            query = query
+                .gt("expires_at", now.toISOString())
+                .lte("expires_at", new Date(now.getTime() + filters.expiresWithin * HOUR).toISOString());
+        }
+
+        if (filters.q) {
+            const orderIds = await findOrderIds(shop, filters.q);
+            query = orderIds.length
+                ? query.or(`primary_order_id.in.(${orderIds.join(",")}),payment_order_id.in.(${orderIds.join(",")})`)
+                : query.in("primary_order_id", []);
+        }
+
+        // `id` breaks ties so paging is stable
+        return query
+            .order(filters.sort, { ascending: filters.dir === "asc", nullsFirst: false })
+            .order("id", { ascending: true });
+    },
+
+    getSavedViews: async (shop) => {
+        const { data, error } = await supabase
+            .from("saved_request_views")
+            .select("id, name, query")
+            .eq("shop_domain", shop)
+            .order("created_at", { ascending: true });
+
+        if (error) {
+            console.error("DB Saved Views Error:", error);
+            return [];
+        }
+        return data;
+    },
+
+    saveView: async (shop, { name, query }) => {
+        const { error } = await supabase
+            .from("saved_request_views")
+            .upsert({ shop_domain: shop, name, query }, { onConflict: "shop_domain,name" });
+
+        if (error) throw new Error(`Failed to save view: ${error.message}`);
+    },
+
+    deleteView: async (shop, viewId) => {
+        const { error } = await supabase
+            .from("saved_request_views")
+            .delete()
+            .eq("id", viewId)
+            .eq("shop_domain", shop);
+
+        if (error) throw new Error(`Failed to delete view: ${error.message}`);
+    }
+};
+
+// ---- Helper Functions ----
+// Orders whose name or customer email contains `term`
+async function findOrderIds(shop, term) {
+    const pattern = `%${term.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+    const [ordersResponse, customersResponse] = await Promise.all([
+        supabase
+            .from("core_orders")
+            .select("order_id")
+            .eq("shop_domain", shop)
+            .ilike("order_name", pattern)
+            .limit(SEARCH_LIMIT),
+        supabase
+            .from("core_customers")
+            .select("customer_id")
+            .eq("shop_domain", shop)
+            .ilike("email", pattern)
+            .limit(SEARCH_LIMIT)
+    ]);
+
+    const orderIds = (ordersResponse.data || []).map((order) => order.order_id);
+    const customerIds = (customersResponse.data || []).map((customer) => customer.customer_id);
+
+    if (customerIds.length) {
+        const { data: customerOrders } = await supabase
+            .from("core_orders")
+            .select("order_id")
+            .eq("shop_domain", shop)
+            .in("customer_id", customerIds)
+            .limit(SEARCH_LIMIT);
+
+        orderIds.push(...(customerOrders || []).map((order) => order.order_id));
+    }
+
+    return [...new Set(orderIds)];
+}
@@ -0,0 +1,69 @@
+// app/services/retryService.server.js
+// Dashboard retry of a FAILED split request. An unpaid request re-runs the order-created
+// workflow from its checkpoints; a paid one only needs its holds released again.
+import { supabase } from "@/app/supabase.server";
+import { auditService } from "@/app/services/auditService.server";
+import { holdService } from "@/app/services/holdService.server";
+import { jobQueue } from "@/app/services/jobQueue.server";
+import { splitWorkflow } from "@/app/services/splitWorkflow.server";
+import { orderCreatedJobKey } from "@/app/jobs/worker.server";
+
+export const retryService = {
+    /**
+     * Retry a FAILED request. Returns the phase it resumes from (see splitWorkflow.getResumePhase).
+     * Throws with a message for staff when the request can't be retried.
+     */
+    retryRequest: async (admin, shop, requestId, { actor }) => {
+        const { data: splitRequest, error } = await supabase
+            .from("additional_shipping_requests")
+            .select("id, status, primary_order_id, calculated_parcels, fee_collection_mode, draft_order_id, payment_order_id, invoice_sent_at, paid_at")
+            .eq("id", requestId)
+            .eq("shop_domain", shop)
+            .maybeSingle();
+
+        if (error) throw new Error(`DB Request Error: ${error.message}`);
+        if (!splitRequest || splitRequest.status !== "FAILED") {
+            throw new Error("Only failed requests can be retried.");
+        }
+
+        const resumePhase = await splitWorkflow.getResumePhase(admin, splitRequest);
+
+        // Re-running the created workflow would end in AWAITING_PAYMENT and never release the holds
+        if (resumePhase === "RELEASE_HOLDS") {
+            await auditService.record({
+                shop,
+                requestId,
+                type: "RETRY_REQUESTED",
+                actor,
+                message: "Retry requested",
+                payload: { resume_phase: resumePhase }
+            });
+
+            const { errors } = await holdService.releaseAfterPayment(admin, shop, requestId, { actor });
+            if (errors.length > 0) {
+                throw new Error(`Some holds could not be released: ${errors.join("; ")}`);
+            }
+            return resumePhase;
+        }
+
+        // Back to PENDING first, otherwise the worker skips the request as FAILED
+        await auditService.transition(requestId, "PENDING", {
+            actor,
+            fields: { error_log: null },
+            message: "Retry requested",
+            payload: { resume_phase: resumePhase }
+        });
+
+        const requeued = await jobQueue.retry(orderCreatedJobKey(splitRequest.primary_order_id));
+        if (!requeued) {
+            await auditService.transition(requestId, "FAILED", {
+                actor,
+                fields: { error_log: "Retry failed: no stored order webhook for this request." },
+                message: "Retry failed: no stored order webhook for this request."
+            });
+            throw new Error("This request predates the job queue and cannot be retried.");
+        }
+
+        return resumePhase;
+    }
+};
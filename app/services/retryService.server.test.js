@@ -0,0 +1,111 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { actors, auditService } from "@/app/services/auditService.server";
+import { holdService } from "@/app/services/holdService.server";
+import { jobQueue } from "@/app/services/jobQueue.server";
+import { orderService } from "@/app/services/orderService.server";
+import { retryService } from "@/app/services/retryService.server";
+
+// Each table answers every query with its row; hold records are counted
+const tables = {};
+vi.mock("@/app/supabase.server", () => {
+    const query = (table) => {
+        const builder = {
+            select: () => builder,
+            eq: () => builder,
+            maybeSingle: () => Promise.resolve({ data: tables[table] ?? null, error: null }),
+            then: (resolve) => resolve({ data: tables[table] ?? null, count: tables[table]?.length ?? 0, error: null })
+        };
+        return builder;
+    };
+    return { supabase: { from: query } };
+});
+vi.mock("@/app/shopify.server", () => ({ unauthenticated: {} }));
+vi.mock("@/app/services/auditService.server", async (importOriginal) => ({
+    ...await importOriginal(),
+    auditService: { record: vi.fn(), transition: vi.fn() }
+}));
+vi.mock("@/app/services/holdService.server", () => ({
+    holdService: { releaseAfterPayment: vi.fn() }
+}));
+vi.mock("@/app/services/jobQueue.server", () => ({
+    jobQueue: { retry: vi.fn() }
+}));
+vi.mock("@/app/services/orderService.server", async (importOriginal) => ({
+    ...await importOriginal(),
+    orderService: { getOrderState: vi.fn() }
+}));
+
+const SHOP = "test-shop.myshopify.com";
+const actor = actors.system("test");
+const admin = {};
+
+function failedRequest(fields = {}) {
+    return {
+        id: "request-1",
+        status: "FAILED",
+        primary_order_id: "1001",
+        calculated_parcels: 2,
+        fee_collection_mode: "INVOICE",
+        draft_order_id: "gid://shopify/DraftOrder/1",
+        payment_order_id: "2001",
+        invoice_sent_at: "2026-10-01T00:00:00Z",
+        paid_at: null,
+        ...fields
+    };
+}
+
+describe("retryService.retryRequest", () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        tables.additional_shipping_requests = failedRequest();
+        tables.additional_shipping_request_fulfillment_holds = [{ fulfillment_hold_id: "gid://shopify/FulfillmentHold/1" }];
+        holdService.releaseAfterPayment.mockResolvedValue({ total: 1, releasedIds: ["gid://shopify/FulfillmentHold/1"], errors: [] });
+        orderService.getOrderState.mockResolvedValue({ cancelledAt: null, displayFinancialStatus: "PENDING" });
+        jobQueue.retry.mockResolvedValue(true);
+    });
+
+    it("releases the holds of a paid request instead of restarting the created workflow", async () => {
+        tables.additional_shipping_requests = failedRequest({ paid_at: "2026-10-02T00:00:00Z" });
+
+        const resumePhase = await retryService.retryRequest(admin, SHOP, "request-1", { actor });
+
+        expect(resumePhase).toBe("RELEASE_HOLDS");
+        expect(holdService.releaseAfterPayment).toHaveBeenCalledWith(admin, SHOP, "request-1", { actor });
+        expect(auditService.transition).not.toHaveBeenCalledWith("request-1", "PENDING", expect.anything());
+        expect(jobQueue.retry).not.toHaveBeenCalled();
+    });
+
+    it("treats a payment order Shopify reports as paid like a paid request", async () => {
+        orderService.getOrderState.mockResolvedValue({ cancelledAt: null, displayFinancialStatus: "PAID" });
+
+        const resumePhase = await retryService.retryRequest(admin, SHOP, "request-1", { actor });
+
+        expect(resumePhase).toBe("RELEASE_HOLDS");
+        expect(holdService.releaseAfterPayment).toHaveBeenCalled();
+        expect(jobQueue.retry).not.toHaveBeenCalled();
+    });
+
+    it("fails the retry when holds stay locked", async () => {
+        tables.additional_shipping_requests = failedRequest({ paid_at: "2026-10-02T00:00:00Z" });
+        holdService.releaseAfterPayment.mockResolvedValue({ total: 1, releasedIds: [], errors: ["Hold 1: locked"] });
+
+        await expect(retryService.retryRequest(admin, SHOP, "request-1", { actor }))
+            .rejects.toThrow("Some holds could not be released: Hold 1: locked");
+    });
+
+    it("re-queues the created workflow of an unpaid request", async () => {
+        const resumePhase = await retryService.retryRequest(admin, SHOP, "request-1", { actor });
+
+        expect(resumePhase).toBe("FINALIZE");
+        expect(auditService.transition).toHaveBeenCalledWith("request-1", "PENDING", expect.objectContaining({ actor }));
+        expect(jobQueue.retry).toHaveBeenCalledWith("order-created:1001");
+        expect(holdService.releaseAfterPayment).not.toHaveBeenCalled();
+    });
+
+    it("only retries failed requests", async () => {
+        tables.additional_shipping_requests = failedRequest({ status: "AWAITING_PAYMENT" });
+
+        await expect(retryService.retryRequest(admin, SHOP, "request-1", { actor }))
+            .rejects.toThrow("Only failed requests can be retried.");
+    });
+});
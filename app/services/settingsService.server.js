@@ -0,0 +1,66 @@
+// app/services/settingsService.server.js
+// Per-shop settings (`additional_shipping_request_settings`).
+import { supabase } from "@/app/supabase.server";
+
+// Matches the column defaults in prisma/schema.prisma, used until a shop saves its settings
+export const DEFAULT_SETTINGS = {
+    app_enabled: false,
+    reminders_enabled: true,
+    reminder_hours_before: [12, 2],
+    default_email_locale: "zh-CN",
+    fee_collection_mode: "INVOICE",
+    fee_variant_id: null,
+    auto_refund_cancelled_fees: false,
+};
+
+const SETTINGS_COLUMNS = Object.keys(DEFAULT_SETTINGS).join(", ");
+
+export const settingsService = {
+    getSettings: async (shop) => {
+        const { data, error } = await supabase
+            .from("additional_shipping_request_settings")
+            .select(SETTINGS_COLUMNS)
+            .eq("shop_domain", shop)
+            .maybeSingle();
+
+        if (error) {
+            console.error("DB Settings Error:", error);
+        }
+
+        return { ...DEFAULT_SETTINGS, ...data };
+    },
+
+    /**
+     * Settings of several shops at once, keyed by shop domain.
+     */
+    getSettingsByShop: async (shops) => {
+        const { data, error } = await supabase
+            .from("additional_shipping_request_settings")
+            .select(`shop_domain, ${SETTINGS_COLUMNS}`)
+            .in("shop_domain", shops);
+
+        if (error) {
+            console.error("DB Settings Error:", error);
+        }
+
+        const byShop = {};
+        shops.forEach((shop) => {
+            const row = (data || []).find((settings) => settings.shop_domain === shop);
+            byShop[shop] = { ...DEFAULT_SETTINGS, ...row };
+        });
+        return byShop;
+    },
+
+    /**
+     * Save some settings, leaving the others untouched.
+     */
+    saveSettings: async (shop, fields) => {
+        await supabase.from("core_shops").upsert({ shop_domain: shop }, { onConflict: "shop_domain" });
+
+        const { error } = await supabase
+            .from("additional_shipping_request_settings")
+            .upsert({ shop_domain: shop, ...fields }, { onConflict: "shop_domain" });
+
+        if (error) throw new Error(`Failed to save settings: ${error.message}`);
+    }
+};
@@ -0,0 +1,165 @@
+// app/services/shippingConfigService.server.js
+import { supabase } from "@/app/supabase.server";
+import {
+    DEFAULT_SHIPPING_RATES,
+    SHIPPING_CONFIG_KEY,
+    SHIPPING_CONFIG_NAMESPACE
+} from "@/app/helpers/shipping-rates";
+import { DEFAULT_SHIPPING_ZONES } from "@/app/helpers/shipping-zones";
+import { settingsService } from "@/app/services/settingsService.server";
+
+const RATE_COLUMNS = "match_type, pattern, country_code, shipping_level, parcel_fee, currency_code";
+const ZONE_COLUMNS = "name, country_codes, value_cap, absorb_per_heavy, absorb_items_per_heavy, split_enabled";
+
+export const shippingConfigService = {
+    /**
+     * The shop's rate table in table order, or the built-in defaults if none was saved yet.
+     * A saved empty table means no delivery method has a split fee. Throws on a DB error.
+     */
+    getRates: async (shop) => {
+        const rows = await getRows("additional_shipping_rates", RATE_COLUMNS, shop);
+        if (rows.length || await isSaved(shop, "shipping_rates_saved_at")) return rows;
+        return DEFAULT_SHIPPING_RATES;
+    },
+
+    /**
+     * The shop's destination zones in table order, or the built-in defaults if none were saved yet.
+     * Saved empty zones mean splitting is offered nowhere. Throws on a DB error.
+     */
+    getZones: async (shop) => {
+        const rows = await getRows("additional_shipping_zones", ZONE_COLUMNS, shop);
+        if (rows.length || await isSaved(shop, "shipping_zones_saved_at")) return rows;
+        return DEFAULT_SHIPPING_ZONES;
+    },
+
+    /**
+     * Replace the shop's rate table and re-publish the configuration to checkout.
+     */
+    saveRates: async (admin, shop, rates) => {
+        await replaceRows("additional_shipping_rates", shop, rates, "shipping_rates_saved_at");
+        await shippingConfigService.publishToCheckout(admin, shop);
+    },
+
+    /**
+     * Replace the shop's zones and re-publish the configuration to checkout.
+     */
+    saveZones: async (admin, shop, zones) => {
+        await replaceRows("additional_shipping_zones", shop, zones, "shipping_zones_saved_at");
+        await shippingConfigService.publishToCheckout(admin, shop);
+    },
+
+    /**
+     * Mirror the configuration into a shop metafield, which the checkout extension
+     * reads through `shopify.appMetafields` (see extensions/fulfillment-split/shopify.extension.toml).
+     * The shop currency goes along so checkout knows what currency rows without one are priced in,
+     * and the fee collection mode tells the extension and the cart transform function whether to
+     * add and price a fee line.
+     */
+    publishToCheckout: async (admin, shop) => {
+        const [rates, zones, settings] = await Promise.all([
+            shippingConfigService.getRates(shop),
+            shippingConfigService.getZones(shop),
+            settingsService.getSettings(shop)
+        ]);
+
+        const shopResponse = await admin.graphql(`#graphql
+            query shopIdentity { shop { id currencyCode } }
+        `);
+        const shopJson = await shopResponse.json();
+
+        const response = await admin.graphql(`#graphql
+            mutation publishShippingConfig($metafields: [MetafieldsSetInput!]!) {
+                metafieldsSet(metafields: $metafields) {
+                    metafields { id }
+                    userErrors { field message }
+                }
+            }
+        `, {
+            variables: {
+                metafields: [{
+                    ownerId: shopJson.data.shop.id,
+                    namespace: SHIPPING_CONFIG_NAMESPACE,
+                    key: SHIPPING_CONFIG_KEY,
+                    type: "json",
+                    value: JSON.stringify({
+                        rates,
+                        zones,
+                        shop_currency: shopJson.data.shop.currencyCode,
+                        fee_collection: { mode: settings.fee_collection_mode, variant_id: settings.fee_variant_id }
+                    })
+                }]
+            }
+        });
+
+        const json = await response.json();
+        if (json.data?.metafieldsSet?.userErrors?.length > 0) {
+            throw new Error(`Metafield Publish Failed: ${JSON.stringify(json.data.metafieldsSet.userErrors)}`);
+        }
+    }
+};
+
+// ---- Helper Functions ----
+async function getRows(table, columns, shop) {
+    const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .eq("shop_domain", shop)
+        .order("position", { ascending: true });
+
+    // Falling back to the defaults here would quote fees from a table the shop never chose
+    if (error) throw new Error(`DB ${table} Error: ${error.message}`);
+
+    return data;
+}
+
+async function isSaved(shop, savedAtColumn) {
+    const { data, error } = await supabase
+        .from("core_shops")
+        .select(savedAtColumn)
+        .eq("shop_domain", shop)
+        .maybeSingle();
+
+    if (error) throw new Error(`DB core_shops Error: ${error.message}`);
+    return Boolean(data?.[savedAtColumn]);
+}
+
+// Overwrite the rows position by position, then drop the ones past the end.
+// A failed save leaves the old table in place, never an empty one; a failed cleanup
+// only leaves old rows past the end until the next save. The table counts as saved
+// (see isSaved) only once its rows are written, so a failed first save keeps the defaults.
+async function replaceRows(table, shop, rows, savedAtColumn) {
+    // The rows reference the shop
+    const { error: shopError } = await supabase
+        .from("core_shops")
+        .upsert({ shop_domain: shop }, { onConflict: "shop_domain" });
+
+    if (shopError) throw new Error(`Failed to save ${table}: ${shopError.message}`);
+
+    if (rows.length > 0) {
+        const { error: upsertError } = await supabase
+            .from(table)
+            .upsert(rows.map((row, index) => ({
+                ...row,
+                shop_domain: shop,
+                position: index,
+                updated_at: new Date().toISOString()
+            })), { onConflict: "shop_domain,position" });
+
+        if (upsertError) throw new Error(`Failed to save ${table}: ${upsertError.message}`);
+    }
+
+    const { error: savedError } = await supabase
+        .from("core_shops")
+        .update({ [savedAtColumn]: new Date().toISOString() })
+        .eq("shop_domain", shop);
+
+    if (savedError) throw new Error(`Failed to save ${table}: ${savedError.message}`);
+
+    const { error: deleteError } = await supabase
+        .from(table)
+        .delete()
+        .eq("shop_domain", shop)
+        .gte("position", rows.length);
+
+    if (deleteError) throw new Error(`Failed to clear ${table}: ${deleteError.message}`);
+}
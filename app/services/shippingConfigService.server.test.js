@@ -0,0 +1,119 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_SHIPPING_RATES } from "@/app/helpers/shipping-rates";
+import { DEFAULT_SHIPPING_ZONES } from "@/app/helpers/shipping-zones";
+import { shippingConfigService } from "@/app/services/shippingConfigService.server";
+
+// In-memory tables; upserts into a table in `failingUpserts` return an error
+const db = {};
+const failingUpserts = new Set();
+vi.mock("@/app/supabase.server", () => {
+    const query = (table) => {
+        const filters = [];
+        let action = { kind: "select" };
+
+        const run = () => {
+            const rows = db[table] || (db[table] = []);
+            const matches = (row) => filters.every(filter => filter(row));
+
+            if (action.kind === "upsert") {
+                if (failingUpserts.has(table)) return { data: null, error: { message: "upsert failed" } };
+                const keys = action.onConflict.split(",");
+                [].concat(action.values).forEach(value => {
+                    const existing = rows.find(row => keys.every(key => row[key] === value[key]));
+                    if (existing) Object.assign(existing, value);
+                    else rows.push({ ...value });
+                });
+            } else if (action.kind === "update") {
+                rows.filter(matches).forEach(row => Object.assign(row, action.values));
+            } else if (action.kind === "delete") {
+                db[table] = rows.filter(row => !matches(row));
+            } else {
+                return { data: rows.filter(matches), error: null };
+            }
+            return { data: null, error: null };
+        };
+
+        const builder = {
+            select: () => builder,
+            order: () => builder,
+            eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+            gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+            upsert: (values, { onConflict }) => { action = { kind: "upsert", values, onConflict }; return builder; },
+            update: (values) => { action = { kind: "update", values }; return builder; },
+            delete: () => { action = { kind: "delete" }; return builder; },
+            maybeSingle: () => {
+                const { data, error } = run();
+                return Promise.resolve({ data: data?.[0] ?? null, error });
+            },
+            then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+        };
+        return builder;
+    };
+    return { supabase: { from: query } };
+});
+
+const SHOP = "test-shop.myshopify.com";
+
+// Answers both the shop query and the metafield publish
+const admin = {
+    graphql: vi.fn(async () => ({
+        json: async () => ({
+            data: {
+                shop: { id: "gid://shopify/Shop/1", currencyCode: "USD" },
+                metafieldsSet: { metafields: [], userErrors: [] }
+            }
+        })
+    }))
+};
+
+const RATE = { match_type: "TITLE", pattern: "Express", country_code: null, shipping_level: 1, parcel_fee: 30, currency_code: null };
+const ZONE = { name: "Japan", country_codes: ["JP"], value_cap: 300, absorb_per_heavy: 60, absorb_items_per_heavy: 2, split_enabled: true };
+
+function resetDb() {
+    Object.keys(db).forEach(table => delete db[table]);
+    failingUpserts.clear();
+}
+
+describe("shippingConfigService rates", () => {
+    beforeEach(resetDb);
+
+    it("keeps the defaults when the first save fails", async () => {
+        failingUpserts.add("additional_shipping_rates");
+
+        await expect(shippingConfigService.saveRates(admin, SHOP, [RATE])).rejects.toThrow("Failed to save");
+        expect(await shippingConfigService.getRates(SHOP)).toBe(DEFAULT_SHIPPING_RATES);
+    });
+
+    it("treats a saved empty table as no rates", async () => {
+        await shippingConfigService.saveRates(admin, SHOP, [RATE]);
+        await shippingConfigService.saveRates(admin, SHOP, []);
+
+        expect(await shippingConfigService.getRates(SHOP)).toEqual([]);
+    });
+});
+
+describe("shippingConfigService zones", () => {
+    beforeEach(resetDb);
+
+    it("keeps the defaults when the first save fails", async () => {
+        failingUpserts.add("additional_shipping_zones");
+
+        await expect(shippingConfigService.saveZones(admin, SHOP, [ZONE])).rejects.toThrow("Failed to save");
+        expect(await shippingConfigService.getZones(SHOP)).toBe(DEFAULT_SHIPPING_ZONES);
+    });
+
+    it("keeps the saved zones when a later save fails", async () => {
+        await shippingConfigService.saveZones(admin, SHOP, [ZONE]);
+        failingUpserts.add("additional_shipping_zones");
+
+        await expect(shippingConfigService.saveZones(admin, SHOP, [{ ...ZONE, name: "Korea", country_codes: ["KR"] }])).rejects.toThrow();
+        expect((await shippingConfigService.getZones(SHOP)).map(zone => zone.name)).toEqual(["Japan"]);
+    });
+
+    it("treats saved empty zones as splitting offered nowhere", async () => {
+        await shippingConfigService.saveZones(admin, SHOP, [ZONE]);
+        await shippingConfigService.saveZones(admin, SHOP, []);
+
+        expect(await shippingConfigService.getZones(SHOP)).toEqual([]);
+    });
+});
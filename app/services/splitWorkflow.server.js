@@ -0,0 +1,1263 @@
+// app/services/splitWorkflow.server.js
+// The order-created split workflow, run by the background worker (app/jobs/worker.server.js).
+//
+// Every phase throws on failure so the worker can retry the job with backoff.
+// Progress is checkpointed on the request row (holds, draft_order_id, payment_order_id,
+// invoice_sent_at), so a retry skips phases that already succeeded.
+import { supabase } from "@/app/supabase.server";
+import { calculateFulfillmentOrderSplits, calculateFulfillmentSplits, getAttributeValueByName, getPaymentDeadline } from "@/app/helpers/fulfillment-split";
+import { findFeeLineItem, getFeeLineAmount, getFeeLinePrice } from "@/app/helpers/fee-collection";
+import { TEMPLATE_KINDS, getEmailValues } from "@/app/helpers/invoice-email";
+import { resolveShippingRate, toPresentmentFee } from "@/app/helpers/shipping-rates";
+import { getPlanOptions, resolveShippingZone } from "@/app/helpers/shipping-zones";
+import { shippingConfigService } from "@/app/services/shippingConfigService.server";
+import { settingsService } from "@/app/services/settingsService.server";
+import { actors, auditService } from "@/app/services/auditService.server";
+import { emailTemplateService } from "@/app/services/emailTemplateService.server";
+import { fulfillmentOrderService } from "@/app/services/fulfillmentOrderService.server";
+import { invoiceService } from "@/app/services/invoiceService.server";
+import { holdService } from "@/app/services/holdService.server";
+import { orderService, toOrderGid } from "@/app/services/orderService.server";
+
+// Requests in these states are never touched again by the workflow
+const FINAL_STATUSES = ['COMPLETED', 'FAILED', 'AWAITING_PAYMENT', 'CANCELLED'];
+
+// Payment order statuses the paid webhook releases the holds on (`paid` / `authorized`)
+const PAID_FINANCIAL_STATUSES = ['PAID', 'AUTHORIZED'];
+
+// Requests an order edit re-plans: split and waiting for payment, or paid
+const EDITABLE_STATUSES = ['AWAITING_PAYMENT', 'COMPLETED'];
+
+// A fee line priced this far below our quote was not priced by our cart transform. The slack covers
+// the exchange rate moving between checkout and the order, and rounding to the currency's minor unit.
+const FEE_LINE_PRICE_TOLERANCE = 0.01;
+
+// Also how we recognise our own holds when resuming a half-finished attempt
+const HOLD_NOTES = "Awaiting additional shipping payment.";
+
+const ACTOR = actors.system("split-workflow");
+
+export const splitWorkflow = {
+    /**
+     * Process an `orders/create` payload: record the buyer's choice, then split, hold,
+     * create the payment order and send the invoice. When the order carries a paid split fee
+     * line (fees charged at checkout, see app/helpers/fee-collection.js) it is only split.
+     */
+    processOrderCreated: async ({ shop, admin, payload }) => {
+        const {
+            id: orderId,
+            admin_graphql_api_id: orderGid,
+            name: orderName,
+            note_attributes,
+            line_items,
+            shipping_lines,
+            customer,
+            created_at,
+            updated_at,
+            shipping_address,
+            customer_locale,
+            currency: shopCurrency,
+            presentment_currency: presentmentCurrency
+        } = payload;
+
+        console.log(`🚀 Processing Order ${orderName} | customer: ${customer.id}`);
+
+        // --- PRE-CHECKS ---
+        // Check 1: Do we have shipping lines?
+        if (!shipping_lines || shipping_lines.length === 0) {
+            return;
+        }
+
+        // Check 2: Parse Attributes
+        const splitChoice = getAttributeValueByName(note_attributes, 'split_choice'); // 'yes' or 'no'
+        const fulfillmentCount = parseInt(getAttributeValueByName(note_attributes, 'split_fulfillment_count') || 0);
+
+        // Check 3: Is a split actually required/requested?
+        if (!splitChoice || fulfillmentCount <= 1) {
+            return;
+        }
+        const splitChoiceBoolean = splitChoice === 'yes';
+        const shippingCountryCode = shipping_address.country_code;
+
+        // --- STEP 1: CALCULATE LOGIC (Pure JS, no API calls yet) ---
+        const [rates, zones, shopSettings] = await Promise.all([
+            shippingConfigService.getRates(shop),
+            shippingConfigService.getZones(shop),
+            settingsService.getSettings(shop)
+        ]);
+
+        const shippingZone = resolveShippingZone(zones, shippingCountryCode);
+        if (!shippingZone) {
+            console.log(`⏸️ Splitting not offered for ${shippingCountryCode}. Exiting.`);
+            return;
+        }
+
+        // The fee line charged at checkout is not shipped, so it stays out of the parcel plan
+        const feeLineItem = shopSettings.fee_collection_mode === 'CHECKOUT'
+            ? findFeeLineItem(line_items, shopSettings.fee_variant_id)
+            : null;
+        const productLineItems = line_items.filter(item => item !== feeLineItem);
+
+        // Whole-order plan, as checkout showed it; each fulfillment order is planned on its own when split
+        const planOptions = getPlanOptions(shippingZone);
+        const parcelPlan = calculateFulfillmentSplits(productLineItems, planOptions);
+        const shippingRate = resolveShippingRate(rates, {
+            title: shipping_lines[0].title,
+            handle: shipping_lines[0].code,
+            countryCode: shippingCountryCode,
+            currencyCode: presentmentCurrency
+        });
+
+        if (!shippingRate?.shippingLevel || !shippingRate?.parcelFee) {
+            return;
+        }
+        const { shippingLevel: shippingLineLevel } = shippingRate;
+
+        // The fee is charged in the currency the buyer paid the order in
+        const { amount: costPerParcel, currencyCode } = toPresentmentFee(shippingRate, {
+            presentmentCurrency,
+            shopCurrency,
+            exchangeRate: getExchangeRate(payload)
+        });
+
+        // Paid at checkout only if the fee line carries the fee we quote for this cart; otherwise invoice it
+        const quotedFee = Math.max(0, parcelPlan.fulfillmentCount - 1) * costPerParcel;
+        const chargedAtCheckout = splitChoice === 'yes' && feeLineItem != null && quotedFee > 0
+            && getFeeLinePrice(feeLineItem) >= quotedFee * (1 - FEE_LINE_PRICE_TOLERANCE);
+
+        if (feeLineItem && splitChoice === 'yes' && !chargedAtCheckout) {
+            console.warn(`⚠️ ${orderName}: fee line priced ${getFeeLinePrice(feeLineItem)}, quoted ${quotedFee}. Invoicing the fee instead.`);
+        }
+
+        if (parcelPlan.fulfillmentCount !== fulfillmentCount) {
+            // Checkout and server share one engine, so this means the cart changed after the choice was made
+            console.warn(`⚠️ ${orderName}: buyer agreed to ${fulfillmentCount} parcels, plan has ${parcelPlan.fulfillmentCount}`);
+        }
+
+        const extraParcels = Math.max(0, fulfillmentCount - 1); // Ensure non-negative
+        // Charged at checkout: record what the buyer actually paid for the fee line
+        const additionalShippingAmount = chargedAtCheckout
+            ? getFeeLineAmount(feeLineItem)
+            : extraParcels * costPerParcel;
+
+
+        // --- STEP 2: DB STATE INIT (Idempotency Check) ---
+        // We upsert the Order first to ensure foreign keys exist
+        const { data: shopRecord, error: shopError } = await supabase
+            .from('core_shops')
+            .upsert({
+                shop_domain: shop,
+            }, { onConflict: 'shop_domain' })
+            .select(`
+                settings:additional_shipping_request_settings (
+                    app_enabled
+                )
+            `)
+            .single();
+
+        if (shopError) throw new Error(`DB Shop Error: ${shopError.message}`);
+
+        const { error: orderError } = await supabase
+            .from('core_orders')
+            .upsert({
+                order_id: orderId,
+                order_name: orderName,
+                shop_domain: shop,
+                customer_id: customer.id,
+                shipping_country_code: shippingCountryCode,
+                updated_at: updated_at,
+                created_at: created_at,
+            }, { onConflict: 'order_id' });
+
+        if (orderError) console.error("DB Order Error:", orderError);
+
+        const { error: customerError } = await supabase
+            .from('core_customers')
+            .upsert({
+                customer_id: customer.id,
+                shop_domain: shop,
+                email: customer.email,
+                first_name: customer.first_name,
+                last_name: customer.last_name,
+            }, { onConflict: 'customer_id' });
+
+        if (customerError) console.error("DB Customer Error:", customerError);
+
+        // Check if we have already processed this split
+        const { data: existingRecord } = await supabase
+            .from('additional_shipping_requests')
+            .select('id, status')
+            .eq('primary_order_id', orderId)
+            .maybeSingle();
+
+        if (existingRecord && FINAL_STATUSES.includes(existingRecord.status)) {
+            return;
+        }
+
+        // PostgREST might return settings as an object or an array depending on detection.
+        // We handle both cases safely.
+        const settings = Array.isArray(shopRecord.settings)
+            ? shopRecord.settings[0]
+            : shopRecord.settings;
+
+        const isAppEnabled = settings?.app_enabled || false;
+
+        // Insert/Update 'PENDING' record.
+        // Checkpoint columns (draft_order_id, payment_order_id, ...) are left untouched so retries resume.
+        const { data: splitRecord, error: splitDbError } = await supabase
+            .from('additional_shipping_requests')
+            .upsert({
+                primary_order_id: orderId,
+                shop_domain: shop,
+                user_choice: splitChoiceBoolean,
+                status: !isAppEnabled ? 'APP_DISABLED' : splitChoiceBoolean ? 'PENDING' : 'COMPLETED', // PENDING -> AWAITING_PAYMENT -> COMPLETED (or FAILED)
+                calculated_parcels: fulfillmentCount,
+                shipping_level: shippingLineLevel,
+                additional_shipping_amount: additionalShippingAmount,
+                currency_code: chargedAtCheckout ? (presentmentCurrency || currencyCode) : currencyCode,
+                fee_collection_mode: chargedAtCheckout ? 'CHECKOUT' : 'INVOICE',
+                updated_at: new Date(),
+                created_at: created_at,
+            }, { onConflict: 'primary_order_id' }) // Assuming 1 split request per order
+            .select()
+            .single();
+
+        if (splitDbError) {
+            throw new Error(`Failed to init DB record: ${splitDbError.message}`);
+        }
+
+        if (!existingRecord) {
+            await auditService.record({
+                shop,
+                requestId: splitRecord.id,
+                type: 'REQUEST_CREATED',
+                actor: actors.webhook('orders/create'),
+                toStatus: splitRecord.status,
+                payload: {
+                    order_id: orderId,
+                    order_name: orderName,
+                    split_choice: splitChoice,
+                    fulfillment_count: fulfillmentCount,
+                    planned_parcels: parcelPlan.fulfillmentCount,
+                    country_code: shippingCountryCode,
+                    shipping_level: shippingLineLevel,
+                    amount: additionalShippingAmount,
+                    currency_code: splitRecord.currency_code,
+                    fee_collection_mode: splitRecord.fee_collection_mode
+                }
+            });
+        }
+
+        if (!splitChoiceBoolean) {
+            return; // No split requested, exit
+        }
+
+        if (!isAppEnabled) {
+            console.log(`⏸️ App disabled for ${shop}. Exiting.`);
+            return;
+        }
+
+        const context = {
+            shop,
+            admin,
+            splitRecord,
+            orderId,
+            orderGid,
+            orderName,
+            customer,
+            locale: customer_locale,
+            fulfillmentCount,
+            parcelPlan,
+            lineItems: productLineItems,
+            planOptions,
+            shippingLineLevel,
+            additionalShippingAmount,
+            currencyCode
+        };
+
+        // --- STEP 3: EXECUTE PHASES ---
+        try {
+            if (chargedAtCheckout) {
+                await splitWithoutHolds(context);
+                await markPaidAtCheckout({ ...context, paidAt: created_at });
+            } else {
+                await splitAndHold(context);
+                await createDraftOrder(context);
+                await completeDraftOrder(context);
+                await sendInvoice(context);
+                await markAwaitingPayment(context);
+            }
+        } catch (e) {
+            // Keep the latest error visible while the worker retries; the audit trail keeps all of them
+            await supabase
+                .from('additional_shipping_requests')
+                .update({ error_log: e.message })
+                .eq('id', splitRecord.id);
+            await auditService.record({
+                shop,
+                requestId: splitRecord.id,
+                type: 'PHASE_FAILED',
+                actor: ACTOR,
+                message: e.message,
+                userErrors: e.userErrors
+            });
+            throw e;
+        }
+
+        console.log(`✅ Success: Order ${orderName} split & invoiced.`);
+    },
+
+    /**
+     * Work out the first phase a retry still has to run, from what Shopify and the
+     * checkpoints already show. Used by the dashboard to explain what a retry will do;
+     * the phases themselves skip completed work on their own.
+     * RELEASE_HOLDS means the fee is already paid and only the hold release failed.
+     */
+    getResumePhase: async (admin, request) => {
+        if (await isFeePaid(admin, request)) return 'RELEASE_HOLDS';
+        if (request.fee_collection_mode === 'CHECKOUT') return 'SPLIT';
+        if (await countHoldRecords(request.id) === 0) {
+            // Fewer fulfillment orders than parcels means some are still to be split (across all locations)
+            const activeFulfillmentOrders = await fulfillmentOrderService.getActiveFulfillmentOrders(admin, toOrderGid(request.primary_order_id));
+            return activeFulfillmentOrders.length >= request.calculated_parcels ? 'HOLD' : 'SPLIT';
+        }
+        if (!request.draft_order_id) return 'CREATE_DRAFT_ORDER';
+        if (!request.payment_order_id) return 'COMPLETE_DRAFT_ORDER';
+        if (!request.invoice_sent_at) return 'SEND_INVOICE';
+        return 'FINALIZE';
+    },
+
+    /**
+     * Replace a request's payment order with one for `amount` (staff override or order edit).
+     * The new order is created before the old one is cancelled, so the request always
+     * points at a payable order; the old order's cancel webhook no longer matches it.
+     * `reissue` is where an earlier attempt started, as stored by the caller via `onStart`:
+     * a retry resumes from the request's checkpoints instead of replacing the new order.
+     */
+    reissuePaymentOrder: async (admin, splitRecord, { parcels, amount, staffNote, reissue, onStart }) => {
+        const orderRes = await admin.graphql(`#graphql
+            query primaryOrderForReissue($id: ID!) {
+                order(id: $id) {
+                    name
+                    customerLocale
+                    customer { id }
+                }
+            }
+        `, { variables: { id: toOrderGid(splitRecord.primary_order_id) } });
+        const orderJson = await orderRes.json();
+        const order = orderJson.data?.order;
+
+        if (!order?.customer) {
+            throw new Error('Primary order or its customer no longer exists in Shopify.');
+        }
+
+        if (!reissue) {
+            reissue = {
+                from_draft_order_id: splitRecord.draft_order_id,
+                from_payment_order_id: splitRecord.payment_order_id,
+                started_at: new Date().toISOString()
+            };
+            await onStart(reissue);
+        }
+
+        // Checkpoints still pointing at the old payment order run again
+        const workingRecord = {
+            ...splitRecord,
+            draft_order_id: splitRecord.draft_order_id !== reissue.from_draft_order_id ? splitRecord.draft_order_id : null,
+            payment_order_id: splitRecord.payment_order_id !== reissue.from_payment_order_id ? splitRecord.payment_order_id : null,
+            invoice_sent_at: new Date(splitRecord.invoice_sent_at) >= new Date(reissue.started_at) ? splitRecord.invoice_sent_at : null
+        };
+        const context = {
+            shop: splitRecord.shop_domain,
+            admin,
+            splitRecord: workingRecord,
+            orderId: splitRecord.primary_order_id,
+            orderName: order.name,
+            customer: { admin_graphql_api_id: order.customer.id },
+            locale: order.customerLocale,
+            fulfillmentCount: parcels,
+            parcelPlan: { fulfillmentCount: parcels },
+            shippingLineLevel: splitRecord.shipping_level,
+            additionalShippingAmount: amount,
+            currencyCode: splitRecord.currency_code
+        };
+
+        await createDraftOrder(context);
+        await completeDraftOrder(context);
+
+        const previousPaymentOrderId = reissue.from_payment_order_id;
+        if (previousPaymentOrderId) {
+            const previousOrder = await orderService.getOrderState(admin, previousPaymentOrderId);
+            if (previousOrder && !previousOrder.cancelledAt) {
+                await orderService.cancelOrder(admin, previousPaymentOrderId, { staffNote });
+            }
+        }
+
+        await sendInvoice(context);
+    },
+
+    /**
+     * Called by the worker once the job is dead-lettered: surface the failure on the request.
+     */
+    markOrderCreatedFailed: async ({ payload }, errorMessage) => {
+        const { data: splitRecord } = await supabase
+            .from('additional_shipping_requests')
+            .select('id')
+            .eq('primary_order_id', payload.id)
+            .eq('status', 'PENDING')
+            .maybeSingle();
+
+        if (!splitRecord) return;
+
+        await auditService.transition(splitRecord.id, 'FAILED', {
+            actor: ACTOR,
+            fields: { error_log: errorMessage },
+            message: `Gave up after all retries: ${errorMessage}`
+        });
+    },
+
+    /**
+     * Process an `orders/edited` payload: re-plan the primary order's current line items,
+     * re-split its fulfillment orders (and hold them again while unpaid), then reconcile the fee.
+     * An unpaid payment order is reissued, or cancelled when one parcel is left; a paid fee is
+     * partly refunded, or the extra invoiced on its own payment order.
+     * Each edit is recorded once in `additional_shipping_request_adjustments`.
+     */
+    processOrderEdited: async ({ shop, admin, payload }) => {
+        const { order_edit: orderEdit } = payload;
+
+        const { data: splitRecord, error: fetchError } = await supabase
+            .from('additional_shipping_requests')
+            .select('*')
+            .eq('primary_order_id', String(orderEdit.order_id))
+            .eq('shop_domain', shop)
+            .maybeSingle();
+
+        if (fetchError) throw new Error(`DB Request Error: ${fetchError.message}`);
+        if (!splitRecord?.user_choice) return;
+
+        // The created workflow has to finish first; the worker retries this job with backoff
+        if (splitRecord.status === 'PENDING') {
+            throw new Error('Order Edit Error: The split workflow is still running for this order.');
+        }
+        if (!EDITABLE_STATUSES.includes(splitRecord.status)) return;
+
+        const order = await orderService.getOrderForSplit(admin, splitRecord.primary_order_id);
+        if (!order || order.cancelledAt) return;
+
+        const zones = await shippingConfigService.getZones(shop);
+        const shippingZone = resolveShippingZone(zones, order.shipping_address.country_code);
+        if (!shippingZone) {
+            console.log(`⏸️ Splitting no longer offered for ${order.shipping_address.country_code}. Leaving ${order.name} as it is.`);
+            return;
+        }
+
+        // Same engine and inputs as the created workflow, on the edited quantities
+        const { fee_variant_id: feeVariantId } = await settingsService.getSettings(shop);
+        const feeLineItem = splitRecord.fee_collection_mode === 'CHECKOUT'
+            ? findFeeLineItem(order.line_items, feeVariantId)
+            : null;
+        const lineItems = order.line_items.filter(item => item !== feeLineItem);
+        const planOptions = getPlanOptions(shippingZone);
+        const parcelPlan = calculateFulfillmentSplits(lineItems, planOptions);
+
+        const adjustment = await getOrCreateAdjustment(splitRecord, {
+            orderEditId: String(orderEdit.id),
+            newParcels: parcelPlan.fulfillmentCount,
+            newAmount: getAdjustedFee(splitRecord, parcelPlan.fulfillmentCount)
+        });
+        if (adjustment.status === 'APPLIED') return;
+
+        const context = {
+            shop,
+            admin,
+            splitRecord,
+            adjustment,
+            orderId: splitRecord.primary_order_id,
+            orderGid: toOrderGid(splitRecord.primary_order_id),
+            orderName: order.name,
+            customer: order.customer,
+            locale: order.customer_locale,
+            lineItems,
+            planOptions
+        };
+
+        try {
+            await resplitAfterEdit(context);
+            await reconcileFee(context);
+            await applyAdjustment(context);
+        } catch (e) {
+            await updateAdjustment(adjustment, { error_log: e.message });
+            await auditService.record({
+                shop,
+                requestId: splitRecord.id,
+                type: 'PHASE_FAILED',
+                actor: ACTOR,
+                message: `Order edit: ${e.message}`,
+                userErrors: e.userErrors
+            });
+            throw e;
+        }
+
+        console.log(`✅ Order ${order.name} edit applied: ${adjustment.previous_parcels} → ${adjustment.new_parcels} parcels (${adjustment.action}).`);
+    },
+
+    /**
+     * Called by the worker once an order-edited job is dead-lettered.
+     * The request keeps its status; the failed adjustment is on its timeline.
+     */
+    markOrderEditFailed: async ({ payload }, errorMessage) => {
+        const { data: adjustment } = await supabase
+            .from('additional_shipping_request_adjustments')
+            .update({ status: 'FAILED', error_log: errorMessage, updated_at: new Date().toISOString() })
+            .eq('order_edit_id', String(payload.order_edit.id))
+            .eq('status', 'PENDING')
+            .select('shop_domain, additional_shipping_request_id')
+            .maybeSingle();
+
+        if (!adjustment) return;
+
+        await auditService.record({
+            shop: adjustment.shop_domain,
+            requestId: adjustment.additional_shipping_request_id,
+            type: 'ORDER_EDIT_FAILED',
+            actor: ACTOR,
+            message: `Gave up after all retries: ${errorMessage}`
+        });
+    }
+};
+
+// ---- Phases ----
+
+// PHASE 1: SPLIT + HOLD
+// Every fulfillment order of the order is split and held, one per location when stock ships
+// from several. Resumable: fulfillment orders that already fit their parcels are not split
+// again, and fulfillment orders that already carry our hold are not held twice.
+async function splitAndHold(context) {
+    if (await countHoldRecords(context.splitRecord.id) > 0) return;
+    await splitAndHoldFulfillmentOrders(context);
+}
+
+// Paid per our paid webhook, or per Shopify in case that webhook never got through
+async function isFeePaid(admin, request) {
+    if (request.fee_collection_mode === 'CHECKOUT') return false;
+    if (request.paid_at) return true;
+    if (!request.payment_order_id) return false;
+
+    const paymentOrder = await orderService.getOrderState(admin, request.payment_order_id);
+    return PAID_FINANCIAL_STATUSES.includes(paymentOrder?.displayFinancialStatus);
+}
+
+// Also run on its own after an order edit, where the request already has hold records
+async function splitAndHoldFulfillmentOrders(context) {
+    const { admin, splitRecord } = context;
+    const { fulfillmentOrders, splitCount } = await splitActiveFulfillmentOrders(context);
+    const fulfillmentOrderIds = fulfillmentOrders.map(fo => fo.id);
+
+    if (splitCount > 0) {
+        await recordSplit(context, fulfillmentOrders);
+    }
+
+    // Reuse holds we placed on a previous attempt that never made it into the database
+    const heldIds = new Map();
+    fulfillmentOrders.forEach(fo => {
+        const ourHold = fo.fulfillmentHolds.find(hold => hold.reasonNotes === HOLD_NOTES);
+        if (ourHold) heldIds.set(fo.id, ourHold.id);
+    });
+    const toHold = fulfillmentOrderIds.filter(id => !heldIds.has(id));
+
+    // --- BULK HOLD ---
+    if (toHold.length > 0) {
+        const holdResults = await fulfillmentOrderService.placeHolds(admin, toHold, { notes: HOLD_NOTES });
+
+        const successfulHolds = [];
+        const holdErrors = [];
+
+        // 1. Sort successes from failures, per fulfillment order
+        holdResults.forEach(({ holdId, userErrors }, fulfillmentOrderId) => {
+            if (holdId) {
+                successfulHolds.push({ fulfillmentOrderId, holdId });
+                heldIds.set(fulfillmentOrderId, holdId);
+            } else {
+                holdErrors.push(...(userErrors.length > 0 ? userErrors : [{ field: null, message: `No hold placed on ${fulfillmentOrderId}` }]));
+            }
+        });
+
+        // 2. Robust Error Handling (Rollback Pattern)
+        if (holdErrors.length > 0) {
+            console.error(`❌ Hold Partial Failure. Errors: ${JSON.stringify(holdErrors)}`);
+            if (successfulHolds.length > 0) {
+                console.log(`🔄 Rolling back ${successfulHolds.length} successful holds to maintain state consistency...`);
+                await fulfillmentOrderService.releaseHolds(admin, successfulHolds);
+            }
+            throw userErrorsError('Phase 1 Error: Hold Phase Failed. Holds from this attempt were released.', holdErrors);
+        }
+    }
+
+    // 3. Commit to Database
+    // If we reached here, every fulfillment order carries our hold.
+    const holdRecords = fulfillmentOrders.map((fo) => ({
+        fulfillment_hold_id: heldIds.get(fo.id),
+        fulfillment_order_id: fo.id,
+        location_id: fo.assignedLocation?.location?.id ?? null,
+        location_name: fo.assignedLocation?.name ?? null,
+        additional_shipping_request_id: splitRecord.id
+    }));
+
+    // Holds reused from a previous attempt or order edit may already be recorded
+    const { error: holdRecordsError } = await supabase
+        .from('additional_shipping_request_fulfillment_holds')
+        .upsert(holdRecords, { onConflict: 'fulfillment_hold_id', ignoreDuplicates: true });
+
+    if (holdRecordsError) {
+        throw new Error("Phase 1 Error: Database failed to save hold records. Manual intervention required.");
+    }
+
+    await auditService.record({
+        shop: splitRecord.shop_domain,
+        requestId: splitRecord.id,
+        type: 'HOLDS_PLACED',
+        actor: ACTOR,
+        message: `${fulfillmentOrderIds.length} fulfillment orders on hold`,
+        payload: { fulfillment_order_ids: fulfillmentOrderIds }
+    });
+
+    console.log("✅ All parcels held and recorded successfully.");
+}
+
+// PHASE 1 (fee charged at checkout): SPLIT ONLY
+// The fee was paid with the order, so there is nothing to hold the parcels for.
+async function splitWithoutHolds(context) {
+    const { fulfillmentOrders, splitCount } = await splitActiveFulfillmentOrders(context);
+
+    if (splitCount > 0) {
+        await recordSplit(context, fulfillmentOrders);
+    }
+}
+
+// PHASE 2a: CREATE DRAFT ORDER
+async function createDraftOrder(context) {
+    const { admin, splitRecord, orderId, orderName, customer, fulfillmentCount, parcelPlan, shippingLineLevel, additionalShippingAmount, currencyCode } = context;
+    if (splitRecord.draft_order_id) return;
+
+    // Same deadline drives the payment terms and the expiry sweeper
+    const paymentDueAt = getPaymentDeadline({ created_at: new Date() });
+
+    const draftOrderId = await createPaymentDraft(admin, {
+        customerId: customer.admin_graphql_api_id,
+        note: `Additional shipping for ${orderName} (Split into ${fulfillmentCount} parcels)`,
+        title: `${orderName} ship${parcelPlan.fulfillmentCount} ${shippingLineLevel}檔`,
+        amount: additionalShippingAmount,
+        currencyCode,
+        primaryOrderId: orderId,
+        dueAt: paymentDueAt
+    });
+
+    await checkpoint(splitRecord, {
+        draft_order_id: draftOrderId,
+        expires_at: paymentDueAt.toISOString()
+    }, 'DRAFT_ORDER_CREATED');
+}
+
+// PHASE 2b: COMPLETE THE DRAFT ORDER (Creates the actual Order)
+async function completeDraftOrder({ admin, shop, splitRecord }) {
+    if (splitRecord.payment_order_id) return;
+
+    const { order, invoiceUrl } = await completePaymentDraft(admin, shop, splitRecord.draft_order_id);
+
+    await checkpoint(splitRecord, {
+        payment_order_id: order.legacyResourceId,
+        // Pending-payment orders are paid from their status page; the draft invoice link is the fallback
+        invoice_url: order.statusPageUrl || invoiceUrl || null
+    }, 'PAYMENT_ORDER_CREATED');
+}
+
+// PHASE 2c: SEND THE ORDER INVOICE (Email with payment link)
+async function sendInvoice({ admin, shop, splitRecord, orderName, locale, fulfillmentCount, additionalShippingAmount, currencyCode }) {
+    if (splitRecord.invoice_sent_at) return;
+
+    // The buyer's locale picks the template; the shop's default email locale covers the rest
+    const timeZone = await invoiceService.getShopTimeZone(admin);
+    const email = await emailTemplateService.render(shop, TEMPLATE_KINDS.INVOICE, locale, (emailLocale) => getEmailValues(emailLocale, {
+        orderName,
+        amount: additionalShippingAmount,
+        currencyCode,
+        parcels: fulfillmentCount,
+        deadline: splitRecord.expires_at,
+        timeZone
+    }));
+
+    const userErrors = await invoiceService.send(admin, splitRecord.payment_order_id, email);
+    if (userErrors.length > 0) {
+        throw userErrorsError('Phase 2 Error: Invoice Send Failed.', userErrors);
+    }
+
+    await checkpoint(splitRecord, { invoice_sent_at: new Date().toISOString() }, 'INVOICE_SENT');
+}
+
+// PHASE 3: DB SUCCESS
+async function markAwaitingPayment({ splitRecord }) {
+    await auditService.transition(splitRecord.id, 'AWAITING_PAYMENT', {
+        actor: ACTOR,
+        fields: { error_log: null },
+        message: 'Split, held and invoiced'
+    });
+}
+
+// PHASE 3 (fee charged at checkout): DONE, the order itself paid the fee
+async function markPaidAtCheckout({ splitRecord, paidAt }) {
+    await auditService.transition(splitRecord.id, 'COMPLETED', {
+        actor: ACTOR,
+        fields: { error_log: null, paid_at: new Date(paidAt).toISOString() },
+        message: 'Split; fee paid at checkout'
+    });
+}
+
+// ---- Order Edits ----
+
+// The fee for `parcels` at the per-parcel price the buyer agreed to at checkout.
+// A fee set by staff (waived or adjusted) stays as it is.
+function getAdjustedFee(splitRecord, parcels) {
+    const amount = Number(splitRecord.additional_shipping_amount || 0);
+    if (splitRecord.fee_waived || splitRecord.override_action) return amount;
+
+    const perParcel = splitRecord.calculated_parcels > 1 ? amount / (splitRecord.calculated_parcels - 1) : 0;
+    return Math.round(perParcel * Math.max(parcels - 1, 0) * 100) / 100;
+}
+
+// One row per order edit; a retry picks up the row (and its checkpoints) of the first attempt
+async function getOrCreateAdjustment(splitRecord, { orderEditId, newParcels, newAmount }) {
+    const { error } = await supabase
+        .from('additional_shipping_request_adjustments')
+        .upsert({
+            shop_domain: splitRecord.shop_domain,
+            additional_shipping_request_id: splitRecord.id,
+            order_edit_id: orderEditId,
+            previous_parcels: splitRecord.calculated_parcels,
+            new_parcels: newParcels,
+            previous_amount: Number(splitRecord.additional_shipping_amount || 0),
+            new_amount: newAmount,
+            currency_code: splitRecord.currency_code
+        }, { onConflict: 'order_edit_id', ignoreDuplicates: true });
+
+    if (error) throw new Error(`DB Adjustment Error: ${error.message}`);
+
+    const { data, error: fetchError } = await supabase
+        .from('additional_shipping_request_adjustments')
+        .select('*')
+        .eq('order_edit_id', orderEditId)
+        .single();
+
+    if (fetchError) throw new Error(`DB Adjustment Error: ${fetchError.message}`);
+    return data;
+}
+
+async function updateAdjustment(adjustment, fields) {
+    const { error } = await supabase
+        .from('additional_shipping_request_adjustments')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', adjustment.id);
+
+    if (error) throw new Error(`DB Adjustment Error: ${error.message}`);
+    Object.assign(adjustment, fields);
+}
+
+// EDIT 1: parcels follow the edited order. A held fulfillment order can't be split, so an
+// unpaid request that needs re-splitting has its holds released first and every parcel held again.
+async function resplitAfterEdit(context) {
+    const { admin, splitRecord, adjustment, orderGid, lineItems, planOptions } = context;
+    if (adjustment.holds_updated_at) return;
+
+    if (splitRecord.status === 'AWAITING_PAYMENT') {
+        // Down to one parcel: the fee step cancels the payment order and releases the holds
+        if (adjustment.new_parcels > 1) {
+            const activeFulfillmentOrders = await fulfillmentOrderService.getActiveFulfillmentOrders(admin, orderGid);
+            const needsSplit = activeFulfillmentOrders.some(fo =>
+                calculateFulfillmentOrderSplits(lineItems, fo.lineItems.nodes, planOptions).fulfillmentCount > 1
+            );
+
+            if (needsSplit) {
+                const { errors } = await holdService.releaseHolds(admin, splitRecord.id);
+                if (errors.length > 0) {
+                    throw new Error(`Order Edit Error: Holds could not be released for re-splitting: ${errors.join('; ')}`);
+                }
+            }
+
+            // Also holds fulfillment orders the edit added, e.g. for new items
+            await splitAndHoldFulfillmentOrders(context);
+        }
+    } else {
+        const { fulfillmentOrders, splitCount } = await splitActiveFulfillmentOrders(context);
+        if (splitCount > 0) await recordSplit(context, fulfillmentOrders);
+    }
+
+    await updateAdjustment(adjustment, { holds_updated_at: new Date().toISOString() });
+}
+
+// EDIT 2: the fee follows the parcels
+async function reconcileFee(context) {
+    const { admin, splitRecord, adjustment, orderName } = context;
+    if (adjustment.action !== 'NONE') return;
+
+    const difference = Math.round((Number(adjustment.new_amount) - Number(adjustment.previous_amount)) * 100) / 100;
+    if (difference === 0) return;
+
+    const note = `${orderName} edited: ${adjustment.previous_parcels} → ${adjustment.new_parcels} parcels`;
+
+    if (splitRecord.status === 'AWAITING_PAYMENT') {
+        if (adjustment.new_parcels <= 1) {
+            await dropFee(context, note);
+            await updateAdjustment(adjustment, { action: 'FEE_DROPPED' });
+            return;
+        }
+
+        await splitWorkflow.reissuePaymentOrder(admin, splitRecord, {
+            parcels: adjustment.new_parcels,
+            amount: Number(adjustment.new_amount),
+            staffNote: note,
+            reissue: adjustment.reissue_started_at && {
+                from_draft_order_id: adjustment.reissue_from_draft_order_id,
+                from_payment_order_id: adjustment.reissue_from_payment_order_id,
+                started_at: adjustment.reissue_started_at
+            },
+            onStart: (reissue) => updateAdjustment(adjustment, {
+                reissue_from_draft_order_id: reissue.from_draft_order_id,
+                reissue_from_payment_order_id: reissue.from_payment_order_id,
+                reissue_started_at: reissue.started_at
+            })
+        });
+        await updateAdjustment(adjustment, { action: 'REISSUED' });
+        return;
+    }
+
+    // Paid: on the payment order, or with the order itself when charged at checkout
+    if (difference < 0) {
+        const paidOrderId = splitRecord.fee_collection_mode === 'CHECKOUT'
+            ? splitRecord.primary_order_id
+            : splitRecord.payment_order_id;
+        if (!paidOrderId) throw new Error('Order Edit Error: No paid order to refund the difference on.');
+
+        // Noted with the order edit and checkpointed first, so a retry finds this refund instead of
+        // issuing another; at checkout the refund comes off the whole order, not just the fee
+        const refundNote = `${note} (order edit ${adjustment.order_edit_id})`;
+        let refundId = adjustment.refund_started_at
+            ? await orderService.findRefund(admin, paidOrderId, refundNote)
+            : null;
+
+        if (!refundId) {
+            await updateAdjustment(adjustment, { refund_started_at: new Date().toISOString() });
+            refundId = await orderService.refundOrder(admin, paidOrderId, { amount: -difference, note: refundNote });
+        }
+        await updateAdjustment(adjustment, { action: 'REFUNDED', refund_id: refundId });
+        return;
+    }
+
+    await invoiceAdjustment(context, difference);
+    await updateAdjustment(adjustment, { action: 'INVOICED' });
+}
+
+// Down to one parcel before payment: nothing is left to charge for
+async function dropFee({ admin, splitRecord, adjustment }, note) {
+    const paymentOrderId = adjustment.payment_order_id || splitRecord.payment_order_id;
+
+    // Unlink first, so the payment order's cancel webhook no longer matches the request
+    if (splitRecord.payment_order_id) {
+        await updateAdjustment(adjustment, { payment_order_id: paymentOrderId });
+        await checkpoint(splitRecord, { payment_order_id: null }, 'PAYMENT_ORDER_UNLINKED');
+    }
+
+    if (paymentOrderId) {
+        const paymentOrder = await orderService.getOrderState(admin, paymentOrderId);
+        if (paymentOrder && !paymentOrder.cancelledAt) {
+            await orderService.cancelOrder(admin, paymentOrderId, { staffNote: note });
+        }
+    }
+
+    const { errors } = await holdService.releaseHolds(admin, splitRecord.id);
+    if (errors.length > 0) {
+        throw new Error(`Order Edit Error: Holds could not be released: ${errors.join('; ')}`);
+    }
+
+    await auditService.transition(splitRecord.id, 'COMPLETED', {
+        actor: ACTOR,
+        fields: { error_log: null },
+        message: `${note}; split fee dropped and holds released`
+    });
+    splitRecord.status = 'COMPLETED';
+}
+
+// Fee went up after it was paid: invoice the difference on its own payment order.
+// The paid webhook recognises it by `split_adjustment_id` and stamps the adjustment.
+async function invoiceAdjustment(context, amount) {
+    const { admin, shop, splitRecord, adjustment, orderName, customer, locale } = context;
+    const currencyCode = splitRecord.currency_code;
+    const paymentDueAt = getPaymentDeadline({ created_at: adjustment.created_at });
+
+    if (!adjustment.draft_order_id) {
+        if (!customer) throw new Error('Order Edit Error: The order has no customer to invoice.');
+
+        const draftOrderId = await createPaymentDraft(admin, {
+            customerId: customer.admin_graphql_api_id,
+            note: `Additional shipping adjustment for ${orderName} (now ${adjustment.new_parcels} parcels)`,
+            title: `${orderName} ship${adjustment.new_parcels} ${splitRecord.shipping_level}檔 +`,
+            amount,
+            currencyCode,
+            primaryOrderId: splitRecord.primary_order_id,
+            dueAt: paymentDueAt,
+            customAttributes: [{ key: "split_adjustment_id", value: adjustment.id }]
+        });
+        await updateAdjustment(adjustment, { draft_order_id: draftOrderId });
+    }
+
+    if (!adjustment.payment_order_id) {
+        const { order, invoiceUrl } = await completePaymentDraft(admin, shop, adjustment.draft_order_id);
+        await updateAdjustment(adjustment, {
+            payment_order_id: order.legacyResourceId,
+            invoice_url: order.statusPageUrl || invoiceUrl || null
+        });
+    }
+
+    const timeZone = await invoiceService.getShopTimeZone(admin);
+    const email = await emailTemplateService.render(shop, TEMPLATE_KINDS.INVOICE, locale, (emailLocale) => getEmailValues(emailLocale, {
+        orderName,
+        amount,
+        currencyCode,
+        parcels: adjustment.new_parcels,
+        deadline: paymentDueAt,
+        timeZone
+    }));
+
+    const userErrors = await invoiceService.send(admin, adjustment.payment_order_id, email);
+    if (userErrors.length > 0) {
+        throw userErrorsError('Order Edit Error: Invoice Send Failed.', userErrors);
+    }
+}
+
+// EDIT 3: the request reflects the edited order. The amount is the fee in total,
+// including an extra invoice that may still be unpaid.
+async function applyAdjustment({ shop, splitRecord, adjustment }) {
+    const { error } = await supabase
+        .from('additional_shipping_requests')
+        .update({
+            calculated_parcels: adjustment.new_parcels,
+            additional_shipping_amount: adjustment.new_amount,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', splitRecord.id);
+
+    if (error) throw new Error(`DB Adjustment Error: ${error.message}`);
+
+    await updateAdjustment(adjustment, { status: 'APPLIED', error_log: null });
+
+    await auditService.record({
+        shop,
+        requestId: splitRecord.id,
+        type: 'ORDER_EDITED',
+        actor: actors.webhook('orders/edited'),
+        message: `Order edited: ${adjustment.previous_parcels} → ${adjustment.new_parcels} parcels (${adjustment.action})`,
+        payload: {
+            order_edit_id: adjustment.order_edit_id,
+            previous_amount: Number(adjustment.previous_amount),
+            new_amount: Number(adjustment.new_amount),
+            currency_code: adjustment.currency_code,
+            action: adjustment.action,
+            payment_order_id: adjustment.payment_order_id,
+            refund_id: adjustment.refund_id
+        }
+    });
+}
+
+// ---- Helper Functions ----
+
+// Persist progress on the request row and keep the in-memory copy in sync for later phases.
+// `eventType` also records the checkpoint in the audit trail.
+async function checkpoint(splitRecord, fields, eventType) {
+    const { error } = await supabase
+        .from('additional_shipping_requests')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', splitRecord.id);
+
+    if (error) {
+        throw new Error(`DB Checkpoint Error: ${error.message}`);
+    }
+
+    Object.assign(splitRecord, fields);
+
+    await auditService.record({
+        shop: splitRecord.shop_domain,
+        requestId: splitRecord.id,
+        type: eventType,
+        actor: ACTOR,
+        payload: fields
+    });
+}
+
+async function countHoldRecords(requestId) {
+    const { count, error } = await supabase
+        .from('additional_shipping_request_fulfillment_holds')
+        .select('fulfillment_hold_id', { count: 'exact', head: true })
+        .eq('additional_shipping_request_id', requestId);
+
+    if (error) throw new Error(`DB Hold Records Error: ${error.message}`);
+    return count || 0;
+}
+
+// Split each OPEN / ON_HOLD fulfillment order along its own parcel plan.
+// Returns every fulfillment order of the request afterwards, and how many were split now.
+async function splitActiveFulfillmentOrders({ admin, orderGid, orderName, lineItems, planOptions }) {
+    const activeFulfillmentOrders = await fulfillmentOrderService.getActiveFulfillmentOrders(admin, orderGid);
+
+    if (activeFulfillmentOrders.length === 0) {
+        // Fulfillment orders can lag behind order creation; the worker will retry
+        throw new Error(`Phase 1 Error: ${orderName} No OPEN fulfillment order found in Shopify.`);
+    }
+
+    const fulfillmentOrders = [];
+    let splitCount = 0;
+
+    for (const fulfillmentOrder of activeFulfillmentOrders) {
+        const plan = calculateFulfillmentOrderSplits(lineItems, fulfillmentOrder.lineItems.nodes, planOptions);
+
+        // Already one parcel: never needed a split, or a previous attempt split it
+        if (plan.fulfillmentCount <= 1) {
+            fulfillmentOrders.push(fulfillmentOrder);
+            continue;
+        }
+
+        const splitIds = await splitFulfillmentOrder(admin, fulfillmentOrder, plan);
+        splitCount++;
+
+        // Split fulfillment orders keep the location of the one they came from
+        splitIds.forEach(id => fulfillmentOrders.push({
+            id,
+            assignedLocation: fulfillmentOrder.assignedLocation,
+            fulfillmentHolds: id === fulfillmentOrder.id ? fulfillmentOrder.fulfillmentHolds : []
+        }));
+    }
+
+    if (splitCount === 0) {
+        console.log(`↩️ ${orderName} fulfillment orders already fit their parcels, skipping split.`);
+    }
+
+    return { fulfillmentOrders, splitCount };
+}
+
+// The fee follows the whole-order plan, while each location's fulfillment order is planned
+// on its own, so stock from several locations can ship in more parcels than were charged.
+async function recordSplit({ splitRecord, adjustment }, fulfillmentOrders) {
+    const plannedParcels = adjustment?.new_parcels ?? splitRecord.calculated_parcels;
+    const shippedParcels = fulfillmentOrders.length;
+
+    const { error } = await supabase
+        .from('additional_shipping_requests')
+        .update({ shipped_parcels: shippedParcels, updated_at: new Date().toISOString() })
+        .eq('id', splitRecord.id);
+
+    if (error) throw new Error(`DB Split Error: ${error.message}`);
+    splitRecord.shipped_parcels = shippedParcels;
+
+    await auditService.record({
+        shop: splitRecord.shop_domain,
+        requestId: splitRecord.id,
+        type: 'FULFILLMENT_ORDER_SPLIT',
+        actor: ACTOR,
+        message: shippedParcels === plannedParcels
+            ? `Split into ${shippedParcels} fulfillment orders`
+            : `Split into ${shippedParcels} fulfillment orders across locations; the split fee covers ${plannedParcels} parcels`,
+        payload: {
+            fulfillment_order_ids: fulfillmentOrders.map(fo => fo.id),
+            location_ids: [...new Set(fulfillmentOrders.map(fo => fo.assignedLocation?.location?.id).filter(Boolean))],
+            planned_parcels: plannedParcels,
+            shipped_parcels: shippedParcels
+        }
+    });
+}
+
+// Split one fulfillment order along the parcel plan. Returns every resulting fulfillment order id.
+async function splitFulfillmentOrder(admin, primaryFulfillmentOrder, parcelPlan) {
+    // Build the Split Payload
+    const splitInputs = [];
+    // Start loop at 1 (keep parcel 0 in original)
+    for (let i = 1; i < parcelPlan.parcels.length; i++) {
+        const parcelConfig = parcelPlan.parcels[i];
+        const foItems = [];
+
+        parcelConfig.items.forEach(item => {
+            const match = primaryFulfillmentOrder.lineItems.nodes.find(
+                node => node.lineItem.id === item.lineId
+            );
+            if (match) {
+                foItems.push({ id: match.id, quantity: item.quantity });
+            }
+        });
+
+        if (foItems.length > 0) {
+            splitInputs.push({
+                fulfillmentOrderId: primaryFulfillmentOrder.id,
+                fulfillmentOrderLineItems: foItems
+            });
+        }
+    }
+
+    const splitMutation = `#graphql
+        mutation splitFulfillment($splitInputs: [FulfillmentOrderSplitInput!]!) {
+            fulfillmentOrderSplit(fulfillmentOrderSplits: $splitInputs) {
+                fulfillmentOrderSplits {
+                    fulfillmentOrder { id }
+                    remainingFulfillmentOrder { id }
+                }
+                userErrors { field message }
+            }
+        }
+    `;
+
+    const splitResponse = await admin.graphql(splitMutation, {
+        variables: { splitInputs: splitInputs }
+    });
+
+    const splitJson = await splitResponse.json();
+    const splitData = splitJson.data?.fulfillmentOrderSplit;
+
+    if (splitData?.userErrors?.length > 0) {
+        throw userErrorsError('Phase 1 Error: Split Failed.', splitData.userErrors);
+    }
+
+    // 1. The original ID (which now contains remaining items)
+    // 2. The new IDs created by the split
+    const allFulfillmentOrderIds = [
+        primaryFulfillmentOrder.id,
+        ...splitData.fulfillmentOrderSplits.map(s => s.fulfillmentOrder.id),
+        ...splitData.fulfillmentOrderSplits.map(s => s.remainingFulfillmentOrder.id)
+    ];
+    return [...new Set(allFulfillmentOrderIds)];
+}
+
+// A pending-payment draft order for a split fee, billed in the buyer's currency. Returns its id.
+async function createPaymentDraft(admin, { customerId, note, title, amount, currencyCode, primaryOrderId, dueAt, customAttributes = [] }) {
+    const draftCreateMutation = `#graphql
+        mutation draftCreate($input: DraftOrderInput!) {
+            draftOrderCreate(input: $input) {
+                draftOrder { id }
+                userErrors { field message }
+            }
+        }
+    `;
+
+    const draftInput = {
+        customerId,
+        note,
+        lineItems: [{
+            title,
+            quantity: 1,
+            ...toUnitPrice(amount, currencyCode)
+        }],
+        customAttributes: [{
+            key: "is_additional_shipping_payment_order",
+            value: "true"
+        }, {
+            key: "primary_order_id",
+            value: primaryOrderId.toString()
+        }, ...customAttributes],
+        tags: [`additional-shipping-payment-order`],
+        // Bill in the buyer's currency; requests from before fees had a currency use the shop's
+        ...(currencyCode && { presentmentCurrencyCode: currencyCode }),
+        paymentTerms: {
+            paymentSchedules: [
+                {
+                    dueAt: dueAt.toISOString() // UTC 24 hours from now
+                }
+            ],
+            paymentTermsTemplateId: "gid://shopify/PaymentTermsTemplate/7"
+        }
+    };
+
+    const draftRes = await admin.graphql(draftCreateMutation, {
+        variables: { input: draftInput }
+    });
+    const draftJson = await draftRes.json();
+
+    if (draftJson.data?.draftOrderCreate?.userErrors?.length > 0) {
+        throw userErrorsError('Phase 2 Error: Draft Create Failed.', draftJson.data.draftOrderCreate.userErrors);
+    }
+
+    return draftJson.data.draftOrderCreate.draftOrder.id;
+}
+
+// Turn a payment draft into a pending-payment order and record it. Returns { order, invoiceUrl }.
+async function completePaymentDraft(admin, shop, draftOrderId) {
+    // A previous attempt may have completed the draft but failed before recording it
+    const draftRes = await admin.graphql(`#graphql
+        query draftOrderState($id: ID!) {
+            draftOrder(id: $id) {
+                invoiceUrl
+                order { id name legacyResourceId statusPageUrl }
+            }
+        }
+    `, { variables: { id: draftOrderId } });
+    const draftJson = await draftRes.json();
+    let order = draftJson.data?.draftOrder?.order;
+
+    if (!order) {
+        // paymentPending: true is crucial so it doesn't mark it as "Paid" automatically
+        const draftCompleteMutation = `#graphql
+            mutation draftComplete($id: ID!) {
+                draftOrderComplete(id: $id, paymentPending: true) {
+                    draftOrder {
+                        order { id name legacyResourceId statusPageUrl }
+                    }
+                    userErrors { field message }
+                }
+            }
+        `;
+
+        const completeRes = await admin.graphql(draftCompleteMutation, {
+            variables: { id: draftOrderId }
+        });
+        const completeJson = await completeRes.json();
+
+        if (completeJson.data?.draftOrderComplete?.userErrors?.length > 0) {
+            throw userErrorsError('Phase 2 Error: Draft Complete Failed.', completeJson.data.draftOrderComplete.userErrors);
+        }
+
+        order = completeJson.data.draftOrderComplete.draftOrder.order;
+    }
+
+    // Create order record for the payment order
+    const { error: payment_order_error } = await supabase
+        .from('core_orders')
+        .upsert({
+            order_id: order.legacyResourceId,
+            order_name: order.name,
+            shop_domain: shop,
+            is_shipping_payment_order: true,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'order_id' });
+
+    if (payment_order_error) {
+        throw new Error(`Phase 2 Error: Payment Order Create Failed: ${JSON.stringify(payment_order_error)}`);
+    }
+
+    return { order, invoiceUrl: draftJson.data?.draftOrder?.invoiceUrl ?? null };
+}
+
+// Presentment units per shop-currency unit, from the order's own totals (null if unknown)
+function getExchangeRate({ total_price_set }) {
+    const shopAmount = Number(total_price_set?.shop_money?.amount);
+    const presentmentAmount = Number(total_price_set?.presentment_money?.amount);
+    return shopAmount > 0 && presentmentAmount > 0 ? presentmentAmount / shopAmount : null;
+}
+
+// Draft order line price; strings are required for decimals
+function toUnitPrice(amount, currencyCode) {
+    return currencyCode
+        ? { originalUnitPriceWithCurrency: { amount: amount.toString(), currencyCode } }
+        : { originalUnitPrice: amount.toString() };
+}
+
+// An Error that keeps the GraphQL userErrors for the audit trail
+function userErrorsError(message, userErrors) {
+    const error = new Error(`${message} ${JSON.stringify(userErrors)}`);
+    error.userErrors = userErrors;
+    return error;
+}
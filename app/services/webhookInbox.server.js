@@ -0,0 +1,254 @@
+// app/services/webhookInbox.server.js
+// Webhook inbox (`webhook_inbox`): every authenticated delivery is stored under Shopify's delivery id
+// before its handler (app/webhooks/handlers.server.js) runs, with the outcome of the run.
+// Redeliveries of a processed webhook are acknowledged without running the handler again,
+// and a stored payload can be replayed through the same handler from the admin.
+import { supabase } from "@/app/supabase.server";
+import { unauthenticated } from "@/app/shopify.server";
+import { WEBHOOK_HANDLERS } from "@/app/webhooks/handlers.server";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A RECEIVED delivery whose process died (deploy, crash) is run again by the next redelivery after this long.
+// Shopify times a delivery out after 5 seconds, so a live handler is long finished by then.
+const STALE_RECEIVED_MS = 10 * 60 * 1000;
+
+// Processed deliveries are kept this long for replays, failed ones until they are replayed
+const RETENTION_DAYS = 30;
+
+const MAX_BULK_REPLAYS = 25;
+
+const LIST_COLUMNS = `
+    id, webhook_id, topic, handler, status, attempts, outcome, last_error,
+    received_at, processed_at, replayed_at, order_name:payload->>name
+`;
+
+export const webhookInbox = {
+    /**
+     * Store a delivery from `authenticate.webhook` and run the `handlerName` handler once.
+     * Returns { ok, duplicate }; the route answers 500 when !ok so Shopify delivers it again.
+     */
+    receive: async (webhook, handlerName) => {
+        const { webhookId, topic, shop, admin, session, payload } = webhook;
+        const handler = WEBHOOK_HANDLERS[handlerName];
+        if (!handler) throw new Error(`No webhook handler registered as ${handlerName}`);
+
+        console.log(`Received ${topic} webhook for ${shop}`);
+
+        const delivery = await claimDelivery({
+            webhook_id: webhookId,
+            shop_domain: shop,
+            topic,
+            handler: handlerName,
+            payload: handler.keepPayload === false ? null : payload
+        });
+
+        if (!delivery) {
+            console.log(`↩️ Duplicate ${topic} delivery ${webhookId} for ${shop}. Skipping.`);
+            return { ok: true, duplicate: true };
+        }
+
+        const { ok } = await runDelivery(delivery, handler, { topic, shop, admin, session, payload, isReplay: false });
+        return { ok, duplicate: false };
+    },
+
+    /**
+     * Run a stored delivery through its handler again, e.g. after fixing a handler bug.
+     * Returns { ok, outcome, error }.
+     */
+    replay: async (shop, id) => {
+        const { data: delivery, error } = await supabase
+            .from("webhook_inbox")
+            .select("id, webhook_id, topic, handler, status, attempts, payload, updated_at")
+            .eq("id", id)
+            .eq("shop_domain", shop)
+            .maybeSingle();
+
+        if (error) throw new Error(`DB Webhook Inbox Error: ${error.message}`);
+        if (!delivery) throw new Error("Webhook delivery not found.");
+
+        const handler = WEBHOOK_HANDLERS[delivery.handler];
+        if (!handler || handler.keepPayload === false || !delivery.payload) {
+            throw new Error(`${delivery.topic} deliveries are not stored and can't be replayed.`);
+        }
+        if (delivery.status === "RECEIVED" && !isStale(delivery)) {
+            throw new Error("This delivery is still being processed.");
+        }
+
+        const claimed = await reclaimDelivery(delivery, { replayed_at: new Date().toISOString() });
+        if (!claimed) throw new Error("This delivery is already being replayed.");
+
+        // The app may have been uninstalled since; handlers that need the Admin API skip then
+        const { admin, session } = await unauthenticated.admin(shop)
+            .catch(() => ({ admin: null, session: null }));
+
+        return runDelivery(claimed, handler, {
+            topic: delivery.topic,
+            shop,
+            admin,
+            session,
+            payload: delivery.payload,
+            isReplay: true
+        });
+    },
+
+    /**
+     * Replay the shop's failed deliveries, oldest first, optionally for one handler.
+     * Returns { replayed, failed, remaining }.
+     */
+    replayFailed: async (shop, { handler = null } = {}) => {
+        let query = supabase
+            .from("webhook_inbox")
+            .select("id")
+            .eq("shop_domain", shop)
+            .eq("status", "FAILED")
+            .not("payload", "is", null)
+            .order("received_at", { ascending: true })
+            .limit(MAX_BULK_REPLAYS + 1);
+        if (handler) query = query.eq("handler", handler);
+
+        const { data, error } = await query;
+        if (error) throw new Error(`DB Webhook Inbox Error: ${error.message}`);
+
+        // One after another to stay well under Shopify's API rate limits
+        const result = { replayed: 0, failed: 0, remaining: Math.max(data.length - MAX_BULK_REPLAYS, 0) };
+        for (const { id } of data.slice(0, MAX_BULK_REPLAYS)) {
+            try {
+                const { ok } = await webhookInbox.replay(shop, id);
+                result[ok ? "replayed" : "failed"]++;
+            } catch (error) {
+                console.error(`Webhook replay ${id} failed:`, error.message);
+                result.failed++;
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * The shop's deliveries, newest first. Returns { deliveries, totalCount }.
+     * Rows carry `replayable` and the order `name` of order payloads, not the payload itself.
+     */
+    list: async (shop, { status = null, handler = null, page = 1, pageSize = 50 } = {}) => {
+        let query = supabase
+            .from("webhook_inbox")
+            .select(LIST_COLUMNS, { count: "exact" })
+            .eq("shop_domain", shop)
+            .order("received_at", { ascending: false })
+            .range((page - 1) * pageSize, page * pageSize - 1);
+        if (status) query = query.eq("status", status);
+        if (handler) query = query.eq("handler", handler);
+
+        const { data, count, error } = await query;
+        if (error) {
+            console.error("DB Webhook Inbox Error:", error);
+            return { deliveries: [], totalCount: 0 };
+        }
+
+        return {
+            deliveries: data.map(delivery => ({
+                ...delivery,
+                replayable: WEBHOOK_HANDLERS[delivery.handler]?.keepPayload !== false
+            })),
+            totalCount: count || 0
+        };
+    },
+
+    /**
+     * Delete processed deliveries past the retention period. Registered as a scheduler task.
+     */
+    prune: async (now = new Date()) => {
+        const { error } = await supabase
+            .from("webhook_inbox")
+            .delete()
+            .eq("status", "PROCESSED")
+            .lt("received_at", new Date(now.getTime() - RETENTION_DAYS * DAY).toISOString());
+
+        if (error) console.error("DB Webhook Inbox Prune Error:", error);
+    }
+};
+
+// ---- Helper Functions ----
+// The stored delivery to run, or null if another request already ran or is running it.
+// Without a delivery id, or if the inbox can't be written, the handler runs unrecorded.
+async function claimDelivery(row) {
+    if (!row.webhook_id) return { id: null };
+
+    const { data: inserted, error } = await supabase
+        .from("webhook_inbox")
+        .upsert(row, { onConflict: "webhook_id", ignoreDuplicates: true })
+        .select("id, webhook_id, handler, attempts");
+
+    if (error) {
+        console.error("DB Webhook Inbox Error:", error);
+        return { id: null };
+    }
+    if (inserted.length > 0) return inserted[0];
+
+    const { data: existing } = await supabase
+        .from("webhook_inbox")
+        .select("id, webhook_id, handler, status, attempts, updated_at")
+        .eq("webhook_id", row.webhook_id)
+        .maybeSingle();
+
+    if (!existing || existing.status === "PROCESSED") return null;
+    if (existing.status === "RECEIVED" && !isStale(existing)) return null;
+
+    // Shopify retrying a delivery that failed (or whose process died)
+    return reclaimDelivery(existing);
+}
+
+// Only claimed if nobody else changed the row since we read it, like jobQueue.claimDue
+async function reclaimDelivery(delivery, fields = {}) {
+    const { data } = await supabase
+        .from("webhook_inbox")
+        .update({
+            ...fields,
+            status: "RECEIVED",
+            attempts: delivery.attempts + 1,
+            updated_at: new Date().toISOString()
+        })
+        .eq("id", delivery.id)
+        .eq("status", delivery.status)
+        .eq("attempts", delivery.attempts)
+        .select("id, webhook_id, handler, attempts")
+        .maybeSingle();
+
+    return data;
+}
+
+async function runDelivery(delivery, handler, context) {
+    let result;
+    try {
+        const outcome = handler.requiresAdmin && !context.admin
+            ? "App not installed"
+            : await handler.run(context);
+
+        result = { ok: true, outcome: outcome || null, error: null };
+    } catch (error) {
+        console.error(`❌ Webhook ${context.topic} (${delivery.webhook_id ?? "no delivery id"}) failed for ${context.shop}:`, error);
+        result = { ok: false, outcome: null, error: error.message };
+    }
+
+    if (delivery.id) {
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from("webhook_inbox")
+            .update({
+                status: result.ok ? "PROCESSED" : "FAILED",
+                outcome: result.outcome,
+                last_error: result.error,
+                ...(result.ok && { processed_at: now }),
+                updated_at: now
+            })
+            .eq("id", delivery.id);
+
+        if (error) console.error("DB Webhook Inbox Error:", error);
+    }
+
+    return result;
+}
+
+function isStale(delivery) {
+    return Date.now() - new Date(delivery.updated_at).getTime() > STALE_RECEIVED_MS;
+}
@@ -0,0 +1,93 @@
+// app/webhooks/handlers.server.js
+// Every webhook handler, by the name its route passes to webhookInbox.receive().
+// Stored deliveries are replayed through the same registry, so a fixed handler can reprocess them.
+import db from "@/app/db.server";
+import { complianceService } from "@/app/services/complianceService.server";
+import { lifecycleService } from "@/app/services/lifecycleService.server";
+import { splitFulfillmentWebhooks } from "@/app/webhooks/splitFulfillment.server";
+
+export const WEBHOOK_NAMES = {
+    APP_UNINSTALLED: "app.uninstalled",
+    APP_SCOPES_UPDATE: "app.scopes-update",
+    CUSTOMERS_DATA_REQUEST: "customers.data-request",
+    CUSTOMERS_REDACT: "customers.redact",
+    SHOP_REDACT: "shop.redact",
+    PRIMARY_ORDER_CREATED: "split-fulfillment.primary-order.created",
+    PRIMARY_ORDER_CANCELLED: "split-fulfillment.primary-order.cancelled",
+    PRIMARY_ORDER_EDITED: "split-fulfillment.primary-order.edited",
+    PAYMENT_ORDER_PAID: "split-fulfillment.payment-order.paid",
+    PAYMENT_ORDER_CANCELLED: "split-fulfillment.payment-order.cancelled",
+    ORCHESTRATE_ORDER_CREATED: "orchestrate.order-created",
+};
+
+// `run` gets { topic, shop, admin, session, payload, isReplay }, returns an optional outcome
+// and throws to have the delivery retried. `requiresAdmin` handlers are skipped once the app
+// is uninstalled. `keepPayload: false` handlers are stored without their payload and can't be replayed.
+export const WEBHOOK_HANDLERS = {
+    [WEBHOOK_NAMES.APP_UNINSTALLED]: {
+        run: async ({ topic, shop, session }) => {
+            // Webhook requests can trigger multiple times and after an app has already been uninstalled.
+            // If this webhook already ran, the session may have been deleted previously.
+            if (session) {
+                await db.session.deleteMany({ where: { shop } });
+            }
+
+            await lifecycleService.onUninstall(shop, topic);
+        },
+    },
+    [WEBHOOK_NAMES.APP_SCOPES_UPDATE]: {
+        run: async ({ session, payload }) => {
+            if (!session) return "No session";
+
+            await db.session.update({
+                where: { id: session.id },
+                data: { scope: payload.current.toString() },
+            });
+        },
+    },
+    [WEBHOOK_NAMES.CUSTOMERS_DATA_REQUEST]: {
+        keepPayload: false,
+        run: async ({ shop, payload }) => {
+            // The export is stored in customer_data_exports for the merchant to hand over
+            await complianceService.exportCustomerData(shop, {
+                customerId: String(payload.customer.id),
+                ordersRequested: payload.orders_requested || [],
+                dataRequestId: payload.data_request?.id ? String(payload.data_request.id) : null,
+            });
+        },
+    },
+    [WEBHOOK_NAMES.CUSTOMERS_REDACT]: {
+        keepPayload: false,
+        run: ({ shop, payload }) => complianceService.redactCustomer(shop, {
+            customerId: String(payload.customer.id),
+        }),
+    },
+    [WEBHOOK_NAMES.SHOP_REDACT]: {
+        keepPayload: false,
+        run: ({ shop }) => complianceService.purgeShop(shop),
+    },
+    [WEBHOOK_NAMES.PRIMARY_ORDER_CREATED]: {
+        requiresAdmin: true,
+        run: splitFulfillmentWebhooks.primaryOrderCreated,
+    },
+    [WEBHOOK_NAMES.PRIMARY_ORDER_CANCELLED]: {
+        requiresAdmin: true,
+        run: splitFulfillmentWebhooks.primaryOrderCancelled,
+    },
+    [WEBHOOK_NAMES.PRIMARY_ORDER_EDITED]: {
+        requiresAdmin: true,
+        run: splitFulfillmentWebhooks.primaryOrderEdited,
+    },
+    [WEBHOOK_NAMES.PAYMENT_ORDER_PAID]: {
+        requiresAdmin: true,
+        run: splitFulfillmentWebhooks.paymentOrderPaid,
+    },
+    [WEBHOOK_NAMES.PAYMENT_ORDER_CANCELLED]: {
+        requiresAdmin: true,
+        run: splitFulfillmentWebhooks.paymentOrderCancelled,
+    },
+    // Not subscribed yet, kept so the route keeps answering
+    [WEBHOOK_NAMES.ORCHESTRATE_ORDER_CREATED]: {
+        run: async () => "No handler logic",
+    },
+};
@@ -0,0 +1,240 @@
+// app/webhooks/splitFulfillment.server.js
+// Handlers for the split-fulfillment order webhooks, run by app/services/webhookInbox.server.js.
+// Each returns a short outcome for the inbox and throws to have the delivery retried.
+import { supabase } from "@/app/supabase.server";
+import { getAttributeValueByName } from "@/app/helpers/fulfillment-split";
+import { actors, auditService } from "@/app/services/auditService.server";
+import { feeRefundService } from "@/app/services/feeRefundService.server";
+import { holdService } from "@/app/services/holdService.server";
+import { jobQueue } from "@/app/services/jobQueue.server";
+import { JOB_TYPES, orderCreatedJobKey, orderEditedJobKey } from "@/app/jobs/worker.server";
+
+export const splitFulfillmentWebhooks = {
+    /**
+     * orders/create. The split workflow runs in the background worker (app/services/splitWorkflow.server.js),
+     * so Shopify gets its 200 as soon as the job is persisted.
+     */
+    primaryOrderCreated: async ({ shop, payload, isReplay }) => {
+        const dedupeKey = orderCreatedJobKey(payload.id);
+
+        // A replay has to run the workflow again, even if the order's job already finished
+        if (isReplay && await jobQueue.retry(dedupeKey)) {
+            return `Re-queued split workflow for ${payload.name}`;
+        }
+
+        // Nothing persisted yet means the delivery fails and Shopify sends it again
+        await jobQueue.enqueue(JOB_TYPES.ORDER_CREATED, { shop, payload }, { dedupeKey });
+        return `Queued split workflow for ${payload.name}`;
+    },
+
+    /**
+     * orders/edited. Orders with a split request have their split and fee reconciled
+     * by the background worker (splitWorkflow.processOrderEdited).
+     */
+    primaryOrderEdited: async ({ shop, payload, isReplay }) => {
+        const { id: orderEditId, order_id: orderId } = payload.order_edit;
+
+        // Every edit in the shop is delivered; most orders have nothing to reconcile
+        const { data: splitReq, error } = await supabase
+            .from("additional_shipping_requests")
+            .select("id")
+            .eq("primary_order_id", String(orderId))
+            .eq("shop_domain", shop)
+            .maybeSingle();
+
+        if (error) throw new Error(`DB Request Error: ${error.message}`);
+        if (!splitReq) return "No split request for this order";
+
+        const dedupeKey = orderEditedJobKey(orderEditId);
+        if (isReplay && await jobQueue.retry(dedupeKey)) {
+            return `Re-queued order edit ${orderEditId} for request ${splitReq.id}`;
+        }
+
+        await jobQueue.enqueue(JOB_TYPES.ORDER_EDITED, { shop, payload }, { dedupeKey });
+        return `Queued order edit ${orderEditId} for request ${splitReq.id}`;
+    },
+
+    /**
+     * orders/cancelled on a primary order: its split request is cancelled with it,
+     * and its payment order cancelled or refunded (app/services/feeRefundService.server.js).
+     */
+    primaryOrderCancelled: async ({ topic, shop, admin, payload }) => {
+        const { id: orderId, note_attributes, updated_at } = payload;
+
+        // Is a split actually required/requested?
+        const splitChoice = getAttributeValueByName(note_attributes, 'split_choice'); // 'yes' or 'no'
+        const fulfillmentCount = parseInt(getAttributeValueByName(note_attributes, 'split_fulfillment_count') || 0);
+        if (!splitChoice || fulfillmentCount <= 1) return "Split not requested or single parcel";
+
+        const { data: splitReq } = await supabase
+            .from("additional_shipping_requests")
+            .select("id, status")
+            .eq("primary_order_id", orderId)
+            .maybeSingle();
+
+        if (!splitReq) return "No split request for this order";
+
+        const actor = actors.webhook(topic);
+
+        // A redelivery only retries the cascade below
+        if (splitReq.status !== 'CANCELLED') {
+            await auditService.transition(splitReq.id, 'CANCELLED', {
+                actor,
+                fields: { primary_order_cancelled_at: updated_at },
+                message: 'Primary order cancelled in Shopify',
+                payload: { order_id: orderId, cancelled_at: updated_at }
+            });
+        }
+
+        // Throws when Shopify rejects the cancel or refund, so the delivery is retried
+        const outcome = await feeRefundService.cascadePrimaryCancellation(admin, shop, splitReq.id, { actor });
+        return `Request ${splitReq.id} cancelled: ${outcome}`;
+    },
+
+    /**
+     * orders/updated on a payment order: once it is paid or authorized, release the
+     * primary order's holds and complete the request.
+     */
+    paymentOrderPaid: async ({ topic, shop, admin, payload }) => {
+        const {
+            id: paymentOrderId,
+            name: paymentOrderName,
+            note_attributes,
+            financial_status,
+        } = payload;
+
+        // 1. Verify if this is one of our Surcharge Payment Orders
+        const isPaymentOrder = getAttributeValueByName(note_attributes, 'is_additional_shipping_payment_order') === 'true';
+        const primaryOrderId = getAttributeValueByName(note_attributes, 'primary_order_id');
+        if (!isPaymentOrder || !primaryOrderId) return "Not a payment order";
+
+        // 2. Only release holds if payment is secured (Paid or Authorized)
+        const isSecured = financial_status === 'paid' || financial_status === 'authorized';
+        if (!isSecured) return `Payment order is ${financial_status}`;
+
+        console.log(`💳 Payment Webhook: ${paymentOrderName} status is ${financial_status}`);
+
+        // An order edit's extra fee: the parcels were never held for it, so only stamp the payment
+        const adjustmentId = getAttributeValueByName(note_attributes, 'split_adjustment_id');
+        if (adjustmentId) {
+            const { data: adjustment } = await supabase
+                .from('additional_shipping_request_adjustments')
+                .update({ paid_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+                .eq('id', adjustmentId)
+                .is('paid_at', null)
+                .select('id, additional_shipping_request_id')
+                .maybeSingle();
+
+            if (!adjustment) return "Adjustment already paid";
+
+            await auditService.record({
+                shop,
+                requestId: adjustment.additional_shipping_request_id,
+                type: 'ADJUSTMENT_PAID',
+                actor: actors.webhook(topic),
+                message: `Order edit fee paid on ${paymentOrderName}`,
+                payload: { adjustment_id: adjustment.id, payment_order_id: paymentOrderId, financial_status }
+            });
+            return "Order edit fee paid";
+        }
+
+        // 3. Fetch Request and Holds
+        const { data: requestRecord } = await supabase
+            .from('additional_shipping_requests')
+            .select(`
+            id,
+            status,
+            paid_at,
+            fulfillment_holds:additional_shipping_request_fulfillment_holds (
+                fulfillment_hold_id,
+                fulfillment_order_id,
+                released
+            )
+            `)
+            .eq('primary_order_id', primaryOrderId)
+            .maybeSingle();
+
+        if (!requestRecord) return "No split request for this order";
+        if (requestRecord.status === 'COMPLETED') return "Request already completed";
+
+        // Stamp the payment once, whatever happens to the holds below (used by finance exports)
+        if (!requestRecord.paid_at) {
+            await supabase
+                .from('additional_shipping_requests')
+                .update({ paid_at: new Date().toISOString() })
+                .eq('id', requestRecord.id);
+        }
+
+        const actor = actors.webhook(topic);
+        const payloadSummary = { payment_order_id: paymentOrderId, payment_order_name: paymentOrderName, financial_status };
+
+        const activeHolds = requestRecord.fulfillment_holds.filter(hold => !hold.released);
+        if (!activeHolds.length) {
+            // Self-correction: If no active holds exist but status isn't COMPLETED, close it.
+            await auditService.transition(requestRecord.id, 'COMPLETED', {
+                actor,
+                message: 'Payment received, no active holds left to release',
+                payload: payloadSummary
+            });
+            return "No active holds left, request completed";
+        }
+
+        // 4. Release the holds
+        try {
+            const { total, errors: criticalErrors } = await holdService.releaseAfterPayment(admin, shop, requestRecord.id, {
+                actor,
+                payload: payloadSummary
+            });
+
+            if (criticalErrors.length > 0) {
+                console.error("🚨 Critical: Surcharge paid but holds remain locked.");
+                return `${criticalErrors.length} of ${total} holds could not be released`;
+            }
+        } catch (error) {
+            // System-level failure (e.g. Database down), Shopify delivers the webhook again
+            await auditService.transition(requestRecord.id, 'FAILED', {
+                actor,
+                fields: { error_log: `System Error: ${error.message}` },
+                message: `System Error: ${error.message}`,
+                payload: payloadSummary
+            }).catch((e) => console.error("Failed to record release failure:", e));
+
+            throw error;
+        }
+
+        return "All holds released, request completed";
+    },
+
+    /**
+     * orders/cancelled on a payment order: the unpaid split request is cancelled.
+     */
+    paymentOrderCancelled: async ({ topic, payload }) => {
+        const { id: orderId, note_attributes, updated_at } = payload;
+
+        const isPaymentOrder = getAttributeValueByName(note_attributes, 'is_additional_shipping_payment_order') === 'true';
+        if (!isPaymentOrder) return "Not a payment order";
+
+        const { data: paymentReq } = await supabase
+            .from("additional_shipping_requests")
+            .select("id, status, fee_waived")
+            .eq("payment_order_id", orderId)
+            .maybeSingle();
+
+        if (!paymentReq) return "No split request for this payment order";
+
+        // Cancelled along with the primary order (or by the expiry sweep)
+        if (paymentReq.status === 'CANCELLED') return "Request already cancelled";
+
+        // Staff waived the fee and cancelled this order themselves
+        if (paymentReq.fee_waived) return "Fee waived, payment order cancelled by staff";
+
+        await auditService.transition(paymentReq.id, 'CANCELLED', {
+            actor: actors.webhook(topic),
+            fields: { payment_order_cancelled_at: updated_at },
+            message: 'Payment order cancelled in Shopify',
+            payload: { order_id: orderId, cancelled_at: updated_at }
+        });
+
+        return `Request ${paymentReq.id} cancelled`;
+    }
+};
@@ -1,7 +1,7 @@
 import '@shopify/ui-extensions/preact';
 import { render } from 'preact';
-import { useState, useEffect } from 'preact/hooks'; // Import useState and useEffect
-import { getFulfillmentCap, getParcelPriceByShippingLineTitle, getShippingLineLevel, recommendFulfillmentCount } from './utils';
+import { useState, useEffect, useRef } from 'preact/hooks'; // Import useState, useEffect and useRef
+import { FEE_LINE_ATTRIBUTE, findFeeLine, getPlanOptions, getShippingConfig, recommendFulfillmentCount, resolveShippingRate, resolveShippingZone, toPresentmentFee } from './utils';
 import { useBuyerJourneyIntercept, useDeliveryGroup } from '@shopify/ui-extensions/checkout/preact';
 
 export default function extension() {
@@ -14,6 +14,8 @@ function App() {
   const [calculation, setCalculation] = useState({
     fulfillmentCount: 0,
     parcelPrice: 0,
+    currencyCode: null,
+    parcels: [],
     isValid: false
   });
 
@@ -24,6 +26,7 @@ function App() {
   const address = shopify.shippingAddress.value;
   const deliveryGroups = shopify.deliveryGroups.value;
   const attributes = shopify.attributes.value;
+  const appMetafields = shopify.appMetafields.value;
   // Access Shopify's global i18n object
   const i18n = shopify.i18n;
   const translate = (key, replacements) => i18n.translate(key, replacements);
@@ -32,57 +35,80 @@ function App() {
   // Extract specific dependencies for the Effect
   const countryCode = address?.countryCode;
 
+  // "Charge at checkout" mode: the fee is a cart line priced by the split-fee-cart-transform function
+  const { feeCollection } = getShippingConfig(appMetafields);
+  const chargeAtCheckout = feeCollection.mode === 'CHECKOUT' && Boolean(feeCollection.variantId);
+  const feeLine = findFeeLine(lines, feeCollection);
+  const feeLineChange = useRef(null);
+
   // Safely get the selected delivery option title
   const firstDeliveryGroup = useDeliveryGroup(deliveryGroups[0]);
   const selectedDeliveryOption = firstDeliveryGroup?.selectedDeliveryOption;
   const deliveryTitle = selectedDeliveryOption?.title;
+  const deliveryCode = selectedDeliveryOption?.code;
 
   // --- 3. The Recalculation Effect ---
-  // This runs whenever countryCode, lines, or deliveryTitle changes.
+  // This runs whenever countryCode, lines, the delivery option or the shop's rate table changes.
   useEffect(() => {
     // A. Early Exit if data is missing
     if (!countryCode || !lines || !deliveryTitle) {
-      setCalculation({ fulfillmentCount: 0, parcelPrice: 0, isValid: false });
+      setCalculation({ fulfillmentCount: 0, parcelPrice: 0, currencyCode: null, parcels: [], isValid: false });
       return;
     }
 
-    // B. Check Supported Countries
-    const isSupportedCountry = ['CN', 'HK', 'TW'].includes(countryCode);
-    if (!isSupportedCountry) {
-      setCalculation({ fulfillmentCount: 0, parcelPrice: 0, isValid: false });
+    // B. Check Supported Countries (zones configured by the merchant)
+    const { rates, zones, shopCurrency, feeCollection } = getShippingConfig(appMetafields);
+    const shippingZone = resolveShippingZone(zones, countryCode);
+    if (!shippingZone) {
+      setCalculation({ fulfillmentCount: 0, parcelPrice: 0, currencyCode: null, parcels: [], isValid: false });
       return;
     }
 
-    // C. Get Constants based on inputs
-    const shippingLevel = getShippingLineLevel(deliveryTitle, countryCode);
-    const price = getParcelPriceByShippingLineTitle(deliveryTitle, countryCode);
-    const cap = getFulfillmentCap(countryCode);
+    // C. Run the Algorithm (the plan also tells us the buyer's currency); the fee line is not shipped
+    const planOptions = getPlanOptions(shippingZone);
+    const productLines = lines.filter((line) => line !== findFeeLine(lines, feeCollection));
+    const result = recommendFulfillmentCount(productLines, planOptions);
+    const presentmentCurrency = result.currencyCode ?? shopify.localization.currency.value?.isoCode ?? null;
+
+    // D. Get Constants based on inputs
+    const shippingRate = resolveShippingRate(rates, {
+      title: deliveryTitle,
+      handle: deliveryCode,
+      countryCode,
+      currencyCode: presentmentCurrency
+    });
 
-    if (!shippingLevel || !price) {
-      setCalculation({ fulfillmentCount: 0, parcelPrice: 0, isValid: false });
+    if (!shippingRate?.shippingLevel || !shippingRate?.parcelFee) {
+      setCalculation({ fulfillmentCount: 0, parcelPrice: 0, currencyCode: null, parcels: [], isValid: false });
       return;
     }
 
-    // D. Run the Algorithm
-    const result = recommendFulfillmentCount(lines, { cap });
+    // Checkout has no exchange rate, so a shop-currency fee is quoted in the shop currency;
+    // the invoice converts it with the order's rate (rows per currency avoid the difference)
+    const fee = toPresentmentFee(shippingRate, { presentmentCurrency, shopCurrency });
 
     // E. Update State
+    // The breakdown is the plan the server splits fulfillment orders with, so it is what ships
     setCalculation({
       fulfillmentCount: result.fulfillmentCount,
-      parcelPrice: price,
+      parcelPrice: fee.amount,
+      currencyCode: fee.currencyCode,
+      parcels: toParcelBreakdown(result, productLines, planOptions.cap),
       isValid: true
     });
 
-  }, [countryCode, lines, deliveryTitle]); // <--- DEPENDENCY ARRAY is key
+  }, [countryCode, lines, deliveryTitle, deliveryCode, appMetafields]); // <--- DEPENDENCY ARRAY is key
 
   // --- 4. Read Current User Choice ---
   const splitMetafield = attributes.find((m) => m.key === 'split_choice');
   const currentChoice = splitMetafield?.value;
 
   // Destructure state
-  const { fulfillmentCount, parcelPrice, isValid } = calculation;
+  const { fulfillmentCount, parcelPrice, currencyCode, parcels, isValid } = calculation;
   const totalParcelPrice = (parcelPrice || 0) * (fulfillmentCount - 1);
-  const formattedPrice = totalParcelPrice.toFixed(2);
+  const formattedPrice = currencyCode
+    ? i18n.formatCurrency(totalParcelPrice, { currency: currencyCode })
+    : `$${totalParcelPrice.toFixed(2)}`;
 
   // --- 5. Hiding & Cleanup Logic ---
   const isCountTooLow = fulfillmentCount <= 1;
@@ -100,6 +126,32 @@ function App() {
     }
   }, [shouldHide, currentChoice]);
 
+  // Keep the fee line in the cart exactly while the buyer agrees to a split charged at checkout.
+  // One change at a time, so a re-render during a pending add cannot add a second line.
+  const wantsFeeLine = chargeAtCheckout && !shouldHide && currentChoice === 'yes';
+  useEffect(() => {
+    if (feeLineChange.current) return;
+
+    let change = null;
+    if (wantsFeeLine && !feeLine) {
+      change = {
+        type: 'addCartLine',
+        merchandiseId: feeCollection.variantId,
+        quantity: 1,
+        attributes: [{ key: FEE_LINE_ATTRIBUTE, value: 'true' }]
+      };
+    } else if (!wantsFeeLine && feeLine) {
+      change = { type: 'removeCartLine', id: feeLine.id, quantity: feeLine.quantity };
+    }
+    if (!change) return;
+
+    feeLineChange.current = shopify.applyCartLinesChange(change)
+      .then((result) => {
+        if (result.type === 'error') console.error('Split fee line change failed', result.message);
+      })
+      .finally(() => { feeLineChange.current = null; });
+  }, [wantsFeeLine, feeLine, feeCollection.variantId]);
+
   // --- 6. Intercept Logic ---
   useBuyerJourneyIntercept(({ canBlockProgress }) => {
     // If we are hidden, we should NEVER block.
@@ -142,12 +194,34 @@ function App() {
         </s-text>
       </s-stack>
 
+      <s-details>
+        <s-summary>{translate('parcel_breakdown.summary')}</s-summary>
+        <s-stack gap="small-300" padding-block-start="small-300">
+          {parcels.map((parcel, index) => (
+            <s-stack key={index} gap="none">
+              <s-text type="strong">{translate('parcel_breakdown.parcel', { number: index + 1 })}</s-text>
+              {parcel.items.map((item) => (
+                <s-text key={item.lineId ?? item.title}>
+                  {translate('parcel_breakdown.item', { title: item.title, quantity: item.quantity })}
+                </s-text>
+              ))}
+              <s-text color="subdued">
+                {translate('parcel_breakdown.declared_value', {
+                  value: formatPlanValue(parcel.value, parcel.currencyCode),
+                  cap: formatPlanValue(parcel.cap, parcel.currencyCode)
+                })}
+              </s-text>
+            </s-stack>
+          ))}
+        </s-stack>
+      </s-details>
+
       <s-stack direction="inline" gap="small-300">
         <s-button
           variant={currentChoice === 'yes' ? 'primary' : 'secondary'}
           onClick={() => handleChoice('yes')}
         >
-          {translate('split_proposal.buttons.agree')}
+          {translate(chargeAtCheckout ? 'split_proposal.buttons.agree_at_checkout' : 'split_proposal.buttons.agree')}
         </s-button>
 
         <s-button
@@ -160,7 +234,7 @@ function App() {
 
       {currentChoice === 'yes' && (
         <s-banner tone="info">
-          {translate('split_confirmation.agreed', {
+          {translate(chargeAtCheckout ? 'split_confirmation.agreed_at_checkout' : 'split_confirmation.agreed', {
             amount: formattedPrice
           })}
         </s-banner>
@@ -177,4 +251,28 @@ function App() {
       )}
     </s-stack>
   );
-}
\ No newline at end of file
+}
+
+// Parcels of a plan with the cart line titles they hold, captured together so they stay
+// consistent if the cart changes before the next recalculation
+function toParcelBreakdown(plan, lines, cap) {
+  return plan.parcels.map((parcel) => ({
+    value: parcel.valueCents / 100,
+    cap,
+    currencyCode: plan.currencyCode,
+    items: parcel.items.map(({ lineIndex, lineId, quantity }) => {
+      const merchandise = lines[lineIndex]?.merchandise;
+      return {
+        lineId,
+        quantity,
+        title: [merchandise?.title, merchandise?.subtitle].filter(Boolean).join(' - ')
+      };
+    })
+  }));
+}
+
+function formatPlanValue(amount, currencyCode) {
+  return currencyCode
+    ? shopify.i18n.formatCurrency(amount, { currency: currencyCode })
+    : amount.toFixed(2);
+}
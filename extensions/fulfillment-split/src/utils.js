@@ -1,166 +1,62 @@
 // utils.js
 
-// Missing helpers inferred from context
-const dollarsToCents = (val) => Math.round(val * 100);
-const toCents = (val) => Math.round(parseFloat(val) * 100);
-
+import { planParcels, toPlanLinesFromCart } from '../../../app/helpers/parcel-plan.js';
+import { DEFAULT_SHIPPING_RATES, SHIPPING_CONFIG_KEY, SHIPPING_CONFIG_NAMESPACE } from '../../../app/helpers/shipping-rates.js';
+import { DEFAULT_SHIPPING_ZONES } from '../../../app/helpers/shipping-zones.js';
+import { FEE_LINE_ATTRIBUTE } from '../../../app/helpers/fee-collection.js';
+
+// Shared with the server so checkout quotes with exactly the same numbers.
+export { resolveShippingRate, toPresentmentFee } from '../../../app/helpers/shipping-rates.js';
+export { getPlanOptions, resolveShippingZone } from '../../../app/helpers/shipping-zones.js';
+export { FEE_LINE_ATTRIBUTE } from '../../../app/helpers/fee-collection.js';
+
+/**
+ * Checkout entry point of the shared parcel engine.
+ * Returns the full parcel plan ({ fulfillmentCount, currencyCode, parcels }).
+ */
 export function recommendFulfillmentCount(lines, opts = {}) {
-    // ---- config (all cents; convert dollars to cents safely) ----
-    console.log(`calculateing fulfillment count using cap ${opts.cap ?? 270}`)
-    const capCents = dollarsToCents(opts?.cap ?? 276);
-    const absorbPerHeavyCents = dollarsToCents(
-        opts.absorbPerHeavy == null ? 60 : opts.absorbPerHeavy,
-    );
-    const absorbItemsPerHeavy =
-        opts.absorbItemsPerHeavy == null ? 2 : opts.absorbItemsPerHeavy;
-
-    const unitTypes = [];
-    let currency = null;
-    let totalCents = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-        const li = lines[i];
-        if (!li || !li.cost || !li.cost.totalAmount) continue;
-
-        const q = (li.quantity | 0) > 0 ? li.quantity | 0 : 0;
-        const amt = li.cost.totalAmount.amount;
-        const cur = li.cost.totalAmount.currencyCode || null;
-        if (currency == null) currency = cur;
-
-        const lineCents = toCents(amt);
-        totalCents += lineCents;
-
-        if (q <= 0) continue;
-
-        // Split line total into q per-unit amounts
-        const base = Math.floor(lineCents / q);
-        let remainder = lineCents - base * q;
-
-        if (remainder > 0) unitTypes.push([base + 1, remainder]);
-        const rest = q - remainder;
-        if (rest > 0) unitTypes.push([base, rest]);
-    }
-
-    // Move zero-priced items out early
-    let zeroCount = 0;
-    const nonZeroTypes = [];
-    for (let i = 0; i < unitTypes.length; i++) {
-        const [p, c] = unitTypes[i];
-        if (p <= 0) zeroCount += c;
-        else nonZeroTypes.push([p, c]);
-    }
-
-    // ---- split heavy vs non-heavy ----
-    let heavyUnitCount = 0;
-    const nonHeavyTypes = [];
-    let nonHeavyUnitCount = 0;
-    let nonHeavyTotalCents = 0;
-
-    for (let i = 0; i < nonZeroTypes.length; i++) {
-        const [p, c] = nonZeroTypes[i];
-        if (p > capCents) {
-            heavyUnitCount += c;
-        } else {
-            nonHeavyTypes.push([p, c]);
-            nonHeavyUnitCount += c;
-            nonHeavyTotalCents += p * c;
-        }
-    }
-
-    // ---- special absorption ----
-    let absorbCentsBudget = heavyUnitCount * absorbPerHeavyCents;
-    let absorbItemsBudget = heavyUnitCount * absorbItemsPerHeavy;
-
-    let heavyAbsorbedItems = 0;
-    let heavyAbsorbedCents = 0;
-
-    nonHeavyTypes.sort((a, b) => a[0] - b[0]);
-
-    const residualTypes = [];
-    for (let i = 0; i < nonHeavyTypes.length; i++) {
-        const p = nonHeavyTypes[i][0];
-        let c = nonHeavyTypes[i][1];
-
-        if (absorbItemsBudget > 0 && absorbCentsBudget > 0) {
-            const byCents = Math.floor(absorbCentsBudget / p);
-            let take = byCents < c ? byCents : c;
-            if (take > absorbItemsBudget) take = absorbItemsBudget;
+    return planParcels(toPlanLinesFromCart(lines), opts);
+}
 
-            if (take > 0) {
-                const takeCents = take * p;
-                heavyAbsorbedItems += take;
-                heavyAbsorbedCents += takeCents;
-                absorbItemsBudget -= take;
-                absorbCentsBudget -= takeCents;
-                c -= take;
-            }
-        }
+/**
+ * Read the shop's shipping configuration published by the app
+ * (`fulfillment_split.shipping_config` shop metafield). Falls back to the built-in rates and zones
+ * when none were published.
+ * `shopCurrency` is null until the app has published the configuration.
+ * `feeCollection` is { mode, variantId }; mode CHECKOUT means the fee is added to the cart as a line.
+ */
+export function getShippingConfig(appMetafields) {
+    const entry = (appMetafields || []).find(({ target, metafield }) =>
+        target.type === 'shop'
+        && metafield.namespace === SHIPPING_CONFIG_NAMESPACE
+        && metafield.key === SHIPPING_CONFIG_KEY
+    );
 
-        if (c > 0) residualTypes.push([p, c]);
+    let config = {};
+    try {
+        config = entry ? JSON.parse(String(entry.metafield.value)) : {};
+    } catch (error) {
+        console.error('Invalid shipping config metafield', error);
     }
 
-    // ---- pack remaining non-heavy units ----
-    residualTypes.sort((a, b) => b[0] - a[0]);
-
-    const bins = [];
-
-    for (let t = 0; t < residualTypes.length; t++) {
-        const price = residualTypes[t][0];
-        let count = residualTypes[t][1];
-
-        for (let b = 0; b < bins.length && count > 0; b++) {
-            const canFit = (bins[b] / price) | 0;
-            if (canFit > 0) {
-                const put = canFit < count ? canFit : count;
-                bins[b] -= put * price;
-                count -= put;
-            }
-        }
-
-        if (count <= 0) continue;
-
-        const perBin = (capCents / price) | 0;
-        const fullBins = (count / perBin) | 0;
-        const remItems = count - fullBins * perBin;
-
-        for (let k = 0; k < fullBins; k++) {
-            bins.push(capCents - perBin * price);
-        }
-        if (remItems > 0) {
-            bins.push(capCents - remItems * price);
+    return {
+        // An empty table is the shop's choice; only a missing one falls back to the defaults
+        rates: Array.isArray(config.rates) ? config.rates : DEFAULT_SHIPPING_RATES,
+        zones: Array.isArray(config.zones) ? config.zones : DEFAULT_SHIPPING_ZONES,
+        shopCurrency: config.shop_currency || null,
+        feeCollection: {
+            mode: config.fee_collection?.mode || 'INVOICE',
+            variantId: config.fee_collection?.variant_id || null
         }
-    }
-
-    const additionalParcels = bins.length;
-    const fulfillmentCount = heavyUnitCount + additionalParcels;
-
-    return { fulfillmentCount };
+    };
 }
 
-export function getParcelPriceByShippingLineTitle(title, countryCode) {
-    if (!title || !countryCode) return null;
-    if (title.includes('1档邮政') || title.includes('#1')) return countryCode === "CN" ? 25 : 38;
-    if (title.includes('2档邮政') || title.includes('#2')) return countryCode === "CN" ? 25 : 38;
-    if (title.includes('3档邮政') || title.includes('#3')) return countryCode === "CN" ? 38 : 38;
-    if (title.includes('4档邮政') || title.includes('#4')) return countryCode === "CN" ? 15 : 38;
-    if (title.includes('5档邮政') || title.includes('#5')) return countryCode === "CN" ? 38 : 38;
-    return null;
-}
-
-export function getShippingLineLevel(title, countryCode) {
-    if (!title || !countryCode) return null;
-    if (title.includes('1档邮政') || title.includes('#1')) return countryCode === "CN" ? 1 : 2;
-    if (title.includes('2档邮政') || title.includes('#2')) return countryCode === "CN" ? 2 : 2;
-    if (title.includes('3档邮政') || title.includes('#3')) return countryCode === "CN" ? 3 : 2;
-    if (title.includes('4档邮政') || title.includes('#4')) return countryCode === "CN" ? 4 : 2;
-    if (title.includes('5档邮政') || title.includes('#5')) return countryCode === "CN" ? 5 : 2;
-    return null;
-}
-
-export function getFulfillmentCap(countryCode) {
-    if (!countryCode) return null;
-    if (countryCode === "CN") return 276;
-    if (countryCode === "HK") return 500;
-    if (countryCode === "TW") return 500;
-    return null;
+/**
+ * The split fee line added in "charge at checkout" mode, or undefined.
+ */
+export function findFeeLine(lines, feeCollection) {
+    return (lines || []).find((line) =>
+        line.merchandise?.id === feeCollection.variantId
+        && (line.attributes || []).some(({ key }) => key === FEE_LINE_ATTRIBUTE)
+    );
 }
@@ -0,0 +1,82 @@
+// cart_transform_run.js
+
+import { planParcels, toPlanLinesFromCart } from '../../../app/helpers/parcel-plan.js';
+import { resolveShippingRate, toPresentmentFee } from '../../../app/helpers/shipping-rates.js';
+import { getPlanOptions, resolveShippingZone } from '../../../app/helpers/shipping-zones.js';
+
+const NO_CHANGES = { operations: [] };
+
+/**
+ * Price the split fee line: (parcels - 1) x the per-parcel fee of the selected delivery option.
+ * The parcel count is planned here from the cart with the shared engine, never read from the
+ * attributes the buyer's browser wrote, so the fee always matches the split the server performs.
+ * A fee line without an agreed split is priced at zero; the checkout extension removes it.
+ *
+ * `feeLine` in the input query reads FEE_LINE_ATTRIBUTE (app/helpers/fee-collection.js).
+ */
+export function cartTransformRun(input) {
+  const config = parseConfig(input.shop?.shippingConfig?.value);
+  const feeCollection = config.fee_collection;
+  if (feeCollection?.mode !== 'CHECKOUT' || !feeCollection.variant_id) return NO_CHANGES;
+
+  const isFeeLine = (line) => line.feeLine?.value != null && line.merchandise?.id === feeCollection.variant_id;
+  const feeLine = input.cart.lines.find(isFeeLine);
+  if (!feeLine) return NO_CHANGES;
+
+  const fee = input.cart.splitChoice?.value === 'yes'
+    ? quoteSplitFee(input, config, input.cart.lines.filter((line) => !isFeeLine(line)))
+    : null;
+
+  const perUnit = fee ? fee.amount / feeLine.quantity : 0;
+
+  return {
+    operations: [{
+      lineUpdate: {
+        cartLineId: feeLine.id,
+        price: {
+          adjustment: {
+            fixedPricePerUnit: { amount: perUnit.toFixed(2) }
+          }
+        }
+      }
+    }]
+  };
+}
+
+// Same steps as the checkout extension and splitWorkflow: zone, parcel plan, rate, currency
+function quoteSplitFee(input, config, lines) {
+  const deliveryGroup = input.cart.deliveryGroups[0];
+  const countryCode = deliveryGroup?.deliveryAddress?.countryCode;
+  const deliveryOption = deliveryGroup?.selectedDeliveryOption;
+
+  const shippingZone = resolveShippingZone(config.zones, countryCode);
+  if (!shippingZone || !deliveryOption) return null;
+
+  const plan = planParcels(toPlanLinesFromCart(lines), getPlanOptions(shippingZone));
+  if (plan.fulfillmentCount <= 1) return null;
+
+  const shippingRate = resolveShippingRate(config.rates, {
+    title: deliveryOption.title,
+    handle: deliveryOption.code,
+    countryCode,
+    currencyCode: plan.currencyCode
+  });
+  if (!shippingRate?.shippingLevel || !shippingRate?.parcelFee) return null;
+
+  const { amount } = toPresentmentFee(shippingRate, {
+    presentmentCurrency: plan.currencyCode,
+    shopCurrency: config.shop_currency,
+    exchangeRate: Number(input.presentmentCurrencyRate)
+  });
+
+  return { amount: amount * (plan.fulfillmentCount - 1) };
+}
+
+function parseConfig(value) {
+  try {
+    const config = value ? JSON.parse(value) : {};
+    return { ...config, rates: config.rates || [], zones: config.zones || [] };
+  } catch {
+    return { rates: [], zones: [] };
+  }
+}
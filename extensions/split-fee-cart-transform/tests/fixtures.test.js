@@ -0,0 +1,17 @@
+// Runs every fixture in tests/fixtures through the function source and compares the operations.
+// The built function can be checked against the same files with function-runner (see README.md).
+import { readdirSync, readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { cartTransformRun } from "../src/cart_transform_run.js";
+
+const FIXTURES_DIR = new URL("./fixtures/", import.meta.url);
+
+const fixtures = readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .map((file) => [file, JSON.parse(readFileSync(new URL(file, FIXTURES_DIR), "utf8")).payload]);
+
+describe("cart transform fixtures", () => {
+  it.each(fixtures)("%s", (file, { input, output }) => {
+    expect(cartTransformRun(input)).toEqual(output);
+  });
+});
@@ -0,0 +1,55 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { fetchSplitRequests, formatAmount } from './api';
+
+export default function extension() {
+  render(<App />, document.body);
+}
+
+function App() {
+  const [splitRequests, setSplitRequests] = useState([]);
+  const translate = (key, replacements) => shopify.i18n.translate(key, replacements);
+
+  // --- 1. Load every split fee the customer still has to pay ---
+  useEffect(() => {
+    fetchSplitRequests()
+      .then(setSplitRequests)
+      .catch((error) => console.error('Failed to load split requests', error));
+  }, []);
+
+  // --- 2. Render UI ---
+  if (splitRequests.length === 0) return null;
+
+  return (
+    <s-banner tone="warning" heading={translate('payment_required.title')}>
+      <s-stack gap="base">
+        {splitRequests.map((splitRequest) => {
+          const amount = formatAmount(splitRequest.amount, splitRequest.currencyCode);
+          const deadline = shopify.i18n.formatDate(new Date(splitRequest.expiresAt), {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+          });
+
+          return (
+            <s-stack key={splitRequest.orderName} gap="small-300">
+              <s-text>
+                {translate('payment_required.description', {
+                  order: splitRequest.orderName,
+                  count: splitRequest.parcels,
+                  amount,
+                  deadline
+                })}
+              </s-text>
+              {splitRequest.invoiceUrl && (
+                <s-button variant="primary" href={splitRequest.invoiceUrl}>
+                  {translate('index.pay_order', { order: splitRequest.orderName })}
+                </s-button>
+              )}
+            </s-stack>
+          );
+        })}
+      </s-stack>
+    </s-banner>
+  );
+}
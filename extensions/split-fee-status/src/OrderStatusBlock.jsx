@@ -0,0 +1,80 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import { fetchSplitRequests, formatAmount } from './api';
+
+export default function extension() {
+  render(<App />, document.body);
+}
+
+function App() {
+  const [splitRequest, setSplitRequest] = useState(null);
+
+  // --- 1. Read Signals ---
+  const order = shopify.order.value;
+  const orderId = order?.id;
+  const translate = (key, replacements) => shopify.i18n.translate(key, replacements);
+
+  // --- 2. Load the split request of this order ---
+  useEffect(() => {
+    if (!orderId) return;
+
+    fetchSplitRequests(orderId)
+      .then((requests) => setSplitRequest(requests[0] || null))
+      .catch((error) => console.error('Failed to load split request', error));
+  }, [orderId]);
+
+  // --- 3. Render UI ---
+  // Cancelled orders have nothing left to pay
+  if (!splitRequest || order?.cancelledAt) return null;
+
+  const amount = formatAmount(splitRequest.amount, splitRequest.currencyCode);
+
+  if (splitRequest.status === 'COMPLETED') {
+    // Staff can waive the fee, or release the parcels without payment
+    if (splitRequest.feeWaived) {
+      return (
+        <s-banner tone="info" heading={translate('fee_waived.title')}>
+          <s-text>{translate('fee_waived.description', { count: splitRequest.parcels })}</s-text>
+        </s-banner>
+      );
+    }
+    if (!splitRequest.paid) return null;
+
+    return (
+      <s-banner tone="success" heading={translate('payment_completed.title')}>
+        <s-text>
+          {translate('payment_completed.description', {
+            amount,
+            count: splitRequest.parcels
+          })}
+        </s-text>
+      </s-banner>
+    );
+  }
+
+  const deadline = shopify.i18n.formatDate(new Date(splitRequest.expiresAt), {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  return (
+    <s-banner tone="warning" heading={translate('payment_required.title')}>
+      <s-stack gap="base">
+        <s-text>
+          {translate('payment_required.description', {
+            order: splitRequest.orderName,
+            count: splitRequest.parcels,
+            amount,
+            deadline
+          })}
+        </s-text>
+        {splitRequest.invoiceUrl && (
+          <s-button variant="primary" href={splitRequest.invoiceUrl}>
+            {translate('payment_required.pay', { amount })}
+          </s-button>
+        )}
+      </s-stack>
+    </s-banner>
+  );
+}
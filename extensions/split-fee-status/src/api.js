@@ -0,0 +1,31 @@
+// api.js
+
+// Keep in sync with `application_url` in shopify.app.toml
+const APP_URL = 'https://ricotse.ngrok.dev';
+
+/**
+ * Fetch split requests from the app backend.
+ * Pass an Order GID for a single order, or nothing for every unpaid request of the customer.
+ */
+export async function fetchSplitRequests(orderId) {
+    const url = new URL('/api/customer-account/split-requests', APP_URL);
+    if (orderId) url.searchParams.set('orderId', orderId);
+
+    const token = await shopify.sessionToken.get();
+    const response = await fetch(url.toString(), {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+
+    if (!response.ok) return [];
+    const { requests } = await response.json();
+    return requests || [];
+}
+
+/**
+ * Format a fee in the currency it was charged in.
+ * Requests created before fees carried a currency fall back to the old dollar format.
+ */
+export function formatAmount(amount, currencyCode) {
+    if (!currencyCode) return `$${Number(amount || 0).toFixed(2)}`;
+    return shopify.i18n.formatCurrency(Number(amount || 0), { currency: currencyCode });
+}
@@ -0,0 +1,11 @@
+import { defineConfig } from "vitest/config";
+import tsconfigPaths from "vite-tsconfig-paths";
+
+// Kept apart from vite.config.js: the React Router plugin is only needed to build the app
+export default defineConfig({
+  plugins: [tsconfigPaths()],
+  test: {
+    include: ["app/**/*.test.js", "extensions/**/*.test.js"],
+    environment: "node",
+  },
+});